@@ -1,4 +1,10 @@
 // Build Management System for Edge World Miners
+//
+// The build menu lists every building in src/data/buildings.json. Placement,
+// preview and range indicator are chosen by the building's `kind`, so a new
+// turret variant only needs a data entry.
+import { gameData } from './gameData.js';
+
 export class BuildManager {
   constructor(scene, terrainManager, resourceManager) {
     this.scene = scene;
@@ -7,25 +13,22 @@ export class BuildManager {
     
     // Building state tracking
     this.buildMode = false;
-    this.selectedBuilding = null;
+    this.selectedBuilding = null; // building id from buildings.json
+    this.selectedKind = null;     // its kind: 'drill' | 'turret' | 'scanner'
     this.previewSprite = null;
     this.rangeIndicator = null;
     
     // Store reference to other managers when they're available
     this.drillManager = this.scene.drillManager;
     this.turretManager = this.scene.turretManager;
+    this.scannerManager = this.scene.scannerManager;
     
-    // Available building types
-    this.availableBuildings = [
-      {
-        type: 'drill',
-        getStats: () => this.drillManager?.DRILL_STATS || { COST: 10, NAME: 'Mining Drill' }
-      },
-      {
-        type: 'turret',
-        getStats: () => this.turretManager?.TURRET_STATS || { COST: 20, NAME: 'Macro Turret', RANGE: 500 }
-      }
-    ];
+    // Available building types, in buildings.json order
+    this.availableBuildings = Object.entries(gameData.buildings).map(([type, def]) => ({
+      type,
+      kind: def.kind,
+      getStats: () => def.stats
+    }));
     
     // Optional: could notify UI about readiness (commented out to reduce debug noise)
     
@@ -78,7 +81,7 @@ export class BuildManager {
   }
   
   attemptPlaceBuilding(pointer) {
-    const worldPoint = pointer.positionToCamera(this.scene.cameras.main);
+    const worldPoint = this.getWorldPoint(pointer);
     const canPlace = this.terrainManager.canPlaceDrillAt(worldPoint.x, worldPoint.y);
     
     if (!canPlace) return;
@@ -94,11 +97,13 @@ export class BuildManager {
       return;
     }
     
-    // Place the building based on type
-    if (this.selectedBuilding === 'drill') {
+    // Place the building based on kind
+    if (buildingConfig.kind === 'drill') {
       this.drillManager.tryPlaceDrill(worldPoint.x, worldPoint.y);
-    } else if (this.selectedBuilding === 'turret') {
-      this.turretManager.tryPlaceTurret(worldPoint.x, worldPoint.y);
+    } else if (buildingConfig.kind === 'turret') {
+      this.turretManager.tryPlaceTurret(worldPoint.x, worldPoint.y, buildingConfig.type);
+    } else if (buildingConfig.kind === 'scanner') {
+      this.scannerManager.tryPlaceScanner(worldPoint.x, worldPoint.y, buildingConfig.type);
     }
     
     // Remain in build mode so the player can continue placing buildings.
@@ -108,6 +113,7 @@ export class BuildManager {
   cancelBuildMode() {
     this.buildMode = false;
     this.selectedBuilding = null;
+    this.selectedKind = null;
     this.clearPreview();
   }
   
@@ -128,11 +134,19 @@ export class BuildManager {
   enterBuildMode(buildingType) {
     // entering build mode
     
-    // Make sure we have the latest drillManager and turretManager references
+    // Make sure we have the latest manager references
     this.drillManager = this.scene.drillManager;
     this.turretManager = this.scene.turretManager;
+    this.scannerManager = this.scene.scannerManager;
     
+    const buildingConfig = this.availableBuildings.find(b => b.type === buildingType);
+    if (!buildingConfig) {
+      console.warn(`Unknown building type "${buildingType}"`);
+      return;
+    }
+
     this.selectedBuilding = buildingType;
+    this.selectedKind = buildingConfig.kind;
     this.buildMode = true;
     
     // The click that opened build mode is still held down. Ignore placement
@@ -144,10 +158,10 @@ export class BuildManager {
     
     try {
       // Create appropriate preview sprite
-      if (buildingType === 'drill') {
+      if (buildingConfig.kind === 'drill') {
         this.previewSprite = this.scene.add.rectangle(0, 0, 20, 40, 0xff0000).setAlpha(0.5);
         // console.log("[BuildManager] Created drill preview");
-      } else if (buildingType === 'turret') {
+      } else if (buildingConfig.kind === 'turret') {
         // Check if turretManager is available
         if (!this.turretManager) {
           // console.error("[BuildManager] Turret manager is not available!");
@@ -156,17 +170,22 @@ export class BuildManager {
         }
         
         // Create turret preview
-        this.previewSprite = this.turretManager.createTurretPreview(0, 0);
+        this.previewSprite = this.turretManager.createTurretPreview(0, 0, buildingType);
         this.previewSprite.setAlpha(0.5);
         // console.log("[BuildManager] Created turret preview");
         
         // Add range indicator for turrets
-        const turretStats = this.turretManager.TURRET_STATS;
-        const range = turretStats.RANGE || 500;
+        const range = this.turretManager.getTurretStat('RANGE', buildingConfig.getStats()) || 500;
         this.rangeIndicator = this.scene.add.circle(0, 0, range);
         this.rangeIndicator.setStrokeStyle(2, 0x00ffff, 0.4);
         this.rangeIndicator.setFillStyle(0x00ffff, 0.1);
         // console.log(`[BuildManager] Added range indicator with radius ${range}`);
+      } else if (buildingConfig.kind === 'scanner') {
+        this.previewSprite = this.scene.add.rectangle(0, 0, 22, 24, 0xff0000).setAlpha(0.5);
+        
+        // Show how far the scanner's sweep will reach
+        this.rangeIndicator = this.scene.add.circle(0, 0, buildingConfig.getStats().RANGE);
+        this.rangeIndicator.setStrokeStyle(2, 0x66ddff, 0.4);
       }
     } catch (error) {
       // console.error("[BuildManager] Error creating preview:", error);
@@ -184,10 +203,18 @@ export class BuildManager {
     this.updateBuildingPreview(pointer);
   }
   
+  // World position under the pointer; right of a wrapping world's seam the
+  // main camera reports x past the world width, which is the start again
+  getWorldPoint(pointer) {
+    const worldPoint = pointer.positionToCamera(this.scene.cameras.main);
+    worldPoint.x = this.terrainManager.wrapWorldX(worldPoint.x);
+    return worldPoint;
+  }
+  
   updateBuildingPreview(pointer) {
     if (!this.buildMode || !this.previewSprite) return;
     
-    const worldPoint = pointer.positionToCamera(this.scene.cameras.main);
+    const worldPoint = this.getWorldPoint(pointer);
     
     // Update preview position
     this.previewSprite.x = worldPoint.x;
@@ -203,9 +230,12 @@ export class BuildManager {
     const canPlace = this.terrainManager.canPlaceDrillAt(worldPoint.x, worldPoint.y);
     
     // Update color based on validity
-    if (this.selectedBuilding === 'drill') {
+    if (this.selectedKind === 'drill') {
+      this.previewSprite.setFillStyle(canPlace ? 0x00ff00 : 0xff0000);
+    } else if (this.selectedKind === 'scanner') {
       this.previewSprite.setFillStyle(canPlace ? 0x00ff00 : 0xff0000);
-    } else if (this.selectedBuilding === 'turret') {
+      this.rangeIndicator?.setStrokeStyle(2, canPlace ? 0x66ddff : 0xff3300, 0.4);
+    } else if (this.selectedKind === 'turret') {
       // For a container with multiple elements
       this.previewSprite.list.forEach(child => {
         if (child.type === 'Rectangle') {
@@ -224,13 +254,14 @@ export class BuildManager {
   // Get available buildings for UI
   getAvailableBuildings() {
     return this.availableBuildings.map(building => {
+      const def = gameData.getBuilding(building.type);
       const stats = building.getStats();
       return {
         type: building.type,
         cost: stats.COST,
-        label: stats.NAME || (building.type === 'drill' ? 'Mining Drill' : 'Macro Turret'),
-        description: building.type === 'drill' ? 'Mines resources automatically' : 'AOE defense against enemies',
-        hotkey: building.type === 'drill' ? '1' : '2'
+        label: stats.NAME,
+        description: def.description,
+        hotkey: def.hotkey
       };
     });
   }
@@ -1,3 +1,5 @@
+import { RESOURCE_TYPES } from './resourceManager.js';
+
 // Controls cargo movement and delivery to the carrier
 export class CargoManager {
   constructor(scene, carrierX, carrierY, resourceManager) {
@@ -6,14 +8,32 @@ export class CargoManager {
     this.carrierY = carrierY;
     this.resourceManager = resourceManager;
     this.cargos = [];
+
+    // Base movement speeds; research scales both via 'cargo.SPEED'
+    this.SPEED = {
+      ASCEND: 2,  // px per frame while rising out of the shaft
+      FLY: 100    // px per second towards the carrier
+    };
   }
 
-  spawn(x, y, amount = 1) {
-    const sprite = this.scene.add.rectangle(x, y, 10, 10, 0xffff00);
+  getSpeedMultiplier() {
+    return this.scene.researchManager?.getStatMultiplier('cargo.SPEED') ?? 1;
+  }
+
+  // `payload` is a resource bill, e.g. { rock: 2, ore: 1 }
+  spawn(x, y, payload) {
+    const sprite = this.scene.add.rectangle(x, y, 10, 10, this.getPayloadColor(payload));
     this.scene.physics.add.existing(sprite);
     sprite.setData('destination', { x: this.carrierX, y: this.carrierY });
     sprite.setData('phase', 'ascend');
-    this.cargos.push({ sprite, amount });
+    this.cargos.push({ sprite, payload: { ...payload } });
+  }
+
+  // Tint the crate by the rarest resource it carries (RESOURCE_TYPES is ordered common -> rare)
+  getPayloadColor(payload) {
+    const types = Object.keys(RESOURCE_TYPES).filter(type => payload[type] > 0);
+    const rarest = types[types.length - 1];
+    return rarest ? RESOURCE_TYPES[rarest].color : 0xffff00;
   }
 
   update() {
@@ -23,15 +43,19 @@ export class CargoManager {
       const dest = sprite.getData('destination');
 
       if (phase === 'ascend') {
-        sprite.y -= 2;
+        sprite.y -= this.SPEED.ASCEND * this.getSpeedMultiplier();
         if (sprite.y < 450) {
           sprite.setData('phase', 'fly');
         }
       } else if (phase === 'fly') {
-        this.scene.physics.moveTo(sprite, dest.x, dest.y, 100);
-        const dist = Phaser.Math.Distance.Between(sprite.x, sprite.y, dest.x, dest.y);
+        // Across the seam of a wrapping world if that is the shorter way
+        const terrain = this.scene.terrainManager;
+        terrain.wrapObject(sprite);
+        this.scene.physics.moveTo(sprite, terrain.nearestX(dest.x, sprite.x), dest.y, this.SPEED.FLY * this.getSpeedMultiplier());
+        const dist = terrain.distanceBetween(sprite.x, sprite.y, dest.x, dest.y);
         if (dist < 10) {
-          this.resourceManager.add(cargo.amount);
+          this.resourceManager.add(cargo.payload);
+          this.scene.bus?.emit('cargo:delivered', { payload: cargo.payload, x: sprite.x, y: sprite.y });
           sprite.destroy();
           return false;
         }
@@ -40,4 +64,20 @@ export class CargoManager {
       return true;
     });
   }
+
+  serialize() {
+    return this.cargos.map(({ sprite, payload }) => ({
+      x: sprite.x,
+      y: sprite.y,
+      payload,
+      phase: sprite.getData('phase')
+    }));
+  }
+
+  restore(cargos) {
+    for (const cargo of cargos) {
+      this.spawn(cargo.x, cargo.y, cargo.payload);
+      this.cargos[this.cargos.length - 1].sprite.setData('phase', cargo.phase);
+    }
+  }
 }
@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { gameData } from './gameData.js';
 
 // --- Configuration/constants ---
 // Height (in pixels) of the generated carrier sprite.
@@ -9,7 +10,7 @@ const CARRIER_SPRITE_HEIGHT = 20 + 80 + 20; // 120px
  * Attempts to find a safe X/Y position for the carrier so it hovers roughly at sea-level
  * while remaining at least `hoverHeight` pixels above the terrain column directly beneath it.
  *
- * @param {Phaser.Scene} scene – The current Phaser scene (used only for RNG helper).
+ * @param {Phaser.Scene} scene – The current Phaser scene (used only for its seeded RNG).
  * @param {TerrainManager} terrainManager – Instance providing `getSurfaceY()` and `seaLevelRow`.
  * @param {number} worldWidth – The total width of the world.
  * @param {number} hoverHeight – Desired clearance from the terrain surface.
@@ -22,11 +23,12 @@ function findHoverPosition(scene, terrainManager, worldWidth, hoverHeight) {
   const MAX_ATTEMPTS = 80;
   const ACCEPTABLE_SURFACE_VARIANCE = 300; // how far the terrain surface can deviate from sea-level (soft cut-off)
 
+  const random = scene.rng.stream('carrier');
   let bestCandidate = null;
   let bestDiff = Infinity;
 
   for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
-    const x = Phaser.Math.Between(margin, Math.max(margin, worldWidth - margin));
+    const x = random.between(margin, Math.max(margin, worldWidth - margin));
 
     // ---- Evaluate terrain clearance across the full carrier width ----
     const HULL_WIDTH = 300; // must match width used later for drawing
@@ -139,7 +141,7 @@ export function createCarrier(scene, terrainManager, worldWidth, hoverHeight = 1
       if (this.enemyManager) {
         this.enemyManager.unregisterTarget(this);
       }
-      // TODO: implement game-over logic – for now destroy sprite
+      // RunManager sees the inactive carrier and ends the run
       this.destroy();
       return;
     }
@@ -154,15 +156,19 @@ export function createCarrier(scene, terrainManager, worldWidth, hoverHeight = 1
   // Alias for backward compatibility
   carrier.damage = carrier.takeDamage;
 
-  // Mini-turret stats
-  const MINI_STATS = {
-    RANGE: 300,
-    FIRE_RATE: 15, // frames between shots
-    PROJECTILE_SPEED: 450,
-    DAMAGE: 5,
-    ACCURACY: 0.85,
-    COLOR: 0xffdd33
+  // Save/load – altitude is re-derived from the terrain every frame, so only X is stored
+  carrier.serialize = function() {
+    return { x: this.x, health: this.health };
   };
+  carrier.restore = function(state) {
+    this.x = state.x;
+    this.health = state.health;
+  };
+
+  // Mini-turret stats (src/data/carrier.json); FIRE_RATE is frames between shots
+  const MINI_STATS = gameData.carrier.miniTurret;
+  // MINI_STATS value with research bonuses ('carrier.<NAME>' multipliers)
+  const miniStat = name => MINI_STATS[name] * (scene.researchManager?.getStatMultiplier(`carrier.${name}`) ?? 1);
 
   // Offsets for two turrets on top of the carrier
   const turretOffsets = [
@@ -184,17 +190,17 @@ export function createCarrier(scene, terrainManager, worldWidth, hoverHeight = 1
 
   // Helper to spawn a projectile from a mini turret
   function spawnMiniProjectile(startX, startY, targetX, targetY) {
-    const baseAngle = Phaser.Math.Angle.Between(startX, startY, targetX, targetY);
+    const baseAngle = terrainManager.angleBetween(startX, startY, targetX, targetY);
     const inaccuracy = 1 - (MINI_STATS.ACCURACY ?? 1);
     const maxSpread = Math.PI / 8; // 22.5 degrees
     const spreadRange = inaccuracy * maxSpread;
-    const randomOffset = Phaser.Math.FloatBetween(-spreadRange, spreadRange);
+    const randomOffset = scene.rng.stream('carrier').floatBetween(-spreadRange, spreadRange);
     const angle = baseAngle + randomOffset;
     const proj = scene.add.circle(startX, startY, 3, MINI_STATS.COLOR);
     scene.physics.add.existing(proj);
     proj.body.setAllowGravity(false);
     proj.body.setVelocity(Math.cos(angle) * MINI_STATS.PROJECTILE_SPEED, Math.sin(angle) * MINI_STATS.PROJECTILE_SPEED);
-    proj.setData('damage', MINI_STATS.DAMAGE);
+    proj.setData('damage', miniStat('DAMAGE'));
     proj.setData('angle', angle);
     carrier.projectiles.push(proj);
   }
@@ -227,15 +233,15 @@ export function createCarrier(scene, terrainManager, worldWidth, hoverHeight = 1
       if (!this.enemyManager) continue;
       // find nearest enemy within range
       let nearest = null;
-      let nearestDist = MINI_STATS.RANGE;
+      let nearestDist = miniStat('RANGE');
       for (const enemy of this.enemyManager.getEnemies()) {
-        const dist = Phaser.Math.Distance.Between(turret.barrel.x, turret.barrel.y, enemy.x, enemy.y);
+        const dist = terrainManager.distanceBetween(turret.barrel.x, turret.barrel.y, enemy.x, enemy.y);
         if (dist < nearestDist) { nearestDist = dist; nearest = enemy; }
       }
-      if (nearest && turret.fireTimer >= MINI_STATS.FIRE_RATE) {
+      if (nearest && turret.fireTimer >= miniStat('FIRE_RATE')) {
         turret.fireTimer = 0;
         // rotate barrel
-        const ang = Phaser.Math.Angle.Between(turret.barrel.x, turret.barrel.y, nearest.x, nearest.y);
+        const ang = terrainManager.angleBetween(turret.barrel.x, turret.barrel.y, nearest.x, nearest.y);
         turret.barrel.rotation = ang - Math.PI/2;
         spawnMiniProjectile(turret.barrel.x, turret.barrel.y, nearest.x, nearest.y);
       }
@@ -244,9 +250,9 @@ export function createCarrier(scene, terrainManager, worldWidth, hoverHeight = 1
     // Update projectiles
     for (let i = this.projectiles.length - 1; i >= 0; i--) {
       const proj = this.projectiles[i];
+      terrainManager.wrapObject(proj);
       // Remove out-of-bounds
-      const bounds = scene.cameras.main.getBounds();
-      if (proj.x < bounds.x || proj.x > bounds.right || proj.y < bounds.y || proj.y > bounds.bottom) {
+      if (terrainManager.isPastSide(proj.x) || proj.y < 0 || proj.y > terrainManager.height) {
         proj.destroy();
         this.projectiles.splice(i,1);
         continue;
@@ -254,7 +260,7 @@ export function createCarrier(scene, terrainManager, worldWidth, hoverHeight = 1
       // Collision with enemies
       if (this.enemyManager) {
         for (const enemy of this.enemyManager.getEnemies()) {
-          const dist = Phaser.Math.Distance.Between(proj.x, proj.y, enemy.x, enemy.y);
+          const dist = terrainManager.distanceBetween(proj.x, proj.y, enemy.x, enemy.y);
           if (dist < enemy.size) {
             const wasDestroyed = enemy.takeDamage(proj.getData('damage'));
             
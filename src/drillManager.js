@@ -1,4 +1,6 @@
 import { CargoManager } from './cargoManager.js';
+import { billTotal } from './resourceManager.js';
+import { gameData } from './gameData.js';
 // Manages drill placement, mining intervals, and cargo transport
 
 export class DrillManager {
@@ -8,40 +10,33 @@ export class DrillManager {
     this.terrainManager = terrainManager;
     this.carrier = carrier;
     this.enemyManager = enemyManager;
+    this.random = scene.rng.stream('drills');
     this.drills = [];
     this.timer = 0;
     this.cargoManager = new CargoManager(scene, carrier.x, carrier.y, resourceManager);
     
-    // Define drill stats
-    this.DRILL_STATS = {
-      NAME: "Drill",
-      COST: 10,
-      HEALTH: this.DRILL_MAX_HEALTH,
-      MINING_RATE: 1, // Base mining rate
-      MINING_EFFICIENCY: 1.0 // Multiplier for mining productivity
-    };
+    // Drill stats come from the 'drill' building in src/data/buildings.json.
+    // MINING_RATE is hardness removed per mining cycle – a tile takes hardness / rate cycles.
+    this.DRILL_STATS = gameData.getBuilding('drill').stats;
     
     // Colors for drill states
     this.DRILL_COLORS = {
       NORMAL: 0x00ffff,   // Normal operation
-      BOTTOM_REACHED: 0x7799aa,  // Reduced efficiency when at bottom
+      BOTTOM_REACHED: 0x7799aa,  // Hit bedrock (or the world edge) – no longer mining
       DAMAGED: 0xff9900,   // Drill is damaged
       CRITICAL: 0xff0000   // Drill is critically damaged
     };
     
-    // World bottom boundary - from game.js terrain height
-    this.WORLD_BOTTOM = 2000;
-    
     // Drill properties
-    this.DRILL_MAX_HEALTH = 200;
+    this.DRILL_MAX_HEALTH = this.DRILL_STATS.HEALTH;
     this.DRILL_EXPLOSION_RADIUS = 60;
     this.DRILL_EXPLOSION_DAMAGE = 25;
     
-    // Update health in DRILL_STATS
-    this.DRILL_STATS.HEALTH = this.DRILL_MAX_HEALTH;
-    
     // Track drills that are currently exploding to prevent recursion
     this.explodingDrills = new Set();
+
+    // Loose terrain falling onto drills
+    scene.bus?.on('tile:fell', this.onTileFell, this);
   }
 
   // --- Helper to create a more complex sci-fi drill sprite ---
@@ -88,6 +83,16 @@ export class DrillManager {
 
   tryPlaceDrill(x, y) {
     if (!this.terrainManager.canPlaceDrillAt(x, y)) return false;
+    const drill = this.createDrill(x, y);
+    this.scene.bus?.emit('structure:placed', { structure: drill, type: 'drill', kind: 'drill', x, y });
+    return true;
+  }
+
+  // Build a drill at (x, y) without placement checks (used by tryPlaceDrill and save restore).
+  // Drills sit in the air tile above the ground they were placed on and mine
+  // straight down that tile column.
+  createDrill(x, y) {
+    const startRow = Math.floor(y / this.terrainManager.tileSize) + 1;
 
     // Create the fancy sci-fi drill graphics
     const { container, body } = this.createDrillSprite(x, y);
@@ -96,7 +101,10 @@ export class DrillManager {
     this.drills.push({
       sprite: container,      // used for positioning & destroy
       body: body,             // used for color/tint changes
-      mined: 0,
+      mined: 0,               // tiles broken so far
+      startRow,               // first tile row below the drill
+      row: startRow,          // tile row currently being mined
+      payload: {},            // resources collected since the last cargo launch
       x,
       y,
       reachedBottom: false,
@@ -114,7 +122,7 @@ export class DrillManager {
       }
       this.enemyManager.registerTarget(drillRef);
     }
-    return true;
+    return this.drills[this.drills.length - 1];
   }
 
   update() {
@@ -124,36 +132,89 @@ export class DrillManager {
       this.drills = this.drills.filter(drill => drill.isAlive);
       
       this.drills.forEach((drill) => {
-        const dy = Math.floor(drill.mined / 2);
-        const currentDepth = 400 + dy * 20;
-        
-        // Check if this drill has reached the bottom
-        if (currentDepth >= this.WORLD_BOTTOM - 20) {
-          if (!drill.reachedBottom) {
-            drill.reachedBottom = true;
-            drill.body.fillColor = this.DRILL_COLORS.BOTTOM_REACHED;
-          }
-        }
-        
-        // Only mine if not at bottom or at 1/4 rate if at bottom
-        if (!drill.reachedBottom || this.timer % 240 === 0) {
-          // Only attempt to destroy terrain if not at bottom
-          if (!drill.reachedBottom) {
-            this.terrainManager.destroyAt(drill.x, currentDepth);
-          }
-          drill.mined += 1;
-          
-          // Spawn cargo at full rate if not at bottom, or at 1/4 rate if at bottom
-          if ((!drill.reachedBottom && drill.mined % 2 === 0) || 
-              (drill.reachedBottom && drill.mined % 8 === 0)) {
-            this.cargoManager.spawn(drill.x, drill.y, 1);
-          }
-        }
+        if (!drill.reachedBottom && !this.isBuried(drill)) this.mineStep(drill);
+        // Lava (or anything else with contactDamage) in the drill's tile
+        const contactDamage = this.terrainManager.getContactDamageAt(drill.x, (drill.startRow - 1) * this.terrainManager.tileSize);
+        if (contactDamage > 0) this.damageDrill(drill, contactDamage);
       });
     }
     this.cargoManager.update();
   }
   
+  // One mining cycle: skip open air, chip at the current tile, and move down a
+  // row once it breaks. Harder tiles take proportionally more cycles.
+  mineStep(drill) {
+    const tileSize = this.terrainManager.tileSize;
+    let tile = this.terrainManager.getTileAt(drill.x, drill.row * tileSize);
+
+    // Fall through caves, liquid pockets and shafts already dug out
+    while (tile && !tile.solid) {
+      drill.row++;
+      tile = this.terrainManager.getTileAt(drill.x, drill.row * tileSize);
+    }
+
+    // Bedrock or the bottom of the world – nothing left to mine
+    if (!tile || !tile.mineable) {
+      drill.reachedBottom = true;
+      drill.body.fillColor = this.DRILL_COLORS.BOTTOM_REACHED;
+      // Ship what an odd last tile left behind – the drill won't mine again
+      if (billTotal(drill.payload) > 0) {
+        this.cargoManager.spawn(drill.x, drill.y, drill.payload);
+        drill.payload = {};
+      }
+      return;
+    }
+
+    const broken = this.terrainManager.destroyAt(drill.x, drill.row * tileSize, this.getMiningRate());
+    if (!broken) return;
+
+    // Collect the drops of the tile that actually broke
+    for (const [type, amount] of Object.entries(broken.drops || {})) {
+      drill.payload[type] = (drill.payload[type] || 0) + amount;
+    }
+    drill.mined += 1;
+    drill.row++;
+
+    // Ship the collected payload every second tile
+    if (drill.mined % 2 === 0 && billTotal(drill.payload) > 0) {
+      this.cargoManager.spawn(drill.x, drill.y, drill.payload);
+      drill.payload = {};
+    }
+  }
+
+  // A drill is buried while loose material fills the tile it stands in; it
+  // stops mining until the tile is cleared again
+  isBuried(drill) {
+    return this.terrainManager.isSolid(drill.x, (drill.startRow - 1) * this.terrainManager.tileSize) === true;
+  }
+
+  // A falling tile passing through or landing in a drill's tile damages it
+  onTileFell({ col, row, tile }) {
+    const tileSize = this.terrainManager.tileSize;
+    for (const drill of this.drills) {
+      if (!drill.isAlive || row !== drill.startRow - 1 || col !== Math.floor(drill.x / tileSize)) continue;
+      this.damageDrill(drill, tile.hardness * this.terrainManager.FALL_DAMAGE_PER_HARDNESS);
+    }
+  }
+
+  // Hardness removed per cycle, including research bonuses
+  getMiningRate() {
+    const multiplier = this.scene.researchManager?.getStatMultiplier('drill.MINING_RATE') ?? 1;
+    return this.DRILL_STATS.MINING_RATE * multiplier;
+  }
+
+  // Live drill readout for Focus Mode: depth in tiles below the placement
+  // point and the material currently under the bit
+  getDrillStatus(drill) {
+    const tile = this.terrainManager.getTileAt(drill.x, drill.row * this.terrainManager.tileSize);
+    return {
+      depth: drill.row - drill.startRow,
+      material: tile ? tile.name : 'none',
+      reachedBottom: drill.reachedBottom,
+      buried: this.isBuried(drill)
+    };
+  }
+
   // Method to damage a drill
   damageDrill(drill, amount) {
     if (!drill.isAlive || this.explodingDrills.has(drill)) return;
@@ -161,11 +222,7 @@ export class DrillManager {
     drill.health -= amount;
     
     // Update drill color based on health
-    if (drill.health <= this.DRILL_MAX_HEALTH * 0.25) {
-      drill.body.fillColor = this.DRILL_COLORS.CRITICAL;
-    } else if (drill.health <= this.DRILL_MAX_HEALTH * 0.5) {
-      drill.body.fillColor = this.DRILL_COLORS.DAMAGED;
-    }
+    this.refreshDrillColor(drill);
     
     // Check if drill is destroyed
     if (drill.health <= 0) {
@@ -173,6 +230,17 @@ export class DrillManager {
     }
   }
   
+  // Set the body colour from health, falling back to the bottom-reached tint
+  refreshDrillColor(drill) {
+    if (drill.health <= this.DRILL_MAX_HEALTH * 0.25) {
+      drill.body.fillColor = this.DRILL_COLORS.CRITICAL;
+    } else if (drill.health <= this.DRILL_MAX_HEALTH * 0.5) {
+      drill.body.fillColor = this.DRILL_COLORS.DAMAGED;
+    } else if (drill.reachedBottom) {
+      drill.body.fillColor = this.DRILL_COLORS.BOTTOM_REACHED;
+    }
+  }
+  
   // Method to destroy a drill
   destroyDrill(drill) {
     if (!drill.isAlive || this.explodingDrills.has(drill)) return;
@@ -185,6 +253,7 @@ export class DrillManager {
     
     // Mark drill as not alive
     drill.isAlive = false;
+    this.scene.bus?.emit('structure:destroyed', { structure: drill, type: 'drill', kind: 'drill', x: drill.x, y: drill.y });
     
     // Remove the drill sprite (container) and all child graphics
     drill.sprite.destroy();
@@ -227,7 +296,7 @@ export class DrillManager {
       // Skip the source drill and non-alive drills to prevent recursion
       if (drill === sourceDrill || !drill.isAlive || this.explodingDrills.has(drill)) return;
       
-      const distance = Math.sqrt(Math.pow(drill.x - x, 2) + Math.pow(drill.y - y, 2));
+      const distance = this.terrainManager.distanceBetween(x, y, drill.x, drill.y);
       if (distance < this.DRILL_EXPLOSION_RADIUS) {
         // Calculate damage based on distance (more damage closer to explosion)
         const damage = Math.floor(this.DRILL_EXPLOSION_DAMAGE * (1 - distance / this.DRILL_EXPLOSION_RADIUS));
@@ -262,13 +331,13 @@ export class DrillManager {
         
         // Only destroy within the radius (circular pattern)
         // Create a rougher crater edge by adding some randomness
-        const effectiveRadius = radiusTiles - (Math.random() * 0.5);
+        const effectiveRadius = radiusTiles - (this.random.frac() * 0.5);
         
         if (distance <= effectiveRadius) {
           const worldX = (centerTileX + dx) * tileSize + (tileSize / 2);
           const worldY = (centerTileY + dy) * tileSize + (tileSize / 2);
           
-          this.terrainManager.destroyAt(worldX, worldY);
+          this.terrainManager.destroyAt(worldX, worldY, 1, 'explosion');
         }
       }
     }
@@ -289,7 +358,7 @@ export class DrillManager {
     let minDistance = Infinity;
     
     aliveDrills.forEach(drill => {
-      const distance = Math.sqrt(Math.pow(drill.x - x, 2) + Math.pow(drill.y - y, 2));
+      const distance = this.terrainManager.distanceBetween(x, y, drill.x, drill.y);
       if (distance < minDistance) {
         minDistance = distance;
         closestDrill = drill;
@@ -320,6 +389,40 @@ export class DrillManager {
     return lowestRatio;
   }
 
+  serialize() {
+    return {
+      timer: this.timer,
+      drills: this.getTargetableDrills().map(drill => ({
+        x: drill.x,
+        y: drill.y,
+        mined: drill.mined,
+        row: drill.row,
+        payload: { ...drill.payload },
+        health: drill.health,
+        reachedBottom: drill.reachedBottom
+      })),
+      cargo: this.cargoManager.serialize()
+    };
+  }
+
+  restore(state) {
+    this.timer = state.timer;
+    for (const saved of state.drills) {
+      const drill = this.createDrill(saved.x, saved.y);
+      drill.mined = saved.mined;
+      if (saved.row != null) drill.row = saved.row;
+      drill.payload = { ...saved.payload };
+      drill.health = saved.health;
+      drill.reachedBottom = saved.reachedBottom;
+      this.refreshDrillColor(drill);
+    }
+
+    // The carrier may have been moved by its own restore – cargo must follow it
+    this.cargoManager.carrierX = this.carrier.x;
+    this.cargoManager.carrierY = this.carrier.y;
+    this.cargoManager.restore(state.cargo);
+  }
+
   // Add a setter to inject EnemyManager after construction
   setEnemyManager(em) {
     this.enemyManager = em;
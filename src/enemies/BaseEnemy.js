@@ -54,8 +54,9 @@ export class BaseEnemy {
     // State tracking
     this.active = true;
     this.target = null;
-    this.targetType = null; // 'drill' or 'turret'
+    this.targetType = null; // 'drill', 'turret', 'scanner' or 'carrier'
     this.attackCooldown = 0;
+    this.killed = false;   // set once the death has been announced (see reportKill())
 
     // Graphics-related references – should be assigned in subclass
     this.sprite = null;
@@ -74,6 +75,7 @@ export class BaseEnemy {
     
     // Check if the enemy is destroyed
     if (this.health <= 0) {
+      this.reportKill();
       this.destroy();
       return true;
     }
@@ -81,6 +83,23 @@ export class BaseEnemy {
     return false;
   }
 
+  /**
+   * Announces this enemy's death as 'enemy:killed' on the scene's event bus.
+   * Only the first call per enemy emits, so every kill is counted once
+   * whichever system landed the final hit.
+   */
+  reportKill() {
+    if (this.killed) return;
+    this.killed = true;
+    this.scene.bus?.emit('enemy:killed', {
+      enemy: this,
+      type: this.tier,
+      x: this.x,
+      y: this.y,
+      wave: this.manager?.currentWave ?? 0
+    });
+  }
+
   /**
    * Updates the enemy's position, behavior, and state
    * MUST be implemented by subclasses
@@ -107,6 +126,37 @@ export class BaseEnemy {
     // Remove from manager's array (handled by manager)
   }
   
+  /**
+   * Distance from this enemy to a point. Use this (and angleTo()) rather
+   * than Phaser.Math so a wrapping world is measured the short way round.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @returns {number}
+   */
+  distanceTo(x, y) {
+    return this.manager.terrainManager.distanceBetween(this.x, this.y, x, y);
+  }
+
+  /**
+   * Angle (radians) from this enemy towards a point
+   *
+   * @param {number} x
+   * @param {number} y
+   * @returns {number}
+   */
+  angleTo(x, y) {
+    return this.manager.terrainManager.angleBetween(this.x, this.y, x, y);
+  }
+  
+  /**
+   * Seeded random stream shared with the EnemyManager.
+   * Use this instead of Math.random() for anything that affects gameplay.
+   */
+  get random() {
+    return this.manager.random;
+  }
+  
   /**
    * Convenience accessor for Phaser.Math functions
    */
@@ -3,8 +3,8 @@
  * ----------------------------------------------------------------------------
  * Implementation of melee-type enemies that attack by direct contact.
  * 
- * This class handles three tiers of melee enemies (SMALL, MEDIUM, LARGE),
- * which differ in health, speed, size, and damage. All melee enemies share
+ * This class handles every melee tier defined in src/data/enemies.json
+ * (SMALL, MEDIUM, LARGE by default), which differ in health, speed, size, and damage. All melee enemies share
  * the same basic behavior: they move towards the nearest target and deal
  * damage on contact.
  * 
@@ -22,48 +22,31 @@
  */
 
 import { BaseEnemy } from './BaseEnemy.js';
+import { gameData } from '../gameData.js';
 
 export class MeleeEnemy extends BaseEnemy {
   /**
-   * Stats for the three tiers of melee enemies
-   * These values match the original ENEMY_TIERS with a 20% size increase
+   * Stats for each melee tier, keyed by tier name (SMALL, MEDIUM, LARGE, ...)
+   * Defined in src/data/enemies.json (melee.tiers)
    */
-  static TIER_STATS = {
-    SMALL: {
-      HEALTH: 30,
-      SPEED: 70,
-      SIZE: 18, // Increased from 15
-      DAMAGE: 3,
-      COLOR: 0xff0000,
-    },
-    MEDIUM: {
-      HEALTH: 60,
-      SPEED: 50,
-      SIZE: 30, // Increased from 25
-      DAMAGE: 5,
-      COLOR: 0xff3300,
-    },
-    LARGE: {
-      HEALTH: 120,
-      SPEED: 35,
-      SIZE: 48, // Increased from 40
-      DAMAGE: 10,
-      COLOR: 0xff6600,
-    }
-  };
+  static get TIER_STATS() {
+    return gameData.enemies.melee.tiers;
+  }
+
+  /**
+   * The tier without a SPAWN_CHANCE – spawned when no other tier's roll wins
+   */
+  static get FALLBACK_TIER() {
+    return Object.keys(MeleeEnemy.TIER_STATS).find(tier => !MeleeEnemy.TIER_STATS[tier].SPAWN_CHANCE);
+  }
 
   /**
    * Wave settings that affect melee enemy behavior
-   * Moved from EnemyManager to keep behavior consistent
+   * Defined in src/data/enemies.json (melee.waveSettings)
    */
-  static WAVE_SETTINGS = {
-    TERRAIN_DAMAGE_RADIUS: 20,
-    TERRAIN_DAMAGE_STRENGTH: 5,
-    ATTACK_RANGE: 140,
-    ATTACK_COOLDOWN: 60,
-    PATROL_DURATION: 180, // frames before changing patrol direction
-    PATROL_SPEED_FACTOR: 0.8 // How much of normal speed is used for patrol movement
-  };
+  static get WAVE_SETTINGS() {
+    return gameData.enemies.melee.waveSettings;
+  }
 
   /**
    * Creates a new melee enemy
@@ -72,13 +55,13 @@ export class MeleeEnemy extends BaseEnemy {
    * @param {EnemyManager} manager - Reference to the enemy manager
    * @param {number} x - Initial X position
    * @param {number} y - Initial Y position
-   * @param {string} tier - The tier of this enemy: 'SMALL', 'MEDIUM', or 'LARGE'
+   * @param {string} tier - The tier of this enemy, a key of TIER_STATS (e.g. 'SMALL')
    */
   constructor(scene, manager, x, y, tier) {
     // Validate tier and get the appropriate stats
     if (!MeleeEnemy.TIER_STATS[tier]) {
       console.error(`Invalid melee enemy tier: ${tier}`);
-      tier = 'SMALL'; // Default to SMALL if invalid tier
+      tier = MeleeEnemy.FALLBACK_TIER; // Default to the fallback tier if invalid
     }
     
     // Call parent constructor with the stats for this tier
@@ -91,8 +74,8 @@ export class MeleeEnemy extends BaseEnemy {
     this.createSprite();
     
     // Initialize patrol behavior
-    this.patrolDirection = Math.random() > 0.5 ? 1 : -1; // Random initial direction
-    this.patrolTimer = Math.floor(Math.random() * MeleeEnemy.WAVE_SETTINGS.PATROL_DURATION);
+    this.patrolDirection = this.random.sign(); // Random initial direction
+    this.patrolTimer = Math.floor(this.random.frac() * MeleeEnemy.WAVE_SETTINGS.PATROL_DURATION);
   }
 
   /**
@@ -210,7 +193,7 @@ export class MeleeEnemy extends BaseEnemy {
     // Calculate direction to target
     let targetX, targetY;
     
-    if (this.targetType === 'drill' || this.targetType === 'turret') {
+    if (this.targetType === 'drill' || this.targetType === 'turret' || this.targetType === 'scanner') {
       targetX = this.target.x;
       targetY = this.target.y;
     } else if (this.targetType === 'carrier') {
@@ -223,13 +206,13 @@ export class MeleeEnemy extends BaseEnemy {
     }
     
     // Calculate angle to target
-    const angle = this.math.Angle.Between(this.x, this.y, targetX, targetY);
+    const angle = this.angleTo(targetX, targetY);
     
     // Rotate sprite to face target
     this.sprite.rotation = angle + Math.PI/2;
     
     // Calculate distance to target
-    const distance = this.math.Distance.Between(this.x, this.y, targetX, targetY);
+    const distance = this.distanceTo(targetX, targetY);
     
     /*
      * Desired behaviour:
@@ -281,7 +264,7 @@ export class MeleeEnemy extends BaseEnemy {
     
     let targetX, targetY;
     
-    if (this.targetType === 'drill' || this.targetType === 'turret') {
+    if (this.targetType === 'drill' || this.targetType === 'turret' || this.targetType === 'scanner') {
       targetX = this.target.x;
       targetY = this.target.y;
     } else if (this.targetType === 'carrier') {
@@ -291,11 +274,11 @@ export class MeleeEnemy extends BaseEnemy {
       return;
     }
     
-    // Create a line from enemy to target
+    // Create a line from enemy to target (the short way across a wrapping world's seam)
     const line = this.scene.add.line(
       0, 0,
       this.x, this.y,
-      targetX, targetY,
+      this.manager.terrainManager.nearestX(targetX, this.x), targetY,
       0xff0000
     );
     line.setLineWidth(2);
@@ -343,10 +326,11 @@ export class MeleeEnemy extends BaseEnemy {
     const angle = Math.atan2(patrolSpeed * 0.5, this.patrolDirection * patrolSpeed);
     this.sprite.rotation = angle + Math.PI/2;
     
-    // Check world bounds and reverse direction if needed
-    const worldBounds = this.scene.cameras.main.getBounds();
-    if ((this.x < worldBounds.x + 50 && this.patrolDirection < 0) || 
-        (this.x > worldBounds.right - 50 && this.patrolDirection > 0)) {
+    // Check world bounds and reverse direction if needed (a wrapping world has none)
+    const terrain = this.manager.terrainManager;
+    if (terrain.wrapX) return;
+    if ((this.x < 50 && this.patrolDirection < 0) || 
+        (this.x > terrain.width - 50 && this.patrolDirection > 0)) {
       this.patrolDirection = -this.patrolDirection;
     }
   }
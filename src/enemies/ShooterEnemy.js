@@ -23,37 +23,24 @@
  */
 
 import { BaseEnemy } from './BaseEnemy.js';
+import { gameData } from '../gameData.js';
 
 export class ShooterEnemy extends BaseEnemy {
   /**
    * Stats for the shooter enemy
+   * Defined in src/data/enemies.json (shooter.stats)
    */
-  static STATS = {
-    HEALTH: 80,
-    SPEED: 60,
-    SIZE: 30, // Increased from 20
-    DAMAGE: 6,
-    COLOR: 0x9933ff // purple
-  };
+  static get STATS() {
+    return gameData.enemies.shooter.stats;
+  }
 
   /**
    * Configuration for shooter enemy projectiles and behavior
-   * Moved from EnemyManager to keep behavior consistent
+   * Defined in src/data/enemies.json (shooter.config)
    */
-  static SHOOTER_CONFIG = {
-    PROJECTILE_SPEED: 120,
-    PROJECTILE_DAMAGE: 4,
-    PROJECTILE_AOE: 3,
-    // Shooter accuracy (0-1). Lower accuracy => wider spread
-    ACCURACY: 0.75,
-    TERRAIN_DAMAGE_STRENGTH: 1,
-    ATTACK_RANGE: 800, // doubled per new design
-    ATTACK_COOLDOWN: 120,
-    STRAFE_HEIGHT: 100, // Height at which shooter flies
-    DIRECTION_CHANGE_CHANCE: 0.005, // Chance per frame to change direction
-    BURST_SHOTS: 3,
-    BURST_INTERVAL: 120 // frames between shots in a burst
-  };
+  static get SHOOTER_CONFIG() {
+    return gameData.enemies.shooter.config;
+  }
 
   /**
    * Creates a new shooter enemy
@@ -73,7 +60,7 @@ export class ShooterEnemy extends BaseEnemy {
     this.isShooter = true;
     
     // Set horizontal direction
-    this.hDir = hDir || (Math.random() < 0.5 ? 1 : -1);
+    this.hDir = hDir || this.random.sign();
     
     // Movement / strike state machine
     // States: PATROL – cruising at top height; STRIKE – diving toward target; RETREAT – climbing back up
@@ -182,12 +169,12 @@ export class ShooterEnemy extends BaseEnemy {
     
     // Transition from PATROL to STRIKE if target in range
     if (this.state === 'PATROL' && this.target) {
-      const dist = this.math.Distance.Between(this.x, this.y, this.target.x, this.target.y);
+      const dist = this.distanceTo(this.target.x, this.target.y);
       if (dist <= ShooterEnemy.SHOOTER_CONFIG.ATTACK_RANGE) {
         this.state = 'STRIKE';
         this.firedThisStrike = false;
         this.burstShotsRemaining = ShooterEnemy.SHOOTER_CONFIG.BURST_SHOTS;
-        this.strikeAngleOffset = this.math.FloatBetween(-Math.PI / 6, Math.PI / 6); // +/-30°
+        this.strikeAngleOffset = this.random.floatBetween(-Math.PI / 6, Math.PI / 6); // +/-30°
       }
     }
 
@@ -199,11 +186,10 @@ export class ShooterEnemy extends BaseEnemy {
    * Strafing behavior - moves horizontally at a fixed height
    */
   strafe() {
-    // Get world bounds
-    const worldBounds = this.scene.cameras.main.getBounds();
+    const terrain = this.manager.terrainManager;
     
     // Maintain a fixed height
-    const targetY = Math.min(ShooterEnemy.SHOOTER_CONFIG.STRAFE_HEIGHT, worldBounds.height / 3);
+    const targetY = Math.min(ShooterEnemy.SHOOTER_CONFIG.STRAFE_HEIGHT, terrain.height / 3);
     const yDiff = targetY - this.y;
     const yVelocity = Math.sign(yDiff) * Math.min(Math.abs(yDiff), this.speed);
     
@@ -217,13 +203,14 @@ export class ShooterEnemy extends BaseEnemy {
     this.sprite.rotation = this.hDir > 0 ? 0 : Math.PI;
     
     const margin = 60;
-    // Clamp X inside bounds a bit to avoid stuck jitter
-    if (this.x < worldBounds.x + margin) {
-      this.x = worldBounds.x + margin;
+    // Clamp X inside bounds a bit to avoid stuck jitter (a wrapping world has none)
+    if (terrain.wrapX) return;
+    if (this.x < margin) {
+      this.x = margin;
       this.sprite.x = this.x;
       if (this.hDir < 0) this.hDir = 1; // force rightwards
-    } else if (this.x > worldBounds.right - margin) {
-      this.x = worldBounds.right - margin;
+    } else if (this.x > terrain.width - margin) {
+      this.x = terrain.width - margin;
       this.sprite.x = this.x;
       if (this.hDir > 0) this.hDir = -1; // force leftwards
     }
@@ -247,7 +234,7 @@ export class ShooterEnemy extends BaseEnemy {
     const closestTarget = this.manager.findClosestTarget(this.x, this.y, candidateList);
 
     if (closestTarget) {
-      const distance = this.math.Distance.Between(this.x, this.y, closestTarget.x, closestTarget.y);
+      const distance = this.distanceTo(closestTarget.x, closestTarget.y);
       if (distance <= ShooterEnemy.SHOOTER_CONFIG.ATTACK_RANGE) {
         this.target = closestTarget;
         this.targetType = (closestTarget.priorityTag || '').toLowerCase();
@@ -279,13 +266,13 @@ export class ShooterEnemy extends BaseEnemy {
    */
   fireProjectile(targetX, targetY) {
     // Calculate base angle toward target
-    const baseAngle = this.math.Angle.Between(this.x, this.y, targetX, targetY);
+    const baseAngle = this.angleTo(targetX, targetY);
 
     // Compute spread based on shooter accuracy
     const inaccuracy = 1 - ShooterEnemy.SHOOTER_CONFIG.ACCURACY;
     const maxSpread = Math.PI / 4; // 45 degrees max spread
     const spreadRange = inaccuracy * maxSpread;
-    const randomOffset = this.math.FloatBetween(-spreadRange, spreadRange);
+    const randomOffset = this.random.floatBetween(-spreadRange, spreadRange);
     const finalAngle = baseAngle + randomOffset;
 
     // Create projectile
@@ -352,14 +339,14 @@ export class ShooterEnemy extends BaseEnemy {
     }
 
     // Approach with stored offset for variety
-    const baseAngle = this.math.Angle.Between(this.x, this.y, this.target.x, this.target.y);
+    const baseAngle = this.angleTo(this.target.x, this.target.y);
     const approachAngle = baseAngle + this.strikeAngleOffset;
     const vx = Math.cos(approachAngle) * (this.speed * 1.4);
     const vy = Math.sin(approachAngle) * (this.speed * 1.4);
     this.sprite.body.setVelocity(vx, vy);
     this.sprite.rotation = approachAngle + Math.PI / 2;
 
-    const dist = this.math.Distance.Between(this.x, this.y, this.target.x, this.target.y);
+    const dist = this.distanceTo(this.target.x, this.target.y);
 
     // Keep firing burst rounds until we are within 200 px of the target
     if (dist > 200) {
@@ -379,7 +366,7 @@ export class ShooterEnemy extends BaseEnemy {
    * Climbs back to cruising height and resumes patrol.
    */
   performRetreat() {
-    const cruisingY = Math.min(ShooterEnemy.SHOOTER_CONFIG.STRAFE_HEIGHT, this.scene.cameras.main.getBounds().height / 3);
+    const cruisingY = Math.min(ShooterEnemy.SHOOTER_CONFIG.STRAFE_HEIGHT, this.manager.terrainManager.height / 3);
 
     // Horizontal velocity maintained
     const xVelocity = this.hDir * this.speed;
@@ -395,22 +382,24 @@ export class ShooterEnemy extends BaseEnemy {
       this.sprite.body.setVelocity(0, 0);
 
       // randomly flip horizontal direction on exit to vary pattern
-      if (Math.random() < 0.5) this.hDir = -this.hDir;
+      if (this.random.chance(0.5)) this.hDir = -this.hDir;
     }
   }
 
   /**
-   * Keeps the enemy within horizontal camera bounds and flips direction if needed.
+   * Keeps the enemy within the world's horizontal bounds and flips direction
+   * if needed. In a wrapping world it just flies on across the seam.
    */
   handleWorldEdges() {
-    const bounds = this.scene.cameras.main.getBounds();
+    const terrain = this.manager.terrainManager;
+    if (terrain.wrapX) return;
     const margin = 60;
-    if (this.x < bounds.x + margin) {
-      this.x = bounds.x + margin;
+    if (this.x < margin) {
+      this.x = margin;
       this.sprite.x = this.x;
       if (this.hDir < 0) this.hDir = 1;
-    } else if (this.x > bounds.right - margin) {
-      this.x = bounds.right - margin;
+    } else if (this.x > terrain.width - margin) {
+      this.x = terrain.width - margin;
       this.sprite.x = this.x;
       if (this.hDir > 0) this.hDir = -1;
     }
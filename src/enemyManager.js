@@ -14,20 +14,28 @@
  * individual enemy classes, making it easier to add new enemy types.
  * 
  * ADDING A NEW ENEMY TYPE:
+ * (Plugins can do this without editing core files: api.registerEnemy(), see
+ * pluginManager.js – such types are spawned by spawnPluginEnemy().)
  * 1. Create a new class in src/enemies/ that extends BaseEnemy
  * 2. Add spawning logic in this manager (similar to spawnMeleeEnemy/spawnShooterEnemy)
  * 3. Update the wave spawn logic in spawnEnemy() to include the new type
+ *
+ * ADDING A NEW MELEE TIER needs no code: add an entry with a SPAWN_CHANCE to
+ * melee.tiers in src/data/enemies.json (see pickMeleeTier()).
  * 
  * RELATIONSHIP WITH OTHER COMPONENTS:
  * - Uses enemy classes from src/enemies/
  * - Interacts with DrillManager, TurretManager, and TerrainManager
  * - Provides enemy data to UI components
+ * - Emits wave:started / wave:completed on scene.bus; enemies emit
+ *   enemy:killed themselves (BaseEnemy.reportKill())
  * 
  * @author EdgeWorldMiners Team
  */
 
 import { MeleeEnemy } from './enemies/MeleeEnemy.js';
 import { ShooterEnemy } from './enemies/ShooterEnemy.js';
+import { gameData } from './gameData.js';
 
 export class EnemyManager {
   /**
@@ -46,6 +54,9 @@ export class EnemyManager {
     this.turretManager = turretManager;
     this.carrier = carrier;
     
+    // Seeded stream for spawns and enemy behaviour (see randomManager.js)
+    this.random = scene.rng.stream('enemies');
+    
     // Array of all active enemy instances
     this.enemies = [];
     
@@ -76,8 +87,55 @@ export class EnemyManager {
     // NEW: Flag to control when the wave system starts. Waves are disabled until the
     //      main scene signals that the world has finished generating.
     this.waveSystemEnabled = false;
+
+    // Falling debris hits enemies underneath it
+    scene.bus?.on('tile:fell', this.onTileFell, this);
+    // Breaking into an alien nest releases its brood
+    scene.bus?.on('tile:destroyed', this.onTileDestroyed, this);
+  }
+
+  /**
+   * Damages every enemy inside the tile a falling tile just moved into
+   * ('tile:fell' listener)
+   *
+   * @param {object} event - 'tile:fell' payload: col, row, tile
+   */
+  onTileFell({ col, row, tile }) {
+    const tileSize = this.terrainManager.tileSize;
+    const damage = tile.hardness * this.terrainManager.FALL_DAMAGE_PER_HARDNESS;
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      const enemy = this.enemies[i];
+      if (!enemy.active || Math.floor(enemy.x / tileSize) !== col || Math.floor(enemy.y / tileSize) !== row) continue;
+      this.damageEnemy(i, damage);
+    }
   }
   
+  /**
+   * Spawns the melee enemies a broken tile releases – materials with `spawns`,
+   * such as the egg sacs of an alien nest ('tile:destroyed' listener).
+   * They are tagged `fromNest` and don't hold up the current wave.
+   *
+   * @param {object} event - 'tile:destroyed' payload: col, row, tile
+   */
+  onTileDestroyed({ col, row, tile }) {
+    if (!tile.spawns) return;
+    const tileSize = this.terrainManager.tileSize;
+    const x = (col + 0.5) * tileSize;
+    const y = (row + 0.5) * tileSize;
+    for (const [tier, count] of Object.entries(tile.spawns)) {
+      if (!MeleeEnemy.TIER_STATS[tier]) {
+        console.warn(`Tile "${tile.name}" spawns unknown melee tier "${tier}"`);
+        continue;
+      }
+      for (let i = 0; i < count; i++) {
+        const enemy = new MeleeEnemy(this.scene, this, x, y, tier);
+        enemy.fromNest = true;
+        this.enemies.push(enemy);
+      }
+    }
+    this.scene.ui?.showNotification('Something was disturbed in the rock!', 'danger');
+  }
+
   // Method to set drillManager after initialization (to avoid circular dependencies)
   setDrillManager(drillManager) {
     this.drillManager = drillManager;
@@ -102,6 +160,7 @@ export class EnemyManager {
                              (this.currentWave - 1) * this.WAVE_SETTINGS.ENEMIES_INCREMENT;
     this.isWaveActive = true;
     console.log(`Wave ${this.currentWave} started! Enemies: ${this.enemiesLeftToSpawn}`);
+    this.scene.bus?.emit('wave:started', { wave: this.currentWave, enemies: this.enemiesLeftToSpawn });
   }
   
   /**
@@ -110,9 +169,18 @@ export class EnemyManager {
   spawnEnemy() {
     if (this.enemiesLeftToSpawn <= 0) return;
     
+    // Enemy types added by plugins each get their own roll
+    for (const [type, { spawnChance }] of gameData.enemyTypes) {
+      if (this.random.chance(this.getSpawnThreshold(spawnChance))) {
+        this.spawnPluginEnemy(type);
+        this.enemiesLeftToSpawn--;
+        return;
+      }
+    }
+    
     // Chance to spawn the shooter enemy
     const shooterChance = Math.min(0.15 + (this.currentWave * 0.02), 0.4);
-    if (Math.random() < shooterChance) {
+    if (this.random.chance(shooterChance)) {
       this.spawnShooterEnemy();
       this.enemiesLeftToSpawn--;
       return;
@@ -124,28 +192,75 @@ export class EnemyManager {
   }
   
   /**
-   * Spawns a melee enemy (SMALL, MEDIUM, or LARGE tier)
+   * Picks a melee tier for the current wave.
+   *
+   * Each tier with a SPAWN_CHANCE gets a cumulative threshold
+   * min(BASE + PER_WAVE * wave, MAX) (zero before its MIN_WAVE). A single roll
+   * is checked against the thresholds from lowest to highest; the first one
+   * it falls under wins, otherwise the fallback tier (no SPAWN_CHANCE) spawns.
+   *
+   * @param {number} roll - Random number in [0, 1)
+   * @returns {string} - Tier key of MeleeEnemy.TIER_STATS
+   */
+  pickMeleeTier(roll) {
+    const thresholds = Object.entries(MeleeEnemy.TIER_STATS)
+      .filter(([, stats]) => stats.SPAWN_CHANCE)
+      .map(([tier, stats]) => ({ tier, threshold: this.getSpawnThreshold(stats.SPAWN_CHANCE) }))
+      .sort((a, b) => a.threshold - b.threshold);
+
+    const picked = thresholds.find(({ threshold }) => roll < threshold);
+    return picked ? picked.tier : MeleeEnemy.FALLBACK_TIER;
+  }
+
+  /**
+   * Current value of a SPAWN_CHANCE block: min(BASE + PER_WAVE * wave, MAX),
+   * or 0 before MIN_WAVE
+   *
+   * @param {object} chance - { BASE, PER_WAVE, MAX, MIN_WAVE? }
+   * @returns {number}
+   */
+  getSpawnThreshold(chance) {
+    if (this.currentWave < (chance.MIN_WAVE ?? 0)) return 0;
+    return Math.min(chance.BASE + this.currentWave * chance.PER_WAVE, chance.MAX);
+  }
+
+  /**
+   * Spawns an enemy type registered by a plugin (see pluginManager.js).
+   * It enters from the top like melee enemies; a constructor that throws
+   * is reported and the spawn skipped.
+   *
+   * @param {string} type - Type registered with gameData.registerEnemyType()
+   */
+  spawnPluginEnemy(type) {
+    const worldWidth = this.terrainManager.width;
+    const x = 100 + this.random.frac() * (worldWidth - 200);
+    const enemy = this.createPluginEnemy(type, x, -30);
+    if (enemy) this.enemies.push(enemy);
+  }
+
+  createPluginEnemy(type, x, y) {
+    const { EnemyClass } = gameData.getEnemyType(type);
+    try {
+      const enemy = new EnemyClass(this.scene, this, x, y);
+      enemy.tier = type;
+      return enemy;
+    } catch (error) {
+      console.error(`Failed to spawn enemy "${type}":`, error);
+      this.scene.ui?.showNotification(`Failed to spawn enemy "${type}": ${error.message}`, 'danger');
+      return null;
+    }
+  }
+
+  /**
+   * Spawns a melee enemy of a tier chosen by pickMeleeTier()
    */
   spawnMeleeEnemy() {
-    // Determine enemy tier based on wave and random chance
-    let tierChance = Math.random();
-    let tierType;
-    
     // As waves progress, chance for larger enemies increases
-    const largeChance = Math.min(0.2 + (this.currentWave * 0.03), 0.5);
-    const mediumChance = Math.min(0.3 + (this.currentWave * 0.04), 0.7);
-    
-    if (tierChance < largeChance) {
-      tierType = 'LARGE';
-    } else if (tierChance < mediumChance) {
-      tierType = 'MEDIUM';
-    } else {
-      tierType = 'SMALL';
-    }
+    const tierType = this.pickMeleeTier(this.random.frac());
     
     // Spawn at random position along the top of the world
-    const worldWidth = this.scene.cameras.main.getBounds().right;
-    const x = 100 + Math.random() * (worldWidth - 200);
+    const worldWidth = this.terrainManager.width;
+    const x = 100 + this.random.frac() * (worldWidth - 200);
     const y = -30; // Start just above the visible area
     
     // Create the enemy instance
@@ -156,17 +271,21 @@ export class EnemyManager {
   }
   
   /**
-   * Spawns a shooter enemy that enters from the left or right side
+   * Spawns a shooter enemy that enters from the left or right side (a
+   * wrapping world has no sides – it appears anywhere along the top, heading
+   * that way)
    */
   spawnShooterEnemy() {
     // Determine which side to spawn from
-    const side = Math.random() < 0.5 ? 'LEFT' : 'RIGHT';
+    const side = this.random.chance(0.5) ? 'LEFT' : 'RIGHT';
     const hDir = side === 'LEFT' ? 1 : -1; // horizontal movement direction
 
     // Calculate spawn position
-    const worldBounds = this.scene.cameras.main.getBounds();
-    const x = side === 'LEFT' ? worldBounds.x - 30 : worldBounds.right + 30;
-    const y = 50 + Math.random() * 100; // near the top of the world
+    const worldWidth = this.terrainManager.width;
+    const x = this.terrainManager.wrapX
+      ? this.random.frac() * worldWidth
+      : side === 'LEFT' ? -30 : worldWidth + 30;
+    const y = 50 + this.random.frac() * 100; // near the top of the world
 
     // Create the enemy instance
     const enemy = new ShooterEnemy(this.scene, this, x, y, hDir);
@@ -217,11 +336,12 @@ export class EnemyManager {
       }
     }
     
-    // Check if wave is complete
-    if (this.isWaveActive && this.enemiesLeftToSpawn <= 0 && this.enemies.length === 0) {
+    // Check if wave is complete (enemies released from nests don't count)
+    if (this.isWaveActive && this.enemiesLeftToSpawn <= 0 && this.enemies.every(enemy => enemy.fromNest)) {
       console.log(`Wave ${this.currentWave} complete!`);
       this.isWaveActive = false;
       this.waveBreakTimer = this.WAVE_SETTINGS.BREAK_DURATION;
+      this.scene.bus?.emit('wave:completed', { wave: this.currentWave });
     }
     
     // Start next wave after break
@@ -248,7 +368,8 @@ export class EnemyManager {
         continue;
       }
       
-      // Update the enemy
+      // Update the enemy (seen across the seam it re-enters from the other side)
+      if (enemy.sprite) this.terrainManager.wrapObject(enemy.sprite);
       enemy.update();
       
       // Check if enemy is off-screen and should be removed
@@ -266,6 +387,7 @@ export class EnemyManager {
     for (let i = this.projectiles.length - 1; i >= 0; i--) {
       const projectile = this.projectiles[i];
       const sprite = projectile.sprite;
+      this.terrainManager.wrapObject(sprite);
       
       // Remove projectiles that have gone off world bounds
       if (this.isProjectileOffScreen(sprite)) {
@@ -286,13 +408,11 @@ export class EnemyManager {
    * @returns {boolean} - True if the enemy is off-screen
    */
   isEnemyOffScreen(enemy) {
-    const bounds = this.scene.cameras.main.getBounds();
     const buffer = 100; // Extra buffer to allow enemies to move off-screen a bit
     
     return (
-      enemy.x < bounds.x - buffer ||
-      enemy.x > bounds.right + buffer ||
-      enemy.y > bounds.bottom + buffer
+      this.terrainManager.isPastSide(enemy.x, buffer) ||
+      enemy.y > this.terrainManager.height + buffer
     );
   }
   
@@ -303,13 +423,10 @@ export class EnemyManager {
    * @returns {boolean} - True if the projectile is off-screen
    */
   isProjectileOffScreen(sprite) {
-    const bounds = this.scene.cameras.main.getBounds();
-    
     return (
-      sprite.x < bounds.x ||
-      sprite.x > bounds.right ||
-      sprite.y < bounds.y ||
-      sprite.y > bounds.bottom
+      this.terrainManager.isPastSide(sprite.x) ||
+      sprite.y < 0 ||
+      sprite.y > this.terrainManager.height
     );
   }
   
@@ -353,17 +470,20 @@ export class EnemyManager {
       }
     }
     
-    // Get all turrets
-    const turrets = this.turretManager ? this.turretManager.getTurrets() : [];
+    // Get all turrets and scanners
+    const structures = [
+      ...(this.turretManager ? this.turretManager.getTurrets() : []),
+      ...(this.scene.scannerManager?.getScanners() ?? [])
+    ];
     
-    // Check collision with turrets
-    for (const turret of turrets) {
-      const distance = this.getDistance(sprite, turret);
+    // Check collision with turrets and scanners
+    for (const structure of structures) {
+      const distance = this.getDistance(sprite, structure);
       
       // Simple collision detection
       if (distance < 20) {
         // Apply direct hit damage
-        turret.takeDamage(projectile.damage);
+        structure.takeDamage(projectile.damage);
         
         // Create explosion effect and apply AOE damage
         this.createExplosionEffect(sprite.x, sprite.y, projectile.aoeRange);
@@ -472,14 +592,15 @@ export class EnemyManager {
   }
   
   /**
-   * Calculates distance between two objects with x,y properties
+   * Calculates distance between two objects with x,y properties (the short
+   * way round in a wrapping world, see TerrainManager.distanceBetween())
    * 
    * @param {object} objA - First object with x,y properties
    * @param {object} objB - Second object with x,y properties
    * @returns {number} - Distance between the objects
    */
   getDistance(objA, objB) {
-    return Phaser.Math.Distance.Between(
+    return this.terrainManager.distanceBetween(
       objA.x, objA.y,
       objB.x, objB.y
     );
@@ -500,7 +621,7 @@ export class EnemyManager {
     let closestDistance = Infinity;
     
     for (const target of targets) {
-      const distance = Phaser.Math.Distance.Between(
+      const distance = this.terrainManager.distanceBetween(
         x, y,
         target.x, target.y
       );
@@ -524,7 +645,7 @@ export class EnemyManager {
    */
   damageEnemiesInRange(x, y, radius, damage) {
     for (const enemy of this.enemies) {
-      const distance = Phaser.Math.Distance.Between(x, y, enemy.x, enemy.y);
+      const distance = this.terrainManager.distanceBetween(x, y, enemy.x, enemy.y);
       
       if (distance <= radius) {
         // Apply damage with falloff based on distance from center
@@ -622,18 +743,25 @@ export class EnemyManager {
     };
   }
   
+  /**
+   * Returns the number of fully cleared waves
+   * 
+   * @returns {number}
+   */
+  getWavesSurvived() {
+    return this.isWaveActive ? this.currentWave - 1 : this.currentWave;
+  }
+  
   /**
    * Returns counts of each enemy type
    * 
    * @returns {object} - Object with counts for each enemy type
    */
   getEnemyTypeCounts() {
-    const counts = {
-      SMALL: 0,
-      MEDIUM: 0,
-      LARGE: 0,
-      SHOOTER: 0
-    };
+    const counts = { SHOOTER: 0 };
+    for (const tier of [...Object.keys(MeleeEnemy.TIER_STATS), ...gameData.enemyTypes.keys()]) {
+      counts[tier] = 0;
+    }
     
     // Count enemies by tier
     for (const enemy of this.enemies) {
@@ -699,6 +827,66 @@ export class EnemyManager {
     }
   }
 
+  /**
+   * Captures wave progress and every living enemy for a save file.
+   * Projectiles in flight are transient and are not saved.
+   *
+   * @returns {object} - Plain serializable snapshot
+   */
+  serialize() {
+    return {
+      timer: this.timer,
+      currentWave: this.currentWave,
+      enemiesLeftToSpawn: this.enemiesLeftToSpawn,
+      spawnTimer: this.spawnTimer,
+      waveBreakTimer: this.waveBreakTimer,
+      isWaveActive: this.isWaveActive,
+      enemies: this.enemies
+        .filter(enemy => enemy.active)
+        .map(enemy => ({
+          tier: enemy.tier,
+          x: enemy.x,
+          y: enemy.y,
+          health: enemy.health,
+          hDir: enemy.hDir,
+          fromNest: enemy.fromNest || undefined
+        }))
+    };
+  }
+
+  /**
+   * Restores wave progress and respawns saved enemies.
+   * The wave system itself stays disabled until the scene re-enables it.
+   *
+   * @param {object} state - Snapshot produced by serialize()
+   */
+  restore(state) {
+    this.timer = state.timer;
+    this.currentWave = state.currentWave;
+    this.enemiesLeftToSpawn = state.enemiesLeftToSpawn;
+    this.spawnTimer = state.spawnTimer;
+    this.waveBreakTimer = state.waveBreakTimer;
+    this.isWaveActive = state.isWaveActive;
+
+    for (const saved of state.enemies) {
+      let enemy;
+      if (saved.tier === 'SHOOTER') {
+        enemy = new ShooterEnemy(this.scene, this, saved.x, saved.y, saved.hDir);
+      } else if (gameData.getEnemyType(saved.tier)) {
+        enemy = this.createPluginEnemy(saved.tier, saved.x, saved.y);
+      } else if (MeleeEnemy.TIER_STATS[saved.tier]) {
+        enemy = new MeleeEnemy(this.scene, this, saved.x, saved.y, saved.tier);
+      } else {
+        // e.g. the plugin that added this enemy type is no longer enabled
+        console.warn(`Skipping saved enemy of unknown type "${saved.tier}"`);
+      }
+      if (!enemy) continue;
+      enemy.health = saved.health;
+      if (saved.fromNest) enemy.fromNest = true;
+      this.enemies.push(enemy);
+    }
+  }
+
   /**
    * Enables the wave system. Call this once the world has fully loaded so that
    * waves (and their counters) do not start prematurely.
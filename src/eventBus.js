@@ -0,0 +1,155 @@
+// Gameplay Event Bus for Edge World Miners
+// -------------------------------------------------------------
+// Managers announce what happened in the world on scene.bus; anything that
+// cares – HUD, run statistics, audio, achievements, plugins – subscribes
+// without the emitting manager knowing about it:
+//
+//   scene.bus.on('enemy:killed', ({ type, wave }) => { ... });
+//
+// Every event is listed in GAME_EVENTS together with the payload fields it
+// always carries. Emitting or subscribing to an unlisted event, or emitting
+// without one of its fields, is reported with console.warn so a typo can't
+// silently go nowhere. A listener that throws is logged and skipped; the
+// emitting manager and the other listeners carry on.
+//
+// createSimulation() makes one bus per world, so listeners go away with the
+// scene that registered them.
+// -------------------------------------------------------------
+
+/**
+ * Event names and the payload fields each one carries.
+ *
+ * enemy:killed         an enemy's health reached 0 (leaving the screen is not a kill)
+ *   enemy, type (tier, 'SHOOTER' or plugin type), x, y, wave
+ * structure:placed     the player (or the headless runner) built a drill or turret
+ *   structure, type (building id), kind ('drill' | 'turret' | 'scanner'), x, y
+ * structure:destroyed  a drill, turret or scanner was destroyed
+ *   structure, type, kind, x, y
+ * wave:started         a wave began spawning
+ *   wave, enemies (number that will spawn)
+ * wave:completed       every enemy of the wave has spawned and is gone
+ *   wave
+ * cargo:delivered      cargo reached the carrier and its resources were added
+ *   payload (resource bill), x, y
+ * tile:destroyed       a terrain tile was broken and replaced by air
+ *   col, row, tile (the broken tile), cause ('mining' | 'explosion')
+ * tile:fell            a loose tile fell or slid one cell, into (col, row)
+ *   col, row, tile (its material)
+ * terrain:collapsed    unsupported rock around (col, row) broke into loose debris
+ *   col, row, tiles (how many collapsed)
+ * chunk:generated      a terrain chunk finished generating
+ *   x, y (chunk coordinates)
+ * run:ended            RunManager declared the run over
+ *   outcome ('defeat' | 'victory'), reason, plus the RunManager summary
+ *
+ * @type {Object<string, string[]>}
+ */
+export const GAME_EVENTS = {
+  'enemy:killed': ['enemy', 'type', 'x', 'y', 'wave'],
+  'structure:placed': ['structure', 'type', 'kind', 'x', 'y'],
+  'structure:destroyed': ['structure', 'type', 'kind', 'x', 'y'],
+  'wave:started': ['wave', 'enemies'],
+  'wave:completed': ['wave'],
+  'cargo:delivered': ['payload', 'x', 'y'],
+  'tile:destroyed': ['col', 'row', 'tile', 'cause'],
+  'tile:fell': ['col', 'row', 'tile'],
+  'terrain:collapsed': ['col', 'row', 'tiles'],
+  'chunk:generated': ['x', 'y'],
+  'run:ended': ['outcome', 'reason']
+};
+
+export class EventBus {
+  /**
+   * @param {Object<string, string[]>} [events] - Catalog of known events (see GAME_EVENTS)
+   */
+  constructor(events = GAME_EVENTS) {
+    this.events = events;
+    this.listeners = new Map(); // event name -> [{ handler, context, once }]
+  }
+
+  /**
+   * Subscribe to an event.
+   *
+   * @param {string} event - A name from GAME_EVENTS
+   * @param {function(object): void} handler - Called with the event payload
+   * @param {object} [context] - `this` for the handler
+   * @param {boolean} [once=false] - Unsubscribe after the first call (see once())
+   * @returns {function(): void} Removes this subscription
+   */
+  on(event, handler, context, once = false) {
+    if (!this.isKnown(event)) {
+      console.warn(`EventBus: subscribing to unknown event "${event}"`);
+    }
+    if (!this.listeners.has(event)) this.listeners.set(event, []);
+    this.listeners.get(event).push({ handler, context, once });
+    return () => this.off(event, handler, context);
+  }
+
+  /**
+   * Subscribe to the next emit of an event only.
+   *
+   * @param {string} event
+   * @param {function(object): void} handler
+   * @param {object} [context]
+   * @returns {function(): void} Removes this subscription
+   */
+  once(event, handler, context) {
+    return this.on(event, handler, context, true);
+  }
+
+  /**
+   * Remove a subscription made with on() / once().
+   *
+   * @param {string} event
+   * @param {function(object): void} handler
+   * @param {object} [context] - Must match the context passed to on()
+   */
+  off(event, handler, context) {
+    const list = this.listeners.get(event);
+    if (!list) return;
+    const index = list.findIndex(l => l.handler === handler && l.context === context);
+    if (index > -1) list.splice(index, 1);
+  }
+
+  /**
+   * Announce an event to its subscribers.
+   *
+   * @param {string} event - A name from GAME_EVENTS
+   * @param {object} payload - Must carry every field listed for the event
+   */
+  emit(event, payload = {}) {
+    if (!this.isKnown(event)) {
+      console.warn(`EventBus: emitting unknown event "${event}"`);
+    } else {
+      const missing = this.events[event].filter(field => !(field in payload));
+      if (missing.length) {
+        console.warn(`EventBus: "${event}" emitted without ${missing.join(', ')}`);
+      }
+    }
+
+    const list = this.listeners.get(event);
+    if (!list || list.length === 0) return;
+
+    // Copy so listeners can unsubscribe (or subscribe) while being called
+    for (const listener of [...list]) {
+      if (listener.once) {
+        const index = list.indexOf(listener);
+        if (index > -1) list.splice(index, 1);
+      }
+      try {
+        listener.handler.call(listener.context, payload);
+      } catch (error) {
+        console.error(`EventBus: "${event}" listener failed:`, error);
+      }
+    }
+  }
+
+  isKnown(event) {
+    return Object.prototype.hasOwnProperty.call(this.events, event);
+  }
+
+  // Drop every subscription (the scene is shutting down)
+  removeAll() {
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,39 @@
+// Exploration (fog of war reveals) for Edge World Miners
+// -------------------------------------------------------------
+// The ground below the surface starts hidden (TerrainManager "Fog of war").
+// This manager decides what uncovers it, from gameplay events on scene.bus:
+//
+//   tile:destroyed     the broken tile and the rock around it – a wider
+//                      circle for explosions than for mining
+//   structure:placed   the ground around a new drill, turret or scanner
+//
+// Scanners reveal their own, much larger circle (see ScannerManager).
+// -------------------------------------------------------------
+
+export class ExplorationManager {
+  constructor(scene, terrainManager) {
+    this.scene = scene;
+    this.terrainManager = terrainManager;
+
+    // Tiles revealed around a broken tile, by 'tile:destroyed' cause
+    this.REVEAL_RADIUS = {
+      mining: 2,
+      explosion: 3
+    };
+    // Tiles revealed around a newly placed structure
+    this.STRUCTURE_REVEAL_RADIUS = 5;
+
+    scene.bus?.on('tile:destroyed', this.onTileDestroyed, this);
+    scene.bus?.on('structure:placed', this.onStructurePlaced, this);
+  }
+
+  onTileDestroyed({ col, row, cause }) {
+    const radius = this.REVEAL_RADIUS[cause] ?? this.REVEAL_RADIUS.mining;
+    this.terrainManager.revealCircle(col, row, radius);
+  }
+
+  onStructurePlaced({ x, y }) {
+    const tileSize = this.terrainManager.tileSize;
+    this.terrainManager.revealCircle(Math.floor(x / tileSize), Math.floor(y / tileSize), this.STRUCTURE_REVEAL_RADIUS);
+  }
+}
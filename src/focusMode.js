@@ -85,6 +85,15 @@ export class FocusMode {
     }
   }
 
+  // Remove DOM elements (called by UI when the scene shuts down)
+  destroy() {
+    this.exit();
+    if (this.cursorEl) this.cursorEl.remove();
+    if (this.infoEl) this.infoEl.remove();
+    this.cursorEl = null;
+    this.infoEl = null;
+  }
+
   handlePointerMove(pointer) {
     // Show elements on first move (if they were hidden)
     if (this.cursorEl && this.cursorEl.style.display === 'none') {
@@ -106,7 +115,7 @@ export class FocusMode {
     const result = { label: 'UNKNOWN', details: '' };
 
     // World coordinates
-    const wx = pointer.worldX;
+    let wx = pointer.worldX;
     const wy = pointer.worldY;
 
     if (wx === undefined || wy === undefined || Number.isNaN(wx) || Number.isNaN(wy)) {
@@ -118,17 +127,24 @@ export class FocusMode {
 
     // Get terrain manager - try both direct and scene reference
     const tm = this.scene.terrainManager || this.scene.scene?.terrainManager;
+    // Distances to buildings go the short way round a wrapping world
+    if (tm) wx = tm.wrapWorldX(wx);
+    const distance = (x, y) => tm ? tm.distanceBetween(wx, wy, x, y) : Phaser.Math.Distance.Between(wx, wy, x, y);
 
     // ---- 1) Buildings ----
     // Check drills
     const drills = this.scene.drillManager?.drills || [];
     for (const drill of drills) {
       if (!drill.isAlive) continue;
-      const dist = Phaser.Math.Distance.Between(wx, wy, drill.x, drill.y);
+      const dist = distance(drill.x, drill.y);
       if (dist < 25) {
         if (this.debug) console.log('Focus: Found drill', drill);
         result.label = 'MINING DRILL';
-        result.details = `Health: ${drill.health}`;
+        const status = this.scene.drillManager.getDrillStatus(drill);
+        const material = status.material.replace(/_/g, ' ').toUpperCase();
+        result.details = `Health: ${drill.health}<br>Depth: ${status.depth} tiles<br>` +
+          (status.buried ? 'Buried – clear the tile above to resume' :
+            status.reachedBottom ? `Stopped at ${material}` : `Mining: ${material}`);
         return result;
       }
     }
@@ -137,11 +153,24 @@ export class FocusMode {
     for (const turret of turrets) {
       const sprite = turret.container ?? turret.sprite ?? turret;
       if (!sprite) continue;
-      const dist = Phaser.Math.Distance.Between(wx, wy, sprite.x, sprite.y);
+      const dist = distance(sprite.x, sprite.y);
       if (dist < 30) {
         if (this.debug) console.log('Focus: Found turret', turret);
         result.label = 'TURRET';
-        result.details = `Range: ${this.scene.turretManager.TURRET_STATS?.RANGE || ''}`;
+        result.details = `${turret.STATS.NAME}<br>Range: ${Math.round(turret.stat('RANGE'))}`;
+        return result;
+      }
+    }
+    // Check scanners
+    const scanners = this.scene.scannerManager?.getScanners() || [];
+    for (const scanner of scanners) {
+      const dist = distance(scanner.x, scanner.y);
+      if (dist < 25) {
+        if (this.debug) console.log('Focus: Found scanner', scanner);
+        result.label = 'SCANNER';
+        const progress = Math.round(scanner.sweepRadius / scanner.stats.RANGE * 100);
+        result.details = `Health: ${scanner.health}<br>` +
+          (progress < 100 ? `Scanning: ${progress}%` : `Scan complete (${scanner.stats.RANGE} px)`);
         return result;
       }
     }
@@ -153,7 +182,8 @@ export class FocusMode {
     }
     
     try {
-      const colIdx = Math.floor(wx / tm.tileSize);
+      // Wrapped by column too: a world's width need not be a whole number of tiles
+      const colIdx = tm.wrapCol(Math.floor(wx / tm.tileSize));
       const rowIdx = Math.floor(wy / tm.tileSize);
       
       if (this.debug) console.log(`Focus: Checking tile at [${colIdx}, ${rowIdx}]`);
@@ -164,6 +194,13 @@ export class FocusMode {
         return result;
       }
 
+      // Fog of war: nothing is known about a hidden tile, not even air
+      if (typeof tm.isRevealed === 'function' && !tm.isRevealed(colIdx, rowIdx)) {
+        result.label = 'UNKNOWN';
+        result.details = 'Unexplored – mine, build or scan nearby to reveal';
+        return result;
+      }
+
       // Try current tile first
       let tileObj = null;
       
@@ -173,14 +210,14 @@ export class FocusMode {
         if (this.debug) console.log('Focus: getTileAt result:', tileObj?.name || 'null');
       }
       
-      // If that failed, try direct array access
-      if (!tileObj && tm.tiles && tm.tiles[rowIdx] && tm.tiles[rowIdx][colIdx]) {
-        tileObj = tm.tiles[rowIdx][colIdx];
+      // If that failed, look the tile up by its grid position
+      if (!tileObj) {
+        tileObj = tm.getTile(colIdx, rowIdx);
         if (this.debug) console.log('Focus: Direct tile access result:', tileObj?.name || 'null');
       }
 
       // Determine if the pointer is in an air cell; if so decide SKY vs UNDERGROUND
-      const initialTile = tm.tiles[rowIdx]?.[colIdx];
+      const initialTile = tm.getTile(colIdx, rowIdx);
       if (initialTile && initialTile.name === 'air') {
         if (rowIdx < tm.seaLevelRow) {
           result.label = 'SKY';
@@ -197,7 +234,13 @@ export class FocusMode {
       if (tileObj) {
         if (this.debug) console.log('Focus: Reporting tile:', tileObj.name, 'hardness:', tileObj.hardness);
         result.label = tileObj.name.replace(/_/g, ' ').toUpperCase();
-        result.details = tileObj.name === 'air' ? '' : `Hardness: ${tileObj.hardness}`;
+        if (tileObj.liquid) {
+          result.details = `Liquid – level ${tileObj.level}/${tm.LIQUID_LEVELS}` +
+            (tileObj.contactDamage ? `<br>Burns structures (${tileObj.contactDamage}/s)` : '');
+        } else {
+          const remaining = Math.round((tileObj.hardness - (tileObj.damage ?? 0)) * 10) / 10;
+          result.details = tileObj.name === 'air' ? '' : `Hardness: ${remaining}/${tileObj.hardness}`;
+        }
         return result;
       }
     } catch (err) {
@@ -1,12 +1,12 @@
 import Phaser from 'phaser';
 import { createUI } from './ui.js';
-import { createCarrier } from './carrier.js';
-import { DrillManager } from './drillManager.js';
-import { ResourceManager } from './resourceManager.js';
-import { TerrainManager } from './terrainManager.js';
-import { TurretManager } from './turretManager.js';
-import { EnemyManager } from './enemyManager.js';
+import { createSimulation, updateSimulation } from './simulation.js';
 import { createBuildManager } from './buildManager.js';
+import { SaveManager } from './saveManager.js';
+import { pluginManager } from './pluginManager.js';
+import { gameData } from './gameData.js';
+import { WorldSetupScreen } from './worldSetup.js';
+import { DEFAULT_WORLD_SETTINGS, resolveWorldSize, settingsFromParams, terrainOptions } from './worldSettings.js';
 
 let drillManager, resourceManager, terrainManager, turretManager, enemyManager, buildManager;
 
@@ -46,23 +46,80 @@ class LoadingScene extends Phaser.Scene {
   }
 
   create() {
-    // Generate world parameters once here
-    const minWidth = 1024;
-    const maxWidth = 6048; // Further reduced for performance
-    const randomWidthAddition = Math.floor(Math.random() * (maxWidth - minWidth));
-    const worldWidth = minWidth + randomWidthAddition;
-    
-    const minHeight = 1800; // Ensure 800 px sky + 1000 px depth
-    const maxHeight = 2400;
-    const randomHeightAddition = Math.floor(Math.random() * (maxHeight - minHeight));
-    const worldHeight = minHeight + randomHeightAddition;
-    
-    const worldSeed = Math.random() * 1000;
+    // Validate src/data/*.json and load plugins (once per page) before
+    // anything is built from them
+    pluginManager.loadAll().then(
+      () => this.chooseWorld(),
+      error => {
+        console.error(error);
+        this.showDataError(error.message);
+      }
+    );
+  }
+
+  // Pick the world to generate: a pending save (set by SaveManager.load) or
+  // "Retry Seed" from the run summary start right away, anything else goes
+  // through the world setup screen first
+  chooseWorld() {
+    const pendingSave = this.registry.get('pendingSave');
+    if (pendingSave) {
+      const { width, height, seed, ...settings } = pendingSave.world;
+      this.startWorld(seed, { ...DEFAULT_WORLD_SETTINGS, ...settings }, { width, height });
+      return;
+    }
+
+    const requestedSeed = this.registry.get('requestedSeed');
+    this.registry.remove('requestedSeed');
+    if (requestedSeed) {
+      this.startWorld(requestedSeed, this.registry.get('worldSettings') ?? DEFAULT_WORLD_SETTINGS);
+      return;
+    }
+
+    // The setup screen opens on the world in the URL on first boot (shared
+    // links, bug reports, balance tests), later on the previous run's
+    // settings with a fresh seed
+    let seed = null;
+    let settings = this.registry.get('worldSettings');
+    if (!settings) {
+      const params = settingsFromParams(new URLSearchParams(window.location.search), Object.keys(gameData.biomes));
+      ({ seed, settings } = params);
+    }
+    seed ??= Math.floor(Math.random() * 1000000000);
+
+    const uiRoot = document.getElementById('ui-overlay');
+    if (!uiRoot) {
+      this.startWorld(seed, settings);
+      return;
+    }
+    this.hideLegacyLoadingVisuals();
+    this.worldSetup = new WorldSetupScreen(uiRoot, {
+      seed,
+      settings,
+      onStart: (chosenSeed, chosenSettings) => {
+        this.worldSetup = null;
+        this.startWorld(chosenSeed, chosenSettings);
+      }
+    });
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => this.worldSetup?.destroy());
+  }
+
+  /**
+   * Generate (or restore) a world and hand over to GameScene.
+   *
+   * @param {number} worldSeed
+   * @param {object} worldSettings - See worldSettings.js
+   * @param {{width: number, height: number}} [size] - Saved size; otherwise resolved from the settings
+   */
+  startWorld(worldSeed, worldSettings, size = resolveWorldSize(worldSeed, worldSettings)) {
+    const pendingSave = this.registry.get('pendingSave');
+    const { width: worldWidth, height: worldHeight } = size;
+    console.log(`World seed: ${worldSeed} (${worldWidth}x${worldHeight}${worldSettings.wrapX ? ', wrapping' : ''})`);
     
     // Store world parameters in registry to access in main scene
     this.registry.set('worldWidth', worldWidth);
     this.registry.set('worldHeight', worldHeight);
     this.registry.set('worldSeed', worldSeed);
+    this.registry.set('worldSettings', worldSettings);
     
     // Start the main game scene
     this.scene.launch('GameScene');
@@ -71,13 +128,21 @@ class LoadingScene extends Phaser.Scene {
     // GameScene while the world is being generated.
     this.scene.bringToTop();
 
+    // This scene is restarted on every load – drop listeners and DOM from the previous run
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      this.events.off('world-generation-progress');
+      if (this.loadingOverlay && this.loadingOverlay.parentNode) {
+        this.loadingOverlay.parentNode.removeChild(this.loadingOverlay);
+      }
+    });
+
     // === DOM-based loading overlay (UI layer) ===
     const uiRoot = document.getElementById('ui-overlay');
     if (uiRoot) {
       this.loadingOverlay = document.createElement('div');
       this.loadingOverlay.id = 'loading-overlay';
       this.loadingOverlay.innerHTML = `
-        <div class="loading-text">Generating World...</div>
+        <div class="loading-text">${pendingSave ? 'Restoring Save...' : 'Generating World...'}</div>
         <div class="loading-bar"><div class="loading-fill"></div></div>
       `;
       uiRoot.appendChild(this.loadingOverlay);
@@ -125,31 +190,30 @@ class LoadingScene extends Phaser.Scene {
       }
     });
     
-    // Add click-to-start text if no progress after 2 seconds
-    this.time.delayedCall(2000, () => {
-      if (this.progressBar.width < 20) {
-        const clickText = this.add.text(this.cameras.main.width / 2, this.cameras.main.height / 2 + 50, 
-          'Click anywhere to start generation', {
-            font: '18px Rajdhani',
-            fill: '#ffffff'
-          }).setOrigin(0.5);
-          
-        // Add click handler to kick-start generation if it's stuck
-        this.input.once('pointerdown', () => {
-          clickText.destroy();
-          // Force a small progress update to show something is happening
-          this.progressBar.width = 20;
-          // Re-emit events to ensure game scene is properly initialized
-          this.events.emit('loading-clicked');
-        });
-      }
-    });
+    this.hideLegacyLoadingVisuals();
+  }
 
-    // Hide legacy Phaser loading visuals to avoid duplicate bars/texts
+  // Hide legacy Phaser loading visuals to avoid duplicate bars/texts
+  hideLegacyLoadingVisuals() {
     if (this.loadingText) this.loadingText.setVisible(false);
     if (this.progressBar) this.progressBar.setVisible(false);
     if (this.progressBarBg) this.progressBarBg.setVisible(false);
   }
+
+  // Invalid game data: show every problem instead of starting a broken world
+  showDataError(message) {
+    const uiRoot = document.getElementById('ui-overlay');
+    if (!uiRoot) return;
+
+    const overlay = document.createElement('div');
+    overlay.id = 'loading-overlay';
+    overlay.innerHTML = `
+      <div class="loading-text">Failed to load game data</div>
+      <pre class="loading-error"></pre>
+    `;
+    overlay.querySelector('.loading-error').textContent = message;
+    uiRoot.appendChild(overlay);
+  }
 }
 
 // Main game scene
@@ -167,6 +231,12 @@ class GameScene extends Phaser.Scene {
   }
 
   create() {
+    // create() runs again whenever a save is loaded, so reset per-run state here
+    this.initialChunksGenerated = false;
+    this.totalInitialChunks = 0;
+    this.generatedChunks = 0;
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+
     // Handle audio context
     this.sound.pauseOnBlur = false;
     
@@ -178,68 +248,66 @@ class GameScene extends Phaser.Scene {
     });
     
     // Get world parameters from registry
-    const worldWidth = this.registry.get('worldWidth');
     const worldHeight = this.registry.get('worldHeight');
     const worldSeed = this.registry.get('worldSeed');
+    const worldSettings = this.registry.get('worldSettings');
+    const worldWrap = worldSettings.wrapX;
     
-    resourceManager = new ResourceManager(this);
-    
-    // Create terrain manager with configuration
-    terrainManager = new TerrainManager(this, {
-      width: worldWidth,
+    // Gameplay managers (shared with the headless simulation runner)
+    const world = createSimulation(this, {
+      width: this.registry.get('worldWidth'),
       height: worldHeight,
-      tileSize: 20,
       seed: worldSeed,
-      cloudDensity: 0.01,
-      cloudSpeed: 0.2
+      wrapX: worldWrap,
+      terrain: terrainOptions(worldSettings)
     });
-    
-    const carrier = createCarrier(this, terrainManager, worldWidth);
-    
-    // Create managers in the correct order to avoid circular dependencies
-    drillManager = new DrillManager(this, resourceManager, terrainManager, carrier);
-    turretManager = new TurretManager(this, resourceManager, terrainManager);
-    enemyManager = new EnemyManager(this, terrainManager, drillManager, turretManager, carrier);
-    
-    // Wire back references now that enemyManager exists
-    drillManager.setEnemyManager(enemyManager);
-    turretManager.setEnemyManager(enemyManager);
-
-    // Register carrier as a targetable object
-    carrier.priorityTag = 'CARRIER';
-    enemyManager.registerTarget(carrier);
-    
-    // Provide enemy references to other systems
-    turretManager.enemies = enemyManager.getEnemies();
-    carrier.setEnemyManager(enemyManager);
-    
-    // Make managers accessible to the UI via scene
-    this.terrainManager = terrainManager;
-    this.drillManager = drillManager;
-    this.turretManager = turretManager;
-    this.enemyManager = enemyManager;
-    this.carrier = carrier;
+    ({ resourceManager, terrainManager, drillManager, turretManager, enemyManager } = world);
+    const carrier = world.carrier;
+    // A wrapping world is trimmed to whole tiles
+    const worldWidth = terrainManager.width;
     
     // Create build manager
     buildManager = createBuildManager(this, terrainManager, resourceManager);
     
+    // Save slots are exposed through the settings modal
+    this.saveManager = new SaveManager(this);
+    
     // Create game UI with callback to buildManager
     this.ui = createUI(this, (building) => {
       console.log(`Building selected from UI: ${building}`);
       buildManager.enterBuildMode(building);
     });
     
+    // Plugin load failures and runtime errors are shown as notifications
+    pluginManager.attach(this);
+    
+    // A wrapping world scrolls sideways forever. The main camera may look
+    // past either end of the world (wrapCamera() moves it back by a world
+    // width) and the seam camera draws the start of the world right of the seam.
+    const cameraLeft = worldWrap ? -worldWidth : 0;
+    const cameraWidth = worldWrap ? worldWidth * 3 : worldWidth;
+    this.seamCamera = null;
+    if (worldWrap) {
+      this.seamCamera = this.cameras.add(0, 0, this.cameras.main.width, this.cameras.main.height).setVisible(false);
+      this.seamCamera.setBounds(0, 0, worldWidth, worldHeight);
+      // Screen-fixed UI is drawn by the main camera only
+      this.seamCamera.ignore(this.ui.notificationContainer);
+    }
+    
     // Track whether gameplay is currently paused by the settings modal
     this.isGamePaused = false;
     
-    // Handle camera resizing
-    this.scale.on('resize', (gameSize) => {
+    // Freeze the world and show the summary once RunManager declares the run over
+    this.bus.on('run:ended', this.onRunEnded, this);
+    
+    // Handle camera resizing (the scale manager is global, so this is removed in shutdown())
+    this.onResize = (gameSize) => {
       // The Scale Manager has already resized automatically based on our config.
       // We just need to update components that depend on the new size, like the camera.
       this.cameras.main.setSize(gameSize.width, gameSize.height);
       
       // Ensure the camera scroll isn't out of bounds after resize.
-      if (this.cameras.main.scrollX > this.cameras.main.getBounds().width - gameSize.width) {
+      if (!worldWrap && this.cameras.main.scrollX > this.cameras.main.getBounds().width - gameSize.width) {
           this.cameras.main.scrollX = this.cameras.main.getBounds().width - gameSize.width;
       }
       if (this.cameras.main.scrollY > this.cameras.main.getBounds().height - gameSize.height) {
@@ -247,11 +315,13 @@ class GameScene extends Phaser.Scene {
       }
 
       // Re-apply camera bounds to refresh internal calculations after resize
-      this.cameras.main.setBounds(0, 0, worldWidth, worldHeight);
-    });
+      this.cameras.main.setBounds(cameraLeft, 0, cameraWidth, worldHeight);
+      this.wrapCamera();
+    };
+    this.scale.on('resize', this.onResize);
 
     // Set camera bounds to match the terrain dimensions
-    this.cameras.main.setBounds(0, 0, worldWidth, worldHeight);
+    this.cameras.main.setBounds(cameraLeft, 0, cameraWidth, worldHeight);
     
     // Center the camera on the carrier at game start
     this.cameras.main.scrollX = carrier.x - this.cameras.main.width / 2;
@@ -286,91 +356,90 @@ class GameScene extends Phaser.Scene {
       this.isDragging = false;
     });
     
-    // Listen for loading-clicked event
-    this.scene.get('LoadingScene').events.on('loading-clicked', () => {
-      console.log('Loading screen clicked, ensuring world generation is running');
-      // Make sure world generation is running
-      if (this.generatedChunks === 0) {
-        this.initializeWorldChunks(carrier.x, carrier.y);
-      }
-    });
+    // Continue a saved session instead of generating a new world
+    const pendingSave = this.registry.get('pendingSave');
+    if (pendingSave) {
+      this.registry.remove('pendingSave');
+      this.restoreSavedGame(pendingSave);
+      return;
+    }
     
     // Start generating initial chunks around the carrier
     this.initializeWorldChunks(carrier.x, carrier.y);
   }
   
-  // Generate initial chunks around the carrier
+  // Rebuild the world from a save snapshot and resume without starting a new wave
+  restoreSavedGame(save) {
+    this.saveManager.applySave(save);
+    
+    this.initialChunksGenerated = true;
+    this.scene.get('LoadingScene').events.emit('world-generation-progress', 1);
+    this.startGameplay({ resumed: true });
+  }
+  
+  onRunEnded(result) {
+    this.physics.pause();
+    this.ui.showRunSummary(result);
+  }
+  
+  // Tear down this run and generate a new world (or the same one again)
+  restartRun({ sameSeed = false } = {}) {
+    if (sameSeed) {
+      this.registry.set('requestedSeed', this.registry.get('worldSeed'));
+    }
+    this.scene.start('LoadingScene');
+  }
+  
+  // Remove listeners registered on emitters that outlive this scene run
+  shutdown() {
+    this.scale.off('resize', this.onResize);
+    // Gameplay listeners belong to this world only
+    this.bus?.removeAll();
+    // Stop the terrain worker
+    this.terrainManager?.destroy();
+  }
+  
+  // Generate initial chunks around the carrier; gameplay starts once every
+  // one of them has reported 'chunk:generated'
   initializeWorldChunks(centerX, centerY) {
-    // Calculate how many chunks we need for the initial view
     const initialRadius = 3; // Number of chunks to generate in each direction
-    
-    // Calculate total chunks to generate for progress tracking
-    const chunkDiameter = initialRadius * 2 + 1;
-    this.totalInitialChunks = chunkDiameter * chunkDiameter;
     this.generatedChunks = 0;
+    this.totalInitialChunks = null;
     
-    // Listen for chunk generation events
-    this.events.on('chunk-generated', () => {
+    // Chunks generated on the main thread report before the queueing call returns
+    this.bus.on('chunk:generated', () => {
       this.generatedChunks++;
-      const progress = Math.min(this.generatedChunks / this.totalInitialChunks, 1);
-      
-      // Report progress to the loading scene
-      this.scene.get('LoadingScene').events.emit('world-generation-progress', progress);
-      
-      // When all initial chunks are generated, start the game
-      if (progress >= 1 && !this.initialChunksGenerated) {
-        this.initialChunksGenerated = true;
-        this.startGameplay();
-      }
+      this.reportInitialChunkProgress();
     });
     
-    // Start generating terrain chunks around the carrier
-    terrainManager.generateTerrainChunksAround(centerX, centerY, initialRadius);
+    this.totalInitialChunks = terrainManager.generateTerrainChunksAround(centerX, centerY, initialRadius);
+    this.reportInitialChunkProgress();
+  }
+  
+  // Forward initial generation progress to the loading scene
+  reportInitialChunkProgress() {
+    if (this.totalInitialChunks === null || this.initialChunksGenerated) return;
     
-    // Monitor chunk generation progress and ensure we don't get stuck
-    this.chunkGenerationTimer = this.time.addEvent({
-      delay: 100,
-      callback: () => {
-        // If no chunks are generated after 5 seconds, force completion
-        if (this.generatedChunks === 0 && this.chunkGenerationTimer.getElapsed() > 5000) {
-          console.log('Forcing world generation completion due to timeout');
-          this.generatedChunks = this.totalInitialChunks;
-          this.scene.get('LoadingScene').events.emit('world-generation-progress', 1);
-          
-          if (!this.initialChunksGenerated) {
-            this.initialChunksGenerated = true;
-            this.startGameplay();
-          }
-          this.chunkGenerationTimer.remove();
-        }
-        
-        // Check if terrain manager is still generating
-        if (!terrainManager.isGenerating && this.generatedChunks < this.totalInitialChunks) {
-          // Force progress update if terrain manager finished but our count is off
-          console.log('Terrain generation complete, finalizing progress');
-          this.generatedChunks = this.totalInitialChunks;
-          this.scene.get('LoadingScene').events.emit('world-generation-progress', 1);
-          
-          if (!this.initialChunksGenerated) {
-            this.initialChunksGenerated = true;
-            this.startGameplay();
-          }
-          this.chunkGenerationTimer.remove();
-        }
-      },
-      callbackScope: this,
-      loop: true
-    });
+    const progress = this.totalInitialChunks === 0 ? 1 : Math.min(this.generatedChunks / this.totalInitialChunks, 1);
+    this.scene.get('LoadingScene').events.emit('world-generation-progress', progress);
+    
+    if (progress >= 1) {
+      this.initialChunksGenerated = true;
+      this.startGameplay();
+    }
   }
   
   // Start gameplay after initial world generation
-  startGameplay() {
+  startGameplay({ resumed = false } = {}) {
     // Enable the wave system after a short delay so the UI has time to appear
     // and the player sees the loading overlay fade out cleanly.
     this.time.delayedCall(1000, () => {
       enemyManager.enableWaveSystem();
-      // Immediately start the first wave instead of waiting for the break timer
-      enemyManager.startWave();
+      // Immediately start the first wave instead of waiting for the break timer.
+      // A resumed save already carries its wave state.
+      if (!resumed) {
+        enemyManager.startWave();
+      }
       // Subsequent waves will be handled automatically by EnemyManager.
     });
     
@@ -387,6 +456,20 @@ class GameScene extends Phaser.Scene {
     });
   }
 
+  // Keep the camera over a wrapping world and show the start of the world,
+  // right of the seam, in the seam camera
+  wrapCamera() {
+    if (!this.seamCamera) return;
+    const camera = this.cameras.main;
+    camera.scrollX = terrainManager.wrapWorldX(camera.scrollX);
+    const overflow = camera.scrollX + camera.width - terrainManager.width;
+    this.seamCamera.setVisible(overflow > 0);
+    if (overflow > 0) {
+      this.seamCamera.setViewport(camera.width - overflow, 0, overflow, camera.height);
+      this.seamCamera.setScroll(0, camera.scrollY);
+    }
+  }
+
   update() {
     if (!this.isGamePaused) {
       // Vertical scrolling with arrow keys
@@ -402,14 +485,10 @@ class GameScene extends Phaser.Scene {
       } else if (this.cursors.right.isDown) {
         this.cameras.main.scrollX += 10;
       }
+      this.wrapCamera();
 
       // Update game managers only while not paused
-      drillManager.update();
-      turretManager.update();
-      enemyManager.update();
-      if (this.carrier && this.carrier.update) {
-        this.carrier.update();
-      }
+      updateSimulation(this);
       
       // Ensure visible chunks are generated as camera moves
       terrainManager.render();
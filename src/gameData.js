@@ -0,0 +1,624 @@
+import { RESOURCE_TYPES } from './resourceManager.js';
+import materials from './data/materials.json';
+import biomes from './data/biomes.json';
+import strata from './data/strata.json';
+import structures from './data/structures.json';
+import buildings from './data/buildings.json';
+import enemies from './data/enemies.json';
+import carrier from './data/carrier.json';
+import research from './data/research.json';
+
+// Game Data Registry for Edge World Miners
+// -------------------------------------------------------------
+// Every tunable definition – materials, biomes, depth strata, terrain
+// structures, buildings, enemy tiers, carrier guns and research – lives in src/data/*.json. This module
+// validates those files against the schemas below and exposes the result:
+//
+//   gameData.materials        { SAND: { name, hardness, color, ... }, ... }
+//   gameData.biomes           material references resolved to material objects
+//   gameData.strata           { MANTLE: { name, top, material, ores, ... }, ... }, likewise resolved
+//   gameData.structures       { ALIEN_NEST: { name, biomes, legend, tiles, ... }, ... }, likewise resolved
+//   gameData.buildings        { drill: {...}, turret: {...}, <variant>: {...} }
+//   gameData.enemies          { melee: { waveSettings, tiers }, shooter: { stats, config } }
+//   gameData.carrier          { miniTurret }
+//   gameData.research         [ { id, name, cost, time, requires, effects }, ... ]
+//
+// Data is loaded once at startup (LoadingScene) and lazily on first access
+// elsewhere (headless runs). Invalid data throws a single Error listing every
+// problem as "<file> › <path>: <message>".
+//
+// Plugins (pluginManager.js) add definitions through extend() and register
+// code – turret classes, enemy types, generation layers – here as well.
+//
+// JSON has no hex literals, so colours are written as "#rrggbb" strings and
+// converted to numbers here.
+// -------------------------------------------------------------
+
+// --- Schema helpers ---
+// A field type is a primitive name ('string', 'number', 'boolean', 'color',
+// 'bill', 'spawns', 'material', 'biome', 'research'), a nested record schema (plain object), or
+// one of the wrappers below.
+const optional = type => ({ optional: type });
+const mapOf = type => ({ mapOf: type });
+const listOf = type => ({ listOf: type });
+const oneOf = (...values) => ({ oneOf: values });
+
+const MATERIAL_SCHEMA = {
+  name: 'string',
+  solid: 'boolean',
+  shiftable: 'boolean',
+  repose: optional('number'), // shiftable only: drop (in tiles) beside a tile before it slides diagonally, default 1
+  mineable: 'boolean',
+  hardness: 'number',
+  color: 'color',
+  // Detail drawn over the colour when the tile is baked (see TerrainManager.renderTileTexture())
+  texture: optional(oneOf('sand', 'dirt', 'rock', 'hard_rock', 'metal', 'bedrock', 'clay', 'gravel', 'crystal')),
+  damageResistance: 'number',
+  drops: optional('bill'), // resources a drill collects when it breaks the tile
+  regenRate: optional('number'), // hardness a damaged tile heals per second once left alone
+  // Liquids flow (see TerrainManager.flowLiquid()); a denser liquid sinks through a lighter one
+  liquid: optional('boolean'),
+  density: optional('number'),       // default 1
+  viscosity: optional('number'),     // ticks per flow step, default 1
+  contactDamage: optional('number'), // per second to structures standing in the tile
+  hardensInto: optional('string'),   // material key it turns into next to hardensNextTo
+  hardensNextTo: optional('string'),
+  // Structural tiles (see TerrainManager.checkSupport()): how many tiles they
+  // reach past their support, and the loose material they break into beyond that
+  span: optional('number'),
+  collapsesInto: optional('string'),
+  spawns: optional('spawns') // melee tier -> enemies released when the tile is broken
+};
+
+const BIOME_SCHEMA = {
+  name: 'string',
+  // Where the biome sits in the climate field (see TerrainGenerator.biomeAt()), -1..1
+  temperature: 'number',
+  moisture: 'number',
+  surfaceMaterial: 'material',
+  subSurfaceMaterial: 'material',
+  deepMaterial: 'material',
+  oreMaterial: 'material',
+  transitionMaterial: optional('material'), // surface right along its borders
+  surfaceDepth: 'number',
+  subSurfaceDepth: 'number',
+  heightScale: 'number',
+  caveFrequency: 'number',
+  oreDensity: 'number'
+};
+
+// Depth bands below the biome layers (see TerrainGenerator, 'strata' layer).
+// A stratum fills everything from its top down to the next stratum's top.
+const STRATUM_SCHEMA = {
+  name: 'string',
+  top: 'number',               // fraction of the world height where the band begins, 0..1
+  material: 'material',        // rock filling the band
+  background: 'color',         // backdrop at the band's top (see TerrainManager.createSky())
+  boundaryAmplitude: 'number', // tiles the top edge wanders up and down
+  boundaryFrequency: 'number',
+  pocketLiquid: optional('material'), // what sealed liquid pockets in the band hold, default water/oil
+  // Checked in order; a tile whose noise exceeds an ore's threshold is that ore
+  ores: listOf({
+    material: 'material',
+    frequency: 'number',
+    threshold: 'number'
+  })
+};
+
+// Prefab features stamped into the generated terrain (see
+// TerrainGenerator.placeStructures()). Each row of `tiles` is a string; a
+// character is looked up in `legend`, a space keeps the generated tile.
+const STRUCTURE_SCHEMA = {
+  name: 'string',
+  biomes: optional(listOf('biome')), // where it may appear, default anywhere
+  chance: 'number',   // chance of one appearing in each placement cell
+  spacing: 'number',  // placement cell width in tiles – at most one per cell
+  minDepth: 'number', // rows of its bottom row below the ground surface
+  maxDepth: 'number',
+  legend: mapOf('material'),
+  tiles: listOf('string')
+};
+
+const DRILL_STATS_SCHEMA = {
+  NAME: 'string',
+  COST: 'bill',
+  HEALTH: 'number',
+  MINING_RATE: 'number',
+  MINING_EFFICIENCY: 'number'
+};
+
+const TURRET_STATS_SCHEMA = {
+  NAME: 'string',
+  COST: 'bill',
+  HEALTH: 'number',
+  RANGE: 'number',
+  FIRE_RATE: 'number',
+  PROJECTILE_DAMAGE: 'number',
+  PROJECTILE_SPEED: 'number',
+  ACCURACY: 'number',
+  MAX_SPREAD_RAD: 'number',
+  AOE_RANGE: 'number',
+  AOE_DAMAGE: 'number'
+};
+
+// RANGE in pixels, SCAN_SPEED in pixels per second (see ScannerManager)
+const SCANNER_STATS_SCHEMA = {
+  NAME: 'string',
+  COST: 'bill',
+  HEALTH: 'number',
+  RANGE: 'number',
+  SCAN_SPEED: 'number'
+};
+
+const TURRET_COLORS_SCHEMA = {
+  TURRET: 'color',
+  TURRET_BASE: 'color',
+  RANGE: 'color',
+  PROJECTILE: 'color',
+  EXPLOSION: 'color',
+  DAMAGE_INDICATOR: 'color'
+};
+
+// Buildings are validated per kind
+const BUILDING_SCHEMAS = {
+  drill: {
+    kind: oneOf('drill'),
+    description: 'string',
+    hotkey: optional('string'),
+    stats: DRILL_STATS_SCHEMA
+  },
+  turret: {
+    kind: oneOf('turret'),
+    class: 'string', // a class registered with gameData.registerTurretClass()
+    description: 'string',
+    hotkey: optional('string'),
+    stats: TURRET_STATS_SCHEMA,
+    colors: TURRET_COLORS_SCHEMA
+  },
+  scanner: {
+    kind: oneOf('scanner'),
+    description: 'string',
+    hotkey: optional('string'),
+    stats: SCANNER_STATS_SCHEMA
+  }
+};
+
+// Roll threshold min(BASE + PER_WAVE * wave, MAX), zero before MIN_WAVE.
+// Used by melee tiers (cumulative) and plugin enemy types (independent roll).
+const SPAWN_CHANCE_SCHEMA = {
+  BASE: 'number',
+  PER_WAVE: 'number',
+  MAX: 'number',
+  MIN_WAVE: optional('number')
+};
+
+const ENEMY_SCHEMA = {
+  melee: {
+    waveSettings: {
+      TERRAIN_DAMAGE_RADIUS: 'number',
+      TERRAIN_DAMAGE_STRENGTH: 'number',
+      ATTACK_RANGE: 'number',
+      ATTACK_COOLDOWN: 'number',
+      PATROL_DURATION: 'number',
+      PATROL_SPEED_FACTOR: 'number'
+    },
+    tiers: mapOf({
+      HEALTH: 'number',
+      SPEED: 'number',
+      SIZE: 'number',
+      DAMAGE: 'number',
+      COLOR: 'color',
+      // Exactly one tier omits SPAWN_CHANCE and is the fallback
+      SPAWN_CHANCE: optional(SPAWN_CHANCE_SCHEMA)
+    })
+  },
+  shooter: {
+    stats: {
+      HEALTH: 'number',
+      SPEED: 'number',
+      SIZE: 'number',
+      DAMAGE: 'number',
+      COLOR: 'color'
+    },
+    config: {
+      PROJECTILE_SPEED: 'number',
+      PROJECTILE_DAMAGE: 'number',
+      PROJECTILE_AOE: 'number',
+      ACCURACY: 'number',
+      TERRAIN_DAMAGE_STRENGTH: 'number',
+      ATTACK_RANGE: 'number',
+      ATTACK_COOLDOWN: 'number',
+      STRAFE_HEIGHT: 'number',
+      DIRECTION_CHANGE_CHANCE: 'number',
+      BURST_SHOTS: 'number',
+      BURST_INTERVAL: 'number'
+    }
+  }
+};
+
+const CARRIER_SCHEMA = {
+  miniTurret: {
+    RANGE: 'number',
+    FIRE_RATE: 'number',
+    PROJECTILE_SPEED: 'number',
+    DAMAGE: 'number',
+    ACCURACY: 'number',
+    COLOR: 'color'
+  }
+};
+
+// Research effect keys look like "turret.RANGE" – see researchManager.js
+const RESEARCH_EFFECT_KEY = /^(turret|drill|carrier|cargo)\.[A-Z_]+$/;
+
+const RESEARCH_SCHEMA = listOf({
+  id: 'string',
+  name: 'string',
+  description: 'string',
+  cost: 'bill',
+  time: 'number',
+  requires: listOf('research'),
+  effects: mapOf('number')
+});
+
+// Definition files plugins may add entries to (see GameData.extend)
+const EXTENDABLE = ['materials', 'biomes', 'strata', 'structures', 'buildings'];
+
+// Materials and biomes the engine itself refers to by key
+const REQUIRED_MATERIALS = ['AIR', 'BEDROCK', 'ROCK', 'WATER', 'LAVA'];
+const REQUIRED_BIOMES = ['PLAINS'];
+
+// Terrain stores one material id per tile in a Uint8Array (see TerrainManager)
+const MAX_MATERIALS = 256;
+
+const DEFAULT_SOURCES = { materials, biomes, strata, structures, buildings, enemies, carrier, research };
+
+const describe = value => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+/**
+ * Validate `value` against `type`, collecting messages in `errors`.
+ * Returns the normalised value (colours as numbers, material references
+ * resolved) – only meaningful when no errors were added.
+ */
+function check(value, type, path, errors, refs) {
+  const fail = message => {
+    errors.push(`${path}: ${message}`);
+    return value;
+  };
+
+  if (typeof type === 'string') {
+    switch (type) {
+      case 'string':
+      case 'number':
+      case 'boolean':
+        if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+          return fail(`expected a ${type}, got ${describe(value)}`);
+        }
+        return value;
+      case 'color':
+        if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) {
+          return fail(`expected a colour like "#ff8800", got ${describe(value)}`);
+        }
+        return parseInt(value.slice(1), 16);
+      case 'bill':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          return fail(`expected a resource bill like { "rock": 10 }, got ${describe(value)}`);
+        }
+        for (const [resource, amount] of Object.entries(value)) {
+          if (!(resource in RESOURCE_TYPES)) {
+            fail(`unknown resource "${resource}" (expected one of ${Object.keys(RESOURCE_TYPES).join(', ')})`);
+          } else if (typeof amount !== 'number' || amount < 0) {
+            fail(`amount of ${resource} must be a non-negative number, got ${describe(amount)}`);
+          }
+        }
+        return { ...value };
+      case 'spawns':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          return fail(`expected melee tiers and counts like { "SMALL": 2 }, got ${describe(value)}`);
+        }
+        for (const [tier, count] of Object.entries(value)) {
+          if (!refs.meleeTiers?.[tier]) {
+            fail(`unknown melee tier "${tier}" (expected one of ${Object.keys(refs.meleeTiers ?? {}).join(', ')})`);
+          } else if (!Number.isInteger(count) || count < 0) {
+            fail(`count of ${tier} must be a non-negative whole number, got ${describe(count)}`);
+          }
+        }
+        return { ...value };
+      case 'material':
+        if (!refs.materials?.[value]) return fail(`unknown material ${describe(value)}`);
+        return refs.materials[value];
+      case 'biome':
+        if (!refs.biomes?.[value]) return fail(`unknown biome ${describe(value)}`);
+        return refs.biomes[value];
+      case 'research':
+        if (!refs.researchIds?.has(value)) return fail(`unknown research node ${describe(value)}`);
+        return value;
+      default:
+        throw new Error(`Unknown schema type "${type}"`);
+    }
+  }
+
+  if (type.optional) {
+    return value === undefined ? undefined : check(value, type.optional, path, errors, refs);
+  }
+  if (type.oneOf) {
+    return type.oneOf.includes(value) ? value : fail(`expected one of ${type.oneOf.map(describe).join(', ')}, got ${describe(value)}`);
+  }
+  if (type.listOf) {
+    if (!Array.isArray(value)) return fail(`expected a list, got ${describe(value)}`);
+    return value.map((item, i) => check(item, type.listOf, `${path}[${i}]`, errors, refs));
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return fail(`expected an object, got ${describe(value)}`);
+  }
+  if (type.mapOf) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, check(item, type.mapOf, `${path}.${key}`, errors, refs)]));
+  }
+
+  // Record: every listed field (unless optional) and nothing else – catches typos
+  const result = {};
+  for (const [field, fieldType] of Object.entries(type)) {
+    if (value[field] === undefined && !fieldType.optional) {
+      fail(`missing field "${field}"`);
+      continue;
+    }
+    const checked = check(value[field], fieldType, `${path}.${field}`, errors, refs);
+    if (checked !== undefined) result[field] = checked;
+  }
+  for (const field of Object.keys(value)) {
+    if (!(field in type)) fail(`unknown field "${field}"`);
+  }
+  return result;
+}
+
+class GameData {
+  constructor() {
+    this.data = null;
+    this.sources = null;
+    this.turretClasses = new Map();
+    this.enemyTypes = new Map();    // type -> { EnemyClass, spawnChance }
+    this.generationLayers = [];     // extra TerrainManager generation layers
+  }
+
+  get loaded() {
+    return this.data !== null;
+  }
+
+  // Turret classes buildings.json may name in "class" (see TurretManager)
+  registerTurretClass(name, turretClass) {
+    this.turretClasses.set(name, turretClass);
+  }
+
+  getTurretClass(name) {
+    return this.turretClasses.get(name);
+  }
+
+  /**
+   * Register an enemy class that spawns during waves next to the built-in
+   * melee tiers and shooters. Its constructor takes (scene, manager, x, y).
+   * @param {string} type - Saved as enemy.tier; must not clash with a melee tier or SHOOTER
+   * @param {Function} EnemyClass - BaseEnemy subclass
+   * @param {object} spawnChance - Per-spawn chance, same shape as a melee tier's SPAWN_CHANCE
+   * @throws {Error} when the type is taken or spawnChance is invalid
+   */
+  registerEnemyType(type, EnemyClass, spawnChance) {
+    this.enemyTypes.set(type, { EnemyClass, spawnChance: this.checkEnemyType(type, spawnChance) });
+  }
+
+  // Throws unless registerEnemyType(type, ..., spawnChance) would succeed
+  checkEnemyType(type, spawnChance) {
+    if (type === 'SHOOTER' || this.enemies.melee.tiers[type] || this.enemyTypes.has(type)) {
+      throw new Error(`Enemy type "${type}" is already defined`);
+    }
+    const errors = [];
+    const chance = check(spawnChance, SPAWN_CHANCE_SCHEMA, `${type}.spawnChance`, errors, {});
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    return chance;
+  }
+
+  getEnemyType(type) {
+    return this.enemyTypes.get(type);
+  }
+
+  /**
+   * Add a terrain generation layer: { name, before, getMaterial(x, y, context, terrain) }.
+   * It runs before the built-in layer named by `before` (default 'caves').
+   */
+  registerGenerationLayer(layer) {
+    this.generationLayers.push(layer);
+  }
+
+  /**
+   * Validate and install a full set of definitions.
+   * @param {object} [sources] - Parsed JSON per file; defaults to src/data/*.json
+   * @throws {Error} listing every problem found
+   */
+  load(sources = DEFAULT_SOURCES) {
+    this.data = this.parse(sources, this.turretClasses);
+    this.sources = sources;
+  }
+
+  /**
+   * Add new entries to the extendable definition files (materials, biomes,
+   * strata, structures, buildings) and turret classes. Everything is validated together with the
+   * current definitions and only installed if no problem is found.
+   * @param {object} additions - e.g. { materials: { GLOWSTONE: {...} } }
+   * @param {Map<string, Function>} [turretClasses] - Classes the new buildings may name
+   * @throws {Error} listing every problem found; nothing is changed then
+   */
+  extend(additions, turretClasses = new Map()) {
+    const base = this.sources ?? DEFAULT_SOURCES;
+    const sources = { ...base };
+    const clashes = [];
+    for (const file of EXTENDABLE) {
+      for (const key of Object.keys(additions[file] ?? {})) {
+        if (key in base[file]) clashes.push(`${file}.${key} is already defined`);
+      }
+      sources[file] = { ...base[file], ...additions[file] };
+    }
+    for (const name of turretClasses.keys()) {
+      if (this.turretClasses.has(name)) clashes.push(`turret class "${name}" is already registered`);
+    }
+    if (clashes.length > 0) {
+      throw new Error(`Conflicting definitions:\n  - ${clashes.join('\n  - ')}`);
+    }
+
+    const classes = new Map([...this.turretClasses, ...turretClasses]);
+    this.data = this.parse(sources, classes);
+    this.sources = sources;
+    this.turretClasses = classes;
+  }
+
+  // Validate `sources` and return the normalised definitions (throws on problems)
+  parse(sources, turretClasses) {
+    const errors = [];
+    const refs = {};
+    const section = (file, value, type, path = file.replace('.json', '')) => {
+      const fileErrors = [];
+      const result = check(value, type, path, fileErrors, refs);
+      errors.push(...fileErrors.map(message => `${file} › ${message}`));
+      return result;
+    };
+    const problem = (file, message) => errors.push(`${file} › ${message}`);
+
+    const data = {};
+
+    // Nest materials name melee tiers; enemies.json itself is checked further down
+    refs.meleeTiers = sources.enemies?.melee?.tiers;
+    data.materials = section('materials.json', sources.materials, mapOf(MATERIAL_SCHEMA));
+    for (const key of REQUIRED_MATERIALS) {
+      if (!data.materials[key]) problem('materials.json', `missing required material "${key}"`);
+    }
+    if (Object.keys(data.materials).length > MAX_MATERIALS) {
+      problem('materials.json', `at most ${MAX_MATERIALS} materials can be defined`);
+    }
+    const materialKeys = new Map();
+    for (const [key, material] of Object.entries(data.materials)) {
+      // Tiles are told apart by material name (e.g. 'air'), so names must be unique
+      if (materialKeys.has(material.name)) {
+        problem('materials.json', `materials.${key}.name: "${material.name}" is already used by ${materialKeys.get(material.name)}`);
+      }
+      materialKeys.set(material.name, key);
+      for (const field of ['hardensInto', 'hardensNextTo', 'collapsesInto']) {
+        if (material[field] !== undefined && !data.materials[material[field]]) {
+          problem('materials.json', `materials.${key}.${field}: unknown material ${describe(material[field])}`);
+        }
+      }
+      if ((material.hardensInto === undefined) !== (material.hardensNextTo === undefined)) {
+        problem('materials.json', `materials.${key}: hardensInto and hardensNextTo go together`);
+      }
+      if ((material.span === undefined) !== (material.collapsesInto === undefined)) {
+        problem('materials.json', `materials.${key}: span and collapsesInto go together`);
+      }
+    }
+    refs.materials = data.materials;
+
+    data.biomes = section('biomes.json', sources.biomes, mapOf(BIOME_SCHEMA));
+    for (const key of REQUIRED_BIOMES) {
+      if (!data.biomes[key]) problem('biomes.json', `missing required biome "${key}"`);
+    }
+
+    refs.biomes = data.biomes;
+
+    data.strata = section('strata.json', sources.strata, mapOf(STRATUM_SCHEMA));
+    for (const [key, stratum] of Object.entries(data.strata)) {
+      if (typeof stratum.top === 'number' && !(stratum.top > 0 && stratum.top < 1)) {
+        problem('strata.json', `strata.${key}.top: expected a fraction between 0 and 1, got ${stratum.top}`);
+      }
+      if (stratum.pocketLiquid && !stratum.pocketLiquid.liquid) {
+        problem('strata.json', `strata.${key}.pocketLiquid: ${stratum.pocketLiquid.name} is not a liquid`);
+      }
+    }
+
+    data.structures = section('structures.json', sources.structures, mapOf(STRUCTURE_SCHEMA));
+    for (const [key, structure] of Object.entries(data.structures)) {
+      const where = `structures.${key}`;
+      if (!(structure.chance >= 0 && structure.chance <= 1)) {
+        problem('structures.json', `${where}.chance: expected a probability between 0 and 1, got ${structure.chance}`);
+      }
+      if (!(structure.spacing >= 1)) problem('structures.json', `${where}.spacing: must be at least 1`);
+      if (structure.minDepth > structure.maxDepth) problem('structures.json', `${where}: minDepth is greater than maxDepth`);
+      for (const char of Object.keys(structure.legend ?? {})) {
+        if (char.length !== 1 || char === ' ') problem('structures.json', `${where}.legend: "${char}" is not a single non-space character`);
+      }
+      if (Array.isArray(structure.tiles)) {
+        if (structure.tiles.length === 0) problem('structures.json', `${where}.tiles: needs at least one row`);
+        structure.tiles.forEach((row, i) => {
+          for (const char of new Set(row)) {
+            if (char !== ' ' && !structure.legend?.[char]) problem('structures.json', `${where}.tiles[${i}]: "${char}" is not in the legend`);
+          }
+        });
+      }
+    }
+
+    data.buildings = {};
+    for (const [id, building] of Object.entries(sources.buildings ?? {})) {
+      const schema = BUILDING_SCHEMAS[building?.kind];
+      if (!schema) {
+        problem('buildings.json', `buildings.${id}.kind: expected one of ${Object.keys(BUILDING_SCHEMAS).map(describe).join(', ')}, got ${describe(building?.kind)}`);
+        continue;
+      }
+      data.buildings[id] = section('buildings.json', building, schema, `buildings.${id}`);
+      if (building.kind === 'turret' && typeof building.class === 'string' && !turretClasses.has(building.class)) {
+        problem('buildings.json', `buildings.${id}.class: unknown turret class "${building.class}" (registered: ${[...turretClasses.keys()].join(', ')})`);
+      }
+    }
+    if (data.buildings.drill?.kind !== 'drill') problem('buildings.json', 'a "drill" building of kind "drill" is required');
+    if (data.buildings.turret?.kind !== 'turret') problem('buildings.json', 'a "turret" building of kind "turret" is required');
+    const hotkeys = Object.entries(data.buildings).filter(([, b]) => b.hotkey).map(([id, b]) => [id, b.hotkey]);
+    for (const [id, hotkey] of hotkeys) {
+      const owner = hotkeys.find(([, other]) => other === hotkey)[0];
+      if (owner !== id) problem('buildings.json', `buildings.${id}.hotkey: "${hotkey}" is already used by "${owner}"`);
+    }
+
+    data.enemies = section('enemies.json', sources.enemies, ENEMY_SCHEMA);
+    const fallbackTiers = Object.entries(sources.enemies?.melee?.tiers ?? {}).filter(([, tier]) => !tier?.SPAWN_CHANCE);
+    if (fallbackTiers.length !== 1) {
+      problem('enemies.json', `melee.tiers: exactly one tier must omit SPAWN_CHANCE (the fallback), found ${fallbackTiers.length}`);
+    }
+
+    data.carrier = section('carrier.json', sources.carrier, CARRIER_SCHEMA);
+
+    refs.researchIds = new Set((Array.isArray(sources.research) ? sources.research : []).map(node => node?.id));
+    data.research = section('research.json', sources.research, RESEARCH_SCHEMA);
+    if (Array.isArray(data.research)) {
+      const seen = new Set();
+      data.research.forEach((node, i) => {
+        if (seen.has(node.id)) problem('research.json', `research[${i}].id: duplicate id "${node.id}"`);
+        seen.add(node.id);
+        for (const key of Object.keys(node.effects ?? {})) {
+          if (!RESEARCH_EFFECT_KEY.test(key)) {
+            problem('research.json', `research[${i}].effects: "${key}" is not a stat key like "turret.RANGE"`);
+          }
+        }
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid game data (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n  - ${errors.join('\n  - ')}`);
+    }
+    return data;
+  }
+
+  ensureLoaded() {
+    if (!this.loaded) this.load();
+    return this.data;
+  }
+
+  get materials() { return this.ensureLoaded().materials; }
+  get biomes() { return this.ensureLoaded().biomes; }
+  get strata() { return this.ensureLoaded().strata; }
+  get structures() { return this.ensureLoaded().structures; }
+  get buildings() { return this.ensureLoaded().buildings; }
+  get enemies() { return this.ensureLoaded().enemies; }
+  get carrier() { return this.ensureLoaded().carrier; }
+  get research() { return this.ensureLoaded().research; }
+
+  getBuilding(id) {
+    return this.buildings[id];
+  }
+}
+
+// Shared by every scene and the headless runner
+export const gameData = new GameData();
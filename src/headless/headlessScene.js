@@ -0,0 +1,304 @@
+import { EventEmitter } from 'node:events';
+
+// Headless Scene for Edge World Miners
+// -------------------------------------------------------------
+// A stand-in for Phaser.Scene that lets the gameplay managers run in Node.
+// It keeps the state gameplay actually reads – positions, data values,
+// arcade bodies, timers and tween completion – and treats every drawing call
+// as a no-op. Nothing is rendered.
+//
+// One tick() equals one 60 fps frame: timers and tweens advance by 1/60 s
+// and bodies move by velocity / 60, which is what Arcade Physics does with
+// its default fixed step.
+//
+// When a manager starts calling a new Phaser API, add it here (or to
+// DRAW_METHODS below) rather than guarding the manager code.
+// -------------------------------------------------------------
+
+export const FRAME_MS = 1000 / 60;
+
+// Rendering calls that have no effect on the simulation
+const DRAW_METHODS = [
+  'setOrigin', 'setDepth', 'setTint', 'clearTint', 'setAlpha', 'setScale', 'setVisible',
+  'setRotation', 'setAngle', 'setStrokeStyle', 'setFillStyle', 'setLineWidth', 'setText',
+  'setScrollFactor', 'setInteractive', 'setFontSize', 'setColor', 'setBlendMode',
+  'fillStyle', 'fillRect', 'fillCircle', 'fillRoundedRect', 'fillTriangle', 'fillPoints',
+  'fillPath', 'fill', 'lineStyle', 'strokePath', 'strokeRect', 'strokeCircle',
+  'strokeRoundedRect', 'strokeTriangle', 'beginPath', 'closePath', 'moveTo', 'lineTo',
+  'arc', 'clear', 'draw', 'erase'
+];
+
+class HeadlessBody {
+  constructor(gameObject, isStatic) {
+    this.gameObject = gameObject;
+    this.isStatic = isStatic;
+    this.velocity = { x: 0, y: 0 };
+    this.allowGravity = true;
+    this.immovable = isStatic;
+  }
+
+  setVelocity(x, y = x) {
+    this.velocity.x = x;
+    this.velocity.y = y;
+    return this;
+  }
+
+  // World gravity is zero in this game, so gravity settings are only recorded
+  setAllowGravity(value = true) {
+    this.allowGravity = value;
+    return this;
+  }
+
+  setGravity() {
+    return this;
+  }
+
+  setImmovable(value = true) {
+    this.immovable = value;
+    return this;
+  }
+}
+
+class HeadlessGameObject {
+  constructor(scene, x = 0, y = 0, width = 0, height = 0) {
+    this.scene = scene;
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+    this.displayWidth = width;
+    this.displayHeight = height;
+    this.active = true;
+    this.visible = true;
+    this.alpha = 1;
+    this.scale = 1;
+    this.rotation = 0;
+    this.angle = 0;
+    this.depth = 0;
+    this.tintTopLeft = 0xffffff;
+    this.body = null;
+    this.list = [];
+    this.dataValues = {};
+  }
+
+  setPosition(x, y = x) {
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
+  setData(key, value) {
+    this.dataValues[key] = value;
+    return this;
+  }
+
+  getData(key) {
+    return this.dataValues[key];
+  }
+
+  // Container children
+  add(children) {
+    this.list.push(...[].concat(children));
+    return this;
+  }
+
+  getAt(index) {
+    return this.list[index];
+  }
+
+  generateTexture(key, width, height) {
+    this.scene.textures.addSize(key, width, height);
+    return this;
+  }
+
+  destroy() {
+    if (!this.active) return;
+    this.active = false;
+    this.visible = false;
+    for (const child of this.list) child.destroy();
+    this.list = [];
+  }
+}
+
+for (const method of DRAW_METHODS) {
+  HeadlessGameObject.prototype[method] = function() {
+    return this;
+  };
+}
+
+class HeadlessCamera {
+  constructor(width, height) {
+    this.scrollX = 0;
+    this.scrollY = 0;
+    this.width = width;
+    this.height = height;
+    this.bounds = { x: 0, y: 0, width, height };
+  }
+
+  setBounds(x, y, width, height) {
+    this.bounds = { x, y, width, height };
+    return this;
+  }
+
+  getBounds() {
+    const { x, y, width, height } = this.bounds;
+    return { x, y, width, height, right: x + width, bottom: y + height };
+  }
+
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    return this;
+  }
+}
+
+class HeadlessRegistry {
+  constructor() {
+    this.values = new Map();
+  }
+
+  get(key) {
+    return this.values.get(key);
+  }
+
+  set(key, value) {
+    this.values.set(key, value);
+    return this;
+  }
+
+  has(key) {
+    return this.values.has(key);
+  }
+
+  remove(key) {
+    this.values.delete(key);
+    return this;
+  }
+}
+
+export class HeadlessScene {
+  constructor({ width = 1280, height = 720 } = {}) {
+    this.now = 0;
+    this.bodies = new Set();
+    this.timers = [];
+    this.activeTweens = [];
+
+    this.events = new EventEmitter();
+    this.registry = new HeadlessRegistry();
+    this.sys = { game: { config: { width, height } } };
+    this.cameras = { main: new HeadlessCamera(width, height) };
+
+    const textureSizes = new Map();
+    this.textures = {
+      exists: key => textureSizes.has(key),
+      addSize: (key, w, h) => textureSizes.set(key, { width: w, height: h }),
+      getSize: key => textureSizes.get(key) ?? { width: 0, height: 0 }
+    };
+
+    const make = (x, y, width, height) => new HeadlessGameObject(this, x, y, width, height);
+    this.add = {
+      graphics: () => make(0, 0),
+      container: (x, y) => make(x, y),
+      rectangle: (x, y, width = 128, height = 128, fillColor) =>
+        Object.assign(make(x, y, width, height), { fillColor }),
+      circle: (x, y, radius = 128, fillColor) =>
+        Object.assign(make(x, y, radius * 2, radius * 2), { radius, fillColor }),
+      triangle: (x, y) => make(x, y),
+      line: (x, y) => make(x, y),
+      text: (x, y, text) => Object.assign(make(x, y), { text }),
+      sprite: (x, y, key) => {
+        const { width, height } = this.textures.getSize(key);
+        return make(x, y, width, height);
+      },
+      renderTexture: (x, y, width = 32, height = 32) => make(x, y, width, height)
+    };
+    // Objects made off the display list
+    this.make = {
+      graphics: () => make(0, 0)
+    };
+
+    this.physics = {
+      add: {
+        existing: (gameObject, isStatic = false) => {
+          gameObject.body = new HeadlessBody(gameObject, isStatic);
+          this.bodies.add(gameObject);
+          return gameObject;
+        }
+      },
+      // Same contract as ArcadePhysics.moveTo: set velocity towards a point, return the angle
+      moveTo: (gameObject, x, y, speed = 60) => {
+        const angle = Math.atan2(y - gameObject.y, x - gameObject.x);
+        gameObject.body.setVelocity(Math.cos(angle) * speed, Math.sin(angle) * speed);
+        return angle;
+      }
+    };
+
+    this.time = {
+      delayedCall: (delay, callback, args = [], scope) => {
+        const timer = { at: this.now + delay, callback, args, scope, removed: false };
+        timer.remove = () => { timer.removed = true; };
+        this.timers.push(timer);
+        return timer;
+      }
+    };
+
+    this.tweens = {
+      add: config => this.addTween(config)
+    };
+  }
+
+  // Looping tweens (repeat: -1) are purely cosmetic and never finish, so they
+  // are dropped. Finite tweens jump to their end values and fire onComplete
+  // once their full duration has elapsed.
+  addTween(config) {
+    const tween = { config, removed: false };
+    tween.stop = tween.remove = () => { tween.removed = true; };
+    if (config.repeat === -1) return tween;
+
+    const cycles = (config.repeat ?? 0) + 1;
+    const duration = (config.duration ?? 1000) * (config.yoyo ? 2 : 1) * cycles;
+    tween.at = this.now + (config.delay ?? 0) + duration;
+    tween.targets = [].concat(config.targets);
+    this.activeTweens.push(tween);
+    return tween;
+  }
+
+  finishTween(tween) {
+    const { config, targets } = tween;
+    const reserved = ['targets', 'duration', 'delay', 'ease', 'yoyo', 'repeat', 'onComplete', 'onUpdate', 'onStart'];
+    if (!config.yoyo) {
+      for (const [key, value] of Object.entries(config)) {
+        if (reserved.includes(key)) continue;
+        const end = typeof value === 'object' && value !== null ? value.to : value;
+        if (typeof end !== 'number') continue;
+        for (const target of targets) target[key] = end;
+      }
+    }
+    config.onComplete?.(tween, targets);
+  }
+
+  // Advance engine systems by one frame. Call before the gameplay update.
+  tick() {
+    this.now += FRAME_MS;
+
+    const dueTimers = this.timers.filter(t => !t.removed && t.at <= this.now);
+    this.timers = this.timers.filter(t => !t.removed && t.at > this.now);
+    for (const timer of dueTimers) timer.callback.apply(timer.scope, timer.args);
+
+    const dueTweens = this.activeTweens.filter(t => !t.removed && t.at <= this.now);
+    this.activeTweens = this.activeTweens.filter(t => !t.removed && t.at > this.now);
+    for (const tween of dueTweens) this.finishTween(tween);
+
+    const dt = FRAME_MS / 1000;
+    for (const gameObject of this.bodies) {
+      if (!gameObject.active) {
+        this.bodies.delete(gameObject);
+        continue;
+      }
+      const { body } = gameObject;
+      if (body.isStatic) continue;
+      gameObject.x += body.velocity.x * dt;
+      gameObject.y += body.velocity.y * dt;
+    }
+  }
+}
@@ -0,0 +1,22 @@
+// Node module loader hooks (installed by register.js):
+//   `phaser` -> phaserShim.js
+//   `*.json` -> ES module with the parsed file as default export (Parcel does
+//              the same in the browser build)
+import { readFile } from 'node:fs/promises';
+
+const SHIM_URL = new URL('./phaserShim.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'phaser') {
+    return { url: SHIM_URL, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.endsWith('.json')) {
+    const source = await readFile(new URL(url), 'utf8');
+    return { format: 'module', source: `export default ${source};`, shortCircuit: true };
+  }
+  return nextLoad(url, context);
+}
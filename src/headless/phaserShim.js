@@ -0,0 +1,52 @@
+// Phaser stand-in for the headless simulation
+// -------------------------------------------------------------
+// Gameplay code only needs a handful of Phaser's maths helpers and
+// constants. In Node the real package cannot load (it expects a window and
+// a canvas), so register.js resolves `import Phaser from 'phaser'` to this
+// module and also exposes it as the global `Phaser` that several managers
+// use without importing.
+//
+// Keep this in step with Phaser's behaviour for anything gameplay reads; add
+// helpers here when a manager starts using a new one.
+// -------------------------------------------------------------
+
+function valueToColor(value) {
+  const r = (value >> 16) & 0xff;
+  const g = (value >> 8) & 0xff;
+  const b = value & 0xff;
+  return { r, g, b, a: 255, color: (r << 16) | (g << 8) | b };
+}
+
+function interpolateColor(from, to, length = 100, index = 0) {
+  const t = index / length;
+  const r = Math.round(from.r + (to.r - from.r) * t);
+  const g = Math.round(from.g + (to.g - from.g) * t);
+  const b = Math.round(from.b + (to.b - from.b) * t);
+  return { r, g, b, a: 255, color: (r << 16) | (g << 8) | b };
+}
+
+const PhaserShim = {
+  Math: {
+    Angle: {
+      Between: (x1, y1, x2, y2) => Math.atan2(y2 - y1, x2 - x1)
+    },
+    Distance: {
+      Between: (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1)
+    },
+    Linear: (p0, p1, t) => (p1 - p0) * t + p0,
+    Clamp: (value, min, max) => Math.max(min, Math.min(max, value))
+  },
+  Display: {
+    Color: {
+      ValueToColor: valueToColor,
+      Interpolate: { ColorWithColor: interpolateColor }
+    }
+  },
+  Scenes: {
+    Events: { SHUTDOWN: 'shutdown' }
+  }
+};
+
+globalThis.Phaser = PhaserShim;
+
+export default PhaserShim;
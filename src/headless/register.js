@@ -0,0 +1,7 @@
+// Preload for running gameplay modules in Node:
+//   node --import ./src/headless/register.js <script>
+// Swaps the 'phaser' package for the shim and installs the global Phaser.
+import { register } from 'node:module';
+import './phaserShim.js';
+
+register('./loader.js', import.meta.url);
@@ -0,0 +1,294 @@
+// Headless balance simulation
+// -------------------------------------------------------------
+// Runs the gameplay managers for a fixed number of frames without a canvas
+// and prints what happened. Usage:
+//
+//   npm run simulate -- --seed 42 --runs 10 --frames 36000
+//   npm run simulate -- --config balance.json --set turretStats.RANGE=400 --json
+//   npm run simulate -- --build turret --frames 600 --expect ongoing
+//
+// A run places structures from the build queue (--build) near the carrier as
+// soon as it can afford them – a simple stand-in for a player – and ends when
+// the frame budget is spent or RunManager declares defeat / victory.
+// With --expect / --min-drills the process exits with code 1 when any run
+// ends differently or builds too few drills, which is how `npm run check`
+// guards scenarios with a known outcome.
+//
+// Balance overrides (--config file and/or --set path=value) use these keys:
+//   waveSettings   EnemyManager WAVE_SETTINGS (per instance)
+//   meleeSettings  MeleeEnemy.WAVE_SETTINGS (enemies.json melee.waveSettings)
+//   tierStats      MeleeEnemy.TIER_STATS  e.g. tierStats.LARGE.HEALTH=150
+//   shooterStats   ShooterEnemy.STATS
+//   turretStats    MacroTurret.STATS      (the "turret" building in buildings.json)
+//   runGoals       RunManager.GOALS       e.g. runGoals.WAVES=10
+// -------------------------------------------------------------
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { HeadlessScene } from './headlessScene.js';
+import { createSimulation, updateSimulation, worldSizeFromSeed } from '../simulation.js';
+import { MeleeEnemy } from '../enemies/MeleeEnemy.js';
+import { ShooterEnemy } from '../enemies/ShooterEnemy.js';
+import { MacroTurret } from '../turrets/MacroTurret.js';
+import { RunManager } from '../runManager.js';
+import { RESOURCE_TYPES } from '../resourceManager.js';
+import { gameData } from '../gameData.js';
+import { pluginManager } from '../pluginManager.js';
+
+const HELP = `Usage: npm run simulate -- [options]
+
+  --seed <n>          First world seed (default 1)
+  --runs <n>          Number of runs; run i uses seed + i (default 1)
+  --frames <n>        Frame budget per run at 60 fps (default 36000 = 10 min)
+  --build <list>      Build queue of building ids from src/data/buildings.json, e.g. drill,turret,drill
+                      (default drill,turret,drill,turret,drill,turret)
+  --research <list>   Research node ids unlocked from the start, e.g. autoloader,diamond_bits
+  --plugins <list>    Plugin ids from src/plugins/manifest.js to load besides the enabled ones
+  --wrap              Generate worlds whose left and right edges join up
+  --config <file>     JSON file with balance overrides
+  --set <path=value>  Single balance override, repeatable (e.g. turretStats.PROJECTILE_DAMAGE=30)
+  --expect <outcome>  Fail (exit code 1) unless every run ends as ongoing, defeat or victory
+  --min-drills <n>    Fail (exit code 1) unless every run built at least n drills
+  --json              Print run summaries as JSON
+  --verbose           Keep game console output
+  --help              Show this message
+`;
+
+// Overrides applied once per process to class-level stat tables
+const STATIC_TARGETS = {
+  meleeSettings: () => MeleeEnemy.WAVE_SETTINGS,
+  tierStats: () => MeleeEnemy.TIER_STATS,
+  shooterStats: () => ShooterEnemy.STATS,
+  turretStats: () => MacroTurret.STATS,
+  runGoals: () => RunManager.GOALS
+};
+
+// Overrides applied to every new simulation
+const INSTANCE_TARGETS = {
+  waveSettings: scene => scene.enemyManager.WAVE_SETTINGS
+};
+
+const BUILD_SPACING = 50; // px between build slots either side of the carrier
+
+function deepMerge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') {
+      deepMerge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+// "tierStats.LARGE.HEALTH=150" -> { tierStats: { LARGE: { HEALTH: 150 } } }
+function parseSetOption(option) {
+  const eq = option.indexOf('=');
+  if (eq < 0) throw new Error(`--set expects path=value, got "${option}"`);
+  const path = option.slice(0, eq).split('.');
+  const raw = option.slice(eq + 1);
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch {
+    value = raw;
+  }
+  const result = {};
+  let node = result;
+  path.slice(0, -1).forEach(key => { node = node[key] = {}; });
+  node[path[path.length - 1]] = value;
+  return result;
+}
+
+function loadOverrides(values) {
+  const overrides = values.config ? JSON.parse(readFileSync(values.config, 'utf8')) : {};
+  for (const option of values.set ?? []) {
+    deepMerge(overrides, parseSetOption(option));
+  }
+  for (const key of Object.keys(overrides)) {
+    if (!STATIC_TARGETS[key] && !INSTANCE_TARGETS[key]) {
+      throw new Error(`Unknown override "${key}" (expected one of ${[...Object.keys(STATIC_TARGETS), ...Object.keys(INSTANCE_TARGETS)].join(', ')})`);
+    }
+  }
+  return overrides;
+}
+
+// Nearest free, placeable point on the surface next to the carrier
+function findBuildSlot(scene, occupiedXs) {
+  const { terrainManager, carrier } = scene;
+  const halfTile = terrainManager.tileSize / 2;
+  const maxSteps = Math.ceil(terrainManager.width / BUILD_SPACING);
+
+  for (let step = 1; step <= maxSteps; step++) {
+    for (const side of [-1, 1]) {
+      const x = terrainManager.wrapWorldX(carrier.x + side * step * BUILD_SPACING);
+      if (occupiedXs.some(ox => Math.abs(terrainManager.offsetX(ox, x)) < BUILD_SPACING / 2)) continue;
+      const surfaceY = terrainManager.getSurfaceY(x);
+      if (surfaceY == null) continue;
+      const y = surfaceY - halfTile;
+      if (terrainManager.canPlaceDrillAt(x, y)) return { x, y };
+    }
+  }
+  return null;
+}
+
+function runOnce(seed, frames, buildQueue, research, overrides, wrapX) {
+  const { width, height } = worldSizeFromSeed(seed, { wrapX });
+  const scene = new HeadlessScene();
+  scene.registry.set('worldWidth', width);
+  scene.registry.set('worldHeight', height);
+  scene.registry.set('worldSeed', seed);
+
+  createSimulation(scene, { width, height, seed, wrapX, pregenerateTerrain: true });
+  scene.cameras.main.setBounds(0, 0, width, height);
+  for (const [key, getTarget] of Object.entries(INSTANCE_TARGETS)) {
+    if (overrides[key]) deepMerge(getTarget(scene), overrides[key]);
+  }
+
+  const { resourceManager, researchManager, drillManager, turretManager, scannerManager, enemyManager, runManager, carrier } = scene;
+  research.forEach(id => researchManager.unlock(id));
+  const occupiedXs = [];
+  const queue = [...buildQueue];
+
+  enemyManager.enableWaveSystem();
+  enemyManager.startWave();
+
+  let frame = 0;
+  for (; frame < frames && !runManager.ended; frame++) {
+    // Build the next queued structure once affordable
+    const next = queue[0];
+    if (next) {
+      const building = gameData.getBuilding(next);
+      const slot = resourceManager.canAfford(building.stats.COST) ? findBuildSlot(scene, occupiedXs) : null;
+      if (slot && resourceManager.spend(building.stats.COST)) {
+        if (building.kind === 'drill') {
+          drillManager.tryPlaceDrill(slot.x, slot.y);
+        } else if (building.kind === 'scanner') {
+          scannerManager.tryPlaceScanner(slot.x, slot.y, next);
+        } else {
+          turretManager.tryPlaceTurret(slot.x, slot.y, next);
+        }
+        occupiedXs.push(slot.x);
+        queue.shift();
+      }
+    }
+
+    scene.tick();
+    updateSimulation(scene);
+  }
+
+  const summary = runManager.getSummary();
+  return {
+    seed,
+    world: `${width}x${height}${wrapX ? ' wrap' : ''}`,
+    frames: frame,
+    outcome: runManager.result?.outcome ?? 'ongoing',
+    carrierHealth: Math.max(0, carrier.health),
+    wavesSurvived: summary.wavesSurvived,
+    resourcesEarned: summary.resourcesEarned,
+    // Per-type income, e.g. rockEarned / oreEarned / crystalEarned
+    ...Object.fromEntries(Object.keys(RESOURCE_TYPES).map(type => [`${type}Earned`, resourceManager.earned[type]])),
+    drillsBuilt: summary.drillsBuilt,
+    drillsLost: summary.drillsLost,
+    turretsBuilt: summary.turretsBuilt,
+    turretsLost: summary.turretsLost,
+    enemiesKilled: summary.enemiesKilled
+  };
+}
+
+function printTable(results) {
+  const columns = Object.keys(results[0]);
+  const rows = results.map(r => columns.map(c => String(r[c])));
+  if (results.length > 1) {
+    rows.push(columns.map(c => {
+      const values = results.map(r => r[c]);
+      if (typeof values[0] !== 'number' || c === 'seed') return c === 'seed' ? 'mean' : '';
+      return (values.reduce((a, b) => a + b, 0) / values.length).toFixed(1);
+    }));
+  }
+  const widths = columns.map((c, i) => Math.max(c.length, ...rows.map(r => r[i].length)));
+  const line = cells => cells.map((cell, i) => cell.padStart(widths[i])).join('  ');
+  process.stdout.write(`${line(columns)}\n${rows.map(line).join('\n')}\n`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      seed: { type: 'string', default: '1' },
+      runs: { type: 'string', default: '1' },
+      frames: { type: 'string', default: '36000' },
+      build: { type: 'string', default: 'drill,turret,drill,turret,drill,turret' },
+      research: { type: 'string', default: '' },
+      plugins: { type: 'string', default: '' },
+      wrap: { type: 'boolean', default: false },
+      config: { type: 'string' },
+      set: { type: 'string', multiple: true },
+      expect: { type: 'string' },
+      'min-drills': { type: 'string', default: '0' },
+      json: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    process.stdout.write(HELP);
+    return;
+  }
+
+  // Managers log wave progress etc. – keep the report readable
+  if (!values.verbose) console.log = () => {};
+
+  // Plugins can add buildings, so they load before the build queue is checked
+  const pluginIds = values.plugins ? values.plugins.split(',').map(s => s.trim()) : [];
+  await pluginManager.loadAll(pluginIds);
+  if (pluginManager.failures.length > 0) {
+    throw new Error(pluginManager.failures.map(failure => failure.message).join('\n'));
+  }
+
+  const seed = Number(values.seed);
+  const runs = Number(values.runs);
+  const frames = Number(values.frames);
+  const buildQueue = values.build ? values.build.split(',').map(s => s.trim()) : [];
+  const badItem = buildQueue.find(item => !gameData.getBuilding(item));
+  if (badItem) throw new Error(`Unknown build item "${badItem}" (expected one of ${Object.keys(gameData.buildings).join(', ')})`);
+  const research = values.research ? values.research.split(',').map(s => s.trim()) : [];
+  const badNode = research.find(id => !gameData.research.some(node => node.id === id));
+  if (badNode) throw new Error(`Unknown research "${badNode}" (expected one of ${gameData.research.map(node => node.id).join(', ')})`);
+
+  const OUTCOMES = ['ongoing', 'defeat', 'victory'];
+  if (values.expect && !OUTCOMES.includes(values.expect)) throw new Error(`--expect takes one of ${OUTCOMES.join(', ')}, got "${values.expect}"`);
+
+  const overrides = loadOverrides(values);
+  for (const [key, getTarget] of Object.entries(STATIC_TARGETS)) {
+    if (overrides[key]) deepMerge(getTarget(), overrides[key]);
+  }
+
+  const results = [];
+  for (let i = 0; i < runs; i++) {
+    results.push(runOnce(seed + i, frames, buildQueue, research, overrides, values.wrap));
+  }
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+  } else {
+    printTable(results);
+  }
+
+  const unexpected = values.expect ? results.filter(result => result.outcome !== values.expect) : [];
+  if (unexpected.length > 0) {
+    process.stderr.write(`Expected every run to be ${values.expect}: ${unexpected.map(result => `seed ${result.seed} ended as ${result.outcome} at frame ${result.frames}`).join(', ')}\n`);
+    process.exitCode = 1;
+  }
+  const minDrills = Number(values['min-drills']);
+  const tooFewDrills = results.filter(result => result.drillsBuilt < minDrills);
+  if (tooFewDrills.length > 0) {
+    process.stderr.write(`Expected every run to build at least ${minDrills} drill(s): ${tooFewDrills.map(result => `seed ${result.seed} built ${result.drillsBuilt}`).join(', ')}\n`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
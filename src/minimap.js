@@ -0,0 +1,219 @@
+// src/minimap.js
+
+// Minimap panel for Edge World Miners
+// -------------------------------------------------------------
+// A downsampled view of the whole world in the bottom-right of the HUD:
+// terrain from TerrainManager's tile map (ground still under the fog of war
+// stays dark), markers for the carrier, drills, turrets, scanners and live
+// enemies, and the rectangle the camera is looking at.
+// Clicking (or dragging) on it centres the camera on that spot. M hides it.
+//
+// The terrain image is resampled every TERRAIN_INTERVAL ms (chunks arriving,
+// mining, falling sand); markers and the camera rectangle are redrawn over
+// it every MARKER_INTERVAL ms.
+// -------------------------------------------------------------
+
+import Phaser from 'phaser';
+
+const MARKER_COLORS = {
+  CARRIER: '#ffffff',
+  DRILL: '#33ffcc',
+  TURRET: '#00aaff',
+  SCANNER: '#66ddff',
+  ENEMY: '#ff3300',
+  CAMERA: '#ffff66'
+};
+
+export class Minimap {
+  /**
+   * @param {Phaser.Scene} scene – active game scene (managers, camera & shutdown hooks)
+   * @param {HTMLElement} overlay – DOM overlay container to attach the panel to
+   * @param {Object} [opts]
+   * @param {number} [opts.width=240] – panel width in pixels; the height follows the world's shape
+   * @param {number} [opts.minHeight=48]
+   * @param {number} [opts.maxHeight=160]
+   */
+  constructor(scene, overlay, opts = {}) {
+    this.scene = scene;
+    this.terrainManager = scene.terrainManager;
+    this.overlay = overlay;
+
+    this.TERRAIN_INTERVAL = 500;
+    this.MARKER_INTERVAL = 100;
+    this.lastTerrainDraw = -Infinity;
+    this.lastMarkerDraw = -Infinity;
+
+    // Very wide worlds are stretched vertically rather than shown as a sliver
+    const { width: worldWidth, height: worldHeight } = this.terrainManager;
+    this.width = opts.width ?? 240;
+    this.height = Phaser.Math.Clamp(
+      Math.round(this.width * worldHeight / worldWidth),
+      opts.minHeight ?? 48,
+      opts.maxHeight ?? 160
+    );
+    this.scaleX = this.width / worldWidth;
+    this.scaleY = this.height / worldHeight;
+
+    // Material colours as [r, g, b] by palette id; air above the ground is
+    // sky, below it a cave (TerrainManager.skyConfig)
+    const rgb = color => {
+      const { r, g, b } = Phaser.Display.Color.IntegerToRGB(color);
+      return [r, g, b];
+    };
+    this.colors = this.terrainManager.palette.map(material => rgb(material.color));
+    this.skyColor = rgb(this.terrainManager.skyConfig.gradientMiddle);
+    this.caveColor = rgb(this.terrainManager.skyConfig.undergroundTop);
+    this.fogColor = rgb(this.terrainManager.FOG_COLOR);
+
+    // --- Build panel DOM ---
+    this.el = document.createElement('div');
+    this.el.id = 'minimap';
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.el.appendChild(this.canvas);
+    overlay.appendChild(this.el);
+
+    this.context = this.canvas.getContext('2d');
+    this.terrainImage = this.context.createImageData(this.width, this.height);
+
+    // Click-to-jump, and keep following the pointer while the button is held
+    this.dragging = false;
+    this.onPointerDown = event => {
+      this.dragging = true;
+      this.canvas.setPointerCapture?.(event.pointerId);
+      this.jumpTo(event);
+    };
+    this.onPointerMove = event => {
+      if (this.dragging) this.jumpTo(event);
+    };
+    this.onPointerUp = () => {
+      this.dragging = false;
+    };
+    this.canvas.addEventListener('pointerdown', this.onPointerDown);
+    this.canvas.addEventListener('pointermove', this.onPointerMove);
+    this.canvas.addEventListener('pointerup', this.onPointerUp);
+    this.canvas.addEventListener('pointercancel', this.onPointerUp);
+
+    // Show/hide with 'M'
+    scene.input.keyboard.addKey('M').on('down', () => this.toggle());
+  }
+
+  toggle(forceState) {
+    const shouldBeVisible = forceState ?? this.el.classList.contains('hidden');
+    this.el.classList.toggle('hidden', !shouldBeVisible);
+    // Draw straight away instead of showing a stale image
+    if (shouldBeVisible) this.update(true);
+  }
+
+  // Centre the main camera on the world point under the pointer
+  jumpTo(event) {
+    const bounds = this.canvas.getBoundingClientRect();
+    const x = Phaser.Math.Clamp((event.clientX - bounds.left) / bounds.width, 0, 1) * this.terrainManager.width;
+    const y = Phaser.Math.Clamp((event.clientY - bounds.top) / bounds.height, 0, 1) * this.terrainManager.height;
+    this.scene.cameras.main.centerOn(x, y);
+    // Bring a wrapping world's seam camera along (see GameScene.wrapCamera())
+    this.scene.wrapCamera?.();
+    this.update(true);
+  }
+
+  /**
+   * Redraw whatever is due. Called every frame from UI.update().
+   *
+   * @param {boolean} [force=false] – redraw terrain and markers now
+   */
+  update(force = false) {
+    if (this.el.classList.contains('hidden')) return;
+    const now = this.scene.time.now;
+    if (force || now - this.lastTerrainDraw >= this.TERRAIN_INTERVAL) {
+      this.lastTerrainDraw = now;
+      this.sampleTerrain();
+    }
+    if (force || now - this.lastMarkerDraw >= this.MARKER_INTERVAL) {
+      this.lastMarkerDraw = now;
+      this.context.putImageData(this.terrainImage, 0, 0);
+      this.drawMarkers();
+      this.drawCameraRect();
+    }
+  }
+
+  // One tile per minimap pixel, taken from the middle of the area it covers.
+  // Each pixel column is scanned top-down so the first solid tile marks where
+  // sky turns into cave; columns not generated yet are all sky.
+  sampleTerrain() {
+    const { tileIds, cols, rows, AIR_ID } = this.terrainManager;
+    const pixels = this.terrainImage.data;
+
+    for (let px = 0; px < this.width; px++) {
+      const col = Math.min(cols - 1, Math.floor((px + 0.5) * cols / this.width));
+      let aboveGround = true;
+      for (let py = 0; py < this.height; py++) {
+        const row = Math.min(rows - 1, Math.floor((py + 0.5) * rows / this.height));
+        const id = tileIds[row * cols + col];
+        let color;
+        if (!this.terrainManager.isRevealed(col, row)) {
+          aboveGround = false;
+          color = this.fogColor;
+        } else if (id === AIR_ID) {
+          color = aboveGround ? this.skyColor : this.caveColor;
+        } else {
+          aboveGround = false;
+          color = this.colors[id];
+        }
+        const pixel = (py * this.width + px) * 4;
+        pixels[pixel] = color[0];
+        pixels[pixel + 1] = color[1];
+        pixels[pixel + 2] = color[2];
+        pixels[pixel + 3] = 255;
+      }
+    }
+  }
+
+  drawMarkers() {
+    const { carrier, drillManager, turretManager, scannerManager, enemyManager } = this.scene;
+
+    for (const drill of drillManager?.getTargetableDrills() ?? []) {
+      this.drawMarker(drill.x, drill.y, MARKER_COLORS.DRILL, 3);
+    }
+    for (const turret of turretManager?.getTurrets() ?? []) {
+      this.drawMarker(turret.x, turret.y, MARKER_COLORS.TURRET, 3);
+    }
+    for (const scanner of scannerManager?.getScanners() ?? []) {
+      this.drawMarker(scanner.x, scanner.y, MARKER_COLORS.SCANNER, 3);
+    }
+    for (const enemy of enemyManager?.getEnemies() ?? []) {
+      if (enemy.active === false) continue;
+      this.drawMarker(enemy.x, enemy.y, MARKER_COLORS.ENEMY, 2);
+    }
+    if (carrier) this.drawMarker(carrier.x, carrier.y, MARKER_COLORS.CARRIER, 5);
+  }
+
+  // Square marker of `size` pixels centred on a world point
+  drawMarker(x, y, color, size) {
+    const mapX = Math.round(this.terrainManager.wrapWorldX(x) * this.scaleX - size / 2);
+    const mapY = Math.round(y * this.scaleY - size / 2);
+    this.context.fillStyle = color;
+    this.context.fillRect(mapX, mapY, size, size);
+  }
+
+  // In a wrapping world the view can run past the right edge; the rest of
+  // it is drawn again from the left edge
+  drawCameraRect() {
+    const view = this.scene.cameras.main.worldView;
+    const x = this.terrainManager.wrapWorldX(view.x) * this.scaleX;
+    const y = view.y * this.scaleY;
+    const width = view.width * this.scaleX;
+    const height = view.height * this.scaleY;
+
+    this.context.strokeStyle = MARKER_COLORS.CAMERA;
+    this.context.lineWidth = 1;
+    this.context.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+    if (this.terrainManager.wrapX && x + width > this.width) {
+      this.context.strokeRect(x - this.width + 0.5, y + 0.5, width - 1, height - 1);
+    }
+  }
+
+  destroy() {
+    this.el.remove();
+  }
+}
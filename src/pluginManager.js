@@ -0,0 +1,256 @@
+import { gameData } from './gameData.js';
+import { PLUGIN_MANIFEST } from './plugins/manifest.js';
+import { BaseEnemy } from './enemies/BaseEnemy.js';
+import { MeleeEnemy } from './enemies/MeleeEnemy.js';
+import { ShooterEnemy } from './enemies/ShooterEnemy.js';
+import { BaseTurret } from './turrets/BaseTurret.js';
+import { MacroTurret } from './turrets/MacroTurret.js';
+
+// Plugin Loading for Edge World Miners
+// -------------------------------------------------------------
+// Plugins add content without touching core files. Each one is listed in
+// src/plugins/manifest.js and is a module whose default export has a
+// register(api) function (it may be async):
+//
+//   export default {
+//     register(api) {
+//       api.registerMaterial('GLOWSTONE', { name: 'glowstone', ... });
+//       api.registerEnemy('DRIFTER', Drifter, { BASE: 0.05, PER_WAVE: 0.01, MAX: 0.2 });
+//     }
+//   };
+//
+// The api offers:
+//   registerMaterial(key, def)         same shape as an entry in materials.json
+//   registerBiome(key, def)            same shape as an entry in biomes.json
+//   registerStratum(key, def)          same shape as an entry in strata.json
+//   registerStructure(key, def)        same shape as an entry in structures.json
+//   registerBuilding(id, def)          same shape as an entry in buildings.json
+//   registerTurretClass(name, Class)   BaseTurret subclass a building can name in "class"
+//   registerEnemy(type, Class, chance) BaseEnemy subclass spawned during waves
+//   registerGenerationLayer(layer)     { name, before, getMaterial(x, y, context, terrain) }
+//                                      before: sky, bedrock, caves, surface, subSurface, liquids,
+//                                      strata, ores or deep
+//                                      context: surfaceHeight, biome ({ biome, neighbour, mix } at
+//                                      the tile), isCave(x, y), isOre(x, y),
+//                                      stratumAt(y) (the depth stratum in this column, or null)
+//                                      terrain: the TerrainGenerator (rows, cols, MATERIALS, wrapX,
+//                                      tileNoise(x, y, frequency, offset) – noise that also joins
+//                                      up across the seam of a wrapping world)
+//   classes                            BaseEnemy, MeleeEnemy, ShooterEnemy, BaseTurret, MacroTurret
+//
+// Sandboxing: a plugin's registrations are staged and only installed once
+// register() has finished and its definitions validate, so a plugin that
+// throws or ships bad data is skipped as a whole and reported. Plugin code
+// that runs during the game (enemy / turret update(), generation layers) is
+// wrapped too: an error is reported once and the failing object is removed
+// instead of stopping the game loop.
+//
+// Worlds are normally generated in a Web Worker; generation layers are
+// main-thread functions, so while any plugin registers one the terrain is
+// generated on the main thread instead (same result, slower loading).
+// getMaterial() must depend only on the position and the seeded noise:
+// chunks nobody changed are not saved but generated again when a save loads.
+//
+// All plugins load once per page (LoadingScene) or process (simulate.js),
+// before the first GameScene is created.
+// -------------------------------------------------------------
+
+// Built-in layer a plugin generation layer is inserted before, by default
+const DEFAULT_LAYER_POSITION = 'caves';
+
+class PluginManager {
+  constructor(manifest = PLUGIN_MANIFEST) {
+    this.manifest = manifest;
+    this.loaded = [];     // { id, name, version } of installed plugins
+    this.failures = [];   // { id, message } for plugins that were skipped or crashed
+    this.loading = null;  // promise shared by every loadAll() call
+    this.scene = null;    // scene whose UI shows plugin errors (see attach())
+  }
+
+  /**
+   * Load every enabled plugin in manifest order. Safe to call repeatedly;
+   * plugins are only loaded once.
+   * @param {string[]} [extraIds] - Manifest ids to load even if not enabled
+   * @returns {Promise<void>} rejects only if the base game data is invalid;
+   *   plugin failures are reported and skipped
+   */
+  loadAll(extraIds = []) {
+    if (!this.loading) {
+      this.loading = this.loadPlugins(extraIds);
+    }
+    return this.loading;
+  }
+
+  async loadPlugins(extraIds) {
+    // The base definitions have to be valid before anything can extend them
+    gameData.ensureLoaded();
+
+    for (const id of extraIds) {
+      if (!this.manifest.some(entry => entry.id === id)) {
+        this.fail(id, new Error('not listed in src/plugins/manifest.js'));
+      }
+    }
+
+    const seen = new Set();
+    for (const entry of this.manifest) {
+      if (!entry.enabled && !extraIds.includes(entry.id)) continue;
+      if (seen.has(entry.id)) {
+        this.fail(entry.id, new Error('listed twice in the manifest'));
+        continue;
+      }
+      seen.add(entry.id);
+
+      try {
+        await this.loadPlugin(entry);
+        this.loaded.push({ id: entry.id, name: entry.name, version: entry.version });
+        console.log(`Plugin loaded: ${entry.name ?? entry.id} ${entry.version ?? ''}`.trim());
+      } catch (error) {
+        this.fail(entry.id, error);
+      }
+    }
+  }
+
+  async loadPlugin(entry) {
+    if (typeof entry.load !== 'function') {
+      throw new Error('manifest entry has no load() function');
+    }
+    const module = await entry.load();
+    const plugin = module.default ?? module;
+    if (typeof plugin.register !== 'function') {
+      throw new Error('module does not export register(api)');
+    }
+
+    const staged = {
+      definitions: { materials: {}, biomes: {}, strata: {}, structures: {}, buildings: {} },
+      turretClasses: new Map(),
+      enemies: [],
+      layers: []
+    };
+    await plugin.register(this.createApi(entry.id, staged));
+    this.install(entry.id, staged);
+  }
+
+  // The object handed to register(); everything it receives is staged
+  createApi(pluginId, staged) {
+    const define = file => (key, def) => {
+      if (key in staged.definitions[file]) throw new Error(`${file}.${key} registered twice`);
+      staged.definitions[file][key] = def;
+    };
+
+    return {
+      id: pluginId,
+      classes: { BaseEnemy, MeleeEnemy, ShooterEnemy, BaseTurret, MacroTurret },
+      registerMaterial: define('materials'),
+      registerBiome: define('biomes'),
+      registerStratum: define('strata'),
+      registerStructure: define('structures'),
+      registerBuilding: define('buildings'),
+      registerTurretClass: (name, TurretClass) => {
+        if (!(TurretClass?.prototype instanceof BaseTurret)) {
+          throw new Error(`Turret class "${name}" must extend BaseTurret`);
+        }
+        staged.turretClasses.set(name, TurretClass);
+      },
+      registerEnemy: (type, EnemyClass, spawnChance) => {
+        if (!(EnemyClass?.prototype instanceof BaseEnemy)) {
+          throw new Error(`Enemy type "${type}" must extend BaseEnemy`);
+        }
+        staged.enemies.push({ type, EnemyClass, spawnChance });
+      },
+      registerGenerationLayer: layer => {
+        if (typeof layer?.getMaterial !== 'function') {
+          throw new Error('Generation layer needs a getMaterial(x, y, context, terrain) function');
+        }
+        staged.layers.push(layer);
+      }
+    };
+  }
+
+  // Install staged content once all of it has been checked
+  install(pluginId, staged) {
+    const enemyTypes = new Set();
+    for (const { type, spawnChance } of staged.enemies) {
+      if (enemyTypes.has(type)) throw new Error(`Enemy type "${type}" registered twice`);
+      enemyTypes.add(type);
+      gameData.checkEnemyType(type, spawnChance);
+    }
+
+    const turretClasses = new Map([...staged.turretClasses].map(([name, TurretClass]) => [
+      name,
+      this.sandboxClass(pluginId, TurretClass, turret => turret.manager.destroyTurret(turret))
+    ]));
+    gameData.extend(staged.definitions, turretClasses);
+
+    for (const { type, EnemyClass, spawnChance } of staged.enemies) {
+      gameData.registerEnemyType(type, this.sandboxClass(pluginId, EnemyClass, enemy => enemy.destroy()), spawnChance);
+    }
+
+    for (const layer of staged.layers) {
+      gameData.registerGenerationLayer(this.sandboxLayer(pluginId, layer));
+    }
+  }
+
+  // Subclass whose update() reports errors and removes the failing instance
+  sandboxClass(pluginId, BaseClass, removeInstance) {
+    const plugins = this;
+    return class extends BaseClass {
+      update(...args) {
+        try {
+          return super.update(...args);
+        } catch (error) {
+          plugins.reportRuntimeError(pluginId, error);
+          removeInstance(this);
+        }
+      }
+    };
+  }
+
+  // A generation layer that stops contributing after its first error
+  sandboxLayer(pluginId, layer) {
+    let failed = false;
+    return {
+      name: layer.name ?? pluginId,
+      before: layer.before ?? DEFAULT_LAYER_POSITION,
+      getMaterial: (x, y, context, terrain) => {
+        if (failed) return null;
+        try {
+          return layer.getMaterial(x, y, context, terrain);
+        } catch (error) {
+          failed = true;
+          this.reportRuntimeError(pluginId, error);
+          return null;
+        }
+      }
+    };
+  }
+
+  // A plugin that could not be loaded
+  fail(pluginId, error) {
+    const message = `Plugin "${pluginId}" failed to load: ${error.message}`;
+    console.error(message, error);
+    this.failures.push({ id: pluginId, message });
+    this.scene?.ui?.showNotification(message, 'danger');
+  }
+
+  // A loaded plugin that threw during the game – reported once per plugin
+  reportRuntimeError(pluginId, error) {
+    if (this.failures.some(failure => failure.id === pluginId)) return;
+    const message = `Plugin "${pluginId}" crashed: ${error.message}`;
+    console.error(message, error);
+    this.failures.push({ id: pluginId, message });
+    this.scene?.ui?.showNotification(message, 'danger');
+  }
+
+  // Show plugin errors in this scene's UI; load failures are announced on the first attach
+  attach(scene) {
+    const firstAttach = !this.scene;
+    this.scene = scene;
+    if (!firstAttach) return;
+    for (const failure of this.failures) {
+      scene.ui?.showNotification(failure.message, 'danger');
+    }
+  }
+}
+
+// Shared by every scene and the headless runner
+export const pluginManager = new PluginManager();
@@ -0,0 +1,108 @@
+// Glow Caverns – example plugin
+// -------------------------------------------------------------
+// Shows every extension point of the plugin api (see pluginManager.js):
+//   * GLOWSTONE material, placed in deep pockets by a generation layer
+//   * GLOW_SEAM stratum between the mantle and the magma layer, veined with glowstone
+//   * GLOW_SHRINE structure, a hollow glowstone dome buried under the plains
+//   * DRIFTER enemy, a fast MeleeEnemy variant from wave 2 on
+//   * Twin Turret building backed by its own BaseTurret subclass
+// Enable it in manifest.js, or try it headless:
+//   npm run simulate -- --plugins glow-caverns --build drill,twin_turret,drill
+// -------------------------------------------------------------
+
+export default {
+  register(api) {
+    const { MeleeEnemy, MacroTurret } = api.classes;
+
+    api.registerMaterial('GLOWSTONE', {
+      name: 'glowstone',
+      solid: true,
+      shiftable: false,
+      mineable: true,
+      hardness: 6,
+      color: '#7cff9a',
+      damageResistance: 0.6,
+      drops: { crystal: 1 }
+    });
+
+    api.registerStratum('GLOW_SEAM', {
+      name: 'Glow Seam',
+      top: 0.8,
+      material: 'MANTLE_ROCK',
+      background: '#16302a',
+      boundaryAmplitude: 2,
+      boundaryFrequency: 0.04,
+      ores: [{ material: 'GLOWSTONE', frequency: 0.18, threshold: 0.6 }]
+    });
+
+    api.registerStructure('GLOW_SHRINE', {
+      name: 'Glow Shrine',
+      biomes: ['PLAINS'],
+      chance: 0.3,
+      spacing: 100,
+      minDepth: 8,
+      maxDepth: 20,
+      legend: { g: 'GLOWSTONE', '.': 'AIR' },
+      tiles: [
+        ' ggg ',
+        'g...g',
+        'ggggg'
+      ]
+    });
+
+    // Pockets in the lower third of the world, ahead of the strata's own ores
+    api.registerGenerationLayer({
+      name: 'glowstone-pockets',
+      before: 'strata',
+      getMaterial: (x, y, context, terrain) => {
+        if (y < terrain.rows * 0.66 || context.isCave(x, y)) return null;
+        return terrain.tileNoise(x, y, 0.12, 3000) > 0.8 ? terrain.MATERIALS.GLOWSTONE : null;
+      }
+    });
+
+    class Drifter extends MeleeEnemy {
+      constructor(scene, manager, x, y) {
+        super(scene, manager, x, y, 'SMALL');
+        this.speed *= 1.6;
+        this.health = this.maxHealth = Math.round(this.maxHealth * 0.6);
+      }
+    }
+    api.registerEnemy('DRIFTER', Drifter, { BASE: 0.05, PER_WAVE: 0.01, MAX: 0.2, MIN_WAVE: 2 });
+
+    // Fires two shells either side of the target
+    class TwinTurret extends MacroTurret {
+      spawnProjectile(targetX, targetY) {
+        super.spawnProjectile(targetX - 20, targetY);
+        super.spawnProjectile(targetX + 20, targetY);
+      }
+    }
+    api.registerTurretClass('TwinTurret', TwinTurret);
+    api.registerBuilding('twin_turret', {
+      kind: 'turret',
+      class: 'TwinTurret',
+      description: 'Two lighter shells per volley',
+      hotkey: '4',
+      stats: {
+        NAME: 'Twin Turret',
+        HEALTH: 80,
+        COST: { rock: 30, crystal: 2 },
+        RANGE: 420,
+        FIRE_RATE: 70,
+        PROJECTILE_DAMAGE: 15,
+        PROJECTILE_SPEED: 320,
+        ACCURACY: 0.85,
+        MAX_SPREAD_RAD: 0.4,
+        AOE_RANGE: 60,
+        AOE_DAMAGE: 10
+      },
+      colors: {
+        TURRET: '#2a6f5a',
+        TURRET_BASE: '#111111',
+        RANGE: '#44aa88',
+        PROJECTILE: '#7cff9a',
+        EXPLOSION: '#aaffcc',
+        DAMAGE_INDICATOR: '#ff0000'
+      }
+    });
+  }
+};
@@ -0,0 +1,24 @@
+// Plugin Manifest for Edge World Miners
+// -------------------------------------------------------------
+// Every plugin the game can load. pluginManager.js loads the enabled ones,
+// in this order, before the first world is generated.
+//
+//   id        unique, used in error reports and `npm run simulate -- --plugins`
+//   enabled   load on startup (disabled plugins can still be enabled per
+//             simulation run)
+//   load      returns the plugin module; keep the import path literal so the
+//             bundler can find it
+//
+// See pluginManager.js for the api a plugin's register(api) receives.
+// -------------------------------------------------------------
+
+export const PLUGIN_MANIFEST = [
+  {
+    id: 'glow-caverns',
+    name: 'Glow Caverns',
+    version: '1.0.0',
+    description: 'Example plugin: glowstone pockets, drifter enemies and a twin-barrel turret.',
+    enabled: false,
+    load: () => import('./glowCaverns.js')
+  }
+];
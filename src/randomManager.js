@@ -0,0 +1,96 @@
+// Seeded Random Number Service for Edge World Miners
+// -------------------------------------------------------------
+// Every gameplay decision that involves chance (world noise, carrier
+// placement, enemy spawns, weapon spread, crater shapes) draws from this
+// service instead of Math.random(), so the same world seed replays the
+// same session.
+//
+// Each system asks for its own named stream (scene.rng.stream('enemies')).
+// Streams are seeded from the world seed + their name, which keeps them
+// independent: an extra roll in turret code does not shift enemy spawns.
+//
+// Purely cosmetic randomness (particles, texture speckles) may keep using
+// Math.random() – it never affects the simulation.
+// -------------------------------------------------------------
+
+// FNV-1a hash of a string into an unsigned 32-bit integer
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// A single mulberry32 generator. Its whole state is one 32-bit integer.
+export class RandomStream {
+  constructor(state) {
+    this.state = state >>> 0;
+  }
+
+  // Float in [0, 1) – drop-in replacement for Math.random()
+  frac() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [min, max] (inclusive, like Phaser.Math.Between)
+  between(min, max) {
+    return min + Math.floor(this.frac() * (max - min + 1));
+  }
+
+  // Float in [min, max) (like Phaser.Math.FloatBetween)
+  floatBetween(min, max) {
+    return min + this.frac() * (max - min);
+  }
+
+  // True with the given probability
+  chance(probability) {
+    return this.frac() < probability;
+  }
+
+  // -1 or 1
+  sign() {
+    return this.frac() < 0.5 ? -1 : 1;
+  }
+
+  pick(array) {
+    return array[Math.floor(this.frac() * array.length)];
+  }
+}
+
+export class RandomManager {
+  constructor(seed) {
+    this.seed = seed;
+    this.streams = new Map();
+  }
+
+  // Returns the stream for a system, creating it on first use
+  stream(name) {
+    let stream = this.streams.get(name);
+    if (!stream) {
+      stream = new RandomStream(hashString(`${this.seed}:${name}`));
+      this.streams.set(name, stream);
+    }
+    return stream;
+  }
+
+  serialize() {
+    const streams = {};
+    for (const [name, stream] of this.streams) {
+      streams[name] = stream.state;
+    }
+    return { seed: this.seed, streams };
+  }
+
+  // Streams missing from the snapshot keep their freshly seeded state
+  restore(state) {
+    for (const [name, value] of Object.entries(state.streams)) {
+      this.stream(name).state = value >>> 0;
+    }
+  }
+}
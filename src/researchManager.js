@@ -0,0 +1,147 @@
+import { gameData } from './gameData.js';
+
+// Research / Tech Tree for Edge World Miners
+// -------------------------------------------------------------
+// Owns the research node graph (src/data/research.json), which nodes are
+// unlocked and the single project currently being researched.
+//
+// A node unlocks once all of its `requires` are unlocked and the player pays
+// its `cost` (a resource bill) and waits `time` seconds. Its `effects` map a
+// stat key to a bonus added to that stat's multiplier (1 + sum of bonuses).
+// Keys are "<system>.<STAT>":
+//   turret.*   turret building STATS (RANGE, FIRE_RATE, PROJECTILE_DAMAGE, AOE_DAMAGE, ...)
+//   drill.*    DRILL_STATS           (MINING_RATE)
+//   carrier.*  carrier MINI_STATS    (RANGE, FIRE_RATE, DAMAGE)
+//   cargo.*    CargoManager.SPEED    (SPEED scales ascent and flight)
+// FIRE_RATE is frames between shots, so a negative bonus fires faster.
+//
+// Gameplay code never reads unlocks directly – it asks for a multiplier:
+//
+//   stats.RANGE * scene.researchManager.getStatMultiplier('turret.RANGE')
+//
+// State changes are published on the 'research' registry key for the UI.
+// Research time counts frames, like every other timer in the simulation.
+// -------------------------------------------------------------
+
+const FRAMES_PER_SECOND = 60;
+
+export class ResearchManager {
+  constructor(scene, resourceManager, tree = gameData.research) {
+    this.scene = scene;
+    this.resourceManager = resourceManager;
+    this.nodes = new Map(tree.map(node => [node.id, node]));
+
+    this.unlocked = new Set();
+    this.active = null; // { id, remaining } – remaining is in frames
+    this.multipliers = {};
+
+    for (const node of tree) {
+      for (const req of node.requires) {
+        if (!this.nodes.has(req)) {
+          console.warn(`Research "${node.id}" requires unknown node "${req}"`);
+        }
+      }
+    }
+
+    this.publish();
+  }
+
+  // The research panel listens to the 'research' registry key
+  publish() {
+    this.scene.registry.set('research', {
+      unlocked: [...this.unlocked],
+      active: this.active ? this.active.id : null
+    });
+  }
+
+  getNodes() {
+    return [...this.nodes.values()];
+  }
+
+  isUnlocked(id) {
+    return this.unlocked.has(id);
+  }
+
+  // 'unlocked' | 'researching' | 'available' | 'locked' (prerequisites missing)
+  getStatus(id) {
+    if (this.unlocked.has(id)) return 'unlocked';
+    if (this.active?.id === id) return 'researching';
+    const node = this.nodes.get(id);
+    return node.requires.every(req => this.unlocked.has(req)) ? 'available' : 'locked';
+  }
+
+  canResearch(id) {
+    const node = this.nodes.get(id);
+    return !!node &&
+      !this.active &&
+      this.getStatus(id) === 'available' &&
+      this.resourceManager.canAfford(node.cost);
+  }
+
+  // Pay for a node and start researching it. Returns false if not possible.
+  start(id) {
+    if (!this.canResearch(id)) return false;
+    const node = this.nodes.get(id);
+    this.resourceManager.spend(node.cost);
+    this.active = { id, remaining: node.time * FRAMES_PER_SECOND };
+    this.publish();
+    return true;
+  }
+
+  // Progress of the active project in [0, 1], or null when idle
+  getProgress() {
+    if (!this.active) return null;
+    const total = this.nodes.get(this.active.id).time * FRAMES_PER_SECOND;
+    return total > 0 ? 1 - this.active.remaining / total : 1;
+  }
+
+  update() {
+    if (!this.active) return;
+    this.active.remaining--;
+    if (this.active.remaining > 0) return;
+
+    const node = this.nodes.get(this.active.id);
+    this.active = null;
+    this.unlock(node.id);
+    console.log(`Research complete: ${node.name}`);
+    this.scene.ui?.showNotification(`Research complete: ${node.name}`, 'success');
+  }
+
+  unlock(id) {
+    this.unlocked.add(id);
+    this.recalculateMultipliers();
+    this.publish();
+  }
+
+  recalculateMultipliers() {
+    this.multipliers = {};
+    for (const id of this.unlocked) {
+      for (const [key, bonus] of Object.entries(this.nodes.get(id)?.effects ?? {})) {
+        this.multipliers[key] = (this.multipliers[key] ?? 1) + bonus;
+      }
+    }
+  }
+
+  /**
+   * Combined multiplier for a stat key such as 'turret.RANGE'; 1 when no
+   * unlocked research touches it. Never drops below 0.1.
+   */
+  getStatMultiplier(key) {
+    return Math.max(0.1, this.multipliers[key] ?? 1);
+  }
+
+  serialize() {
+    return { unlocked: [...this.unlocked], active: this.active ? { ...this.active } : null };
+  }
+
+  restore(state) {
+    this.unlocked = new Set(state.unlocked.filter(id => {
+      if (this.nodes.has(id)) return true;
+      console.warn(`Ignoring unknown research "${id}" in save`);
+      return false;
+    }));
+    this.active = state.active && this.nodes.has(state.active.id) ? { ...state.active } : null;
+    this.recalculateMultipliers();
+    this.publish();
+  }
+}
@@ -1,26 +1,83 @@
-// Manages player resource count and UI updates
+// Manages the player's typed resource inventory and UI updates
+//
+// Amounts are passed around as "bills": plain objects mapping a resource type
+// to an amount, e.g. { rock: 2, ore: 1 }. Building costs, cargo payloads and
+// material yields all use this shape.
+
+// Every resource type the game knows about. `color` is used for cargo sprites,
+// `css` for the HUD / build menu icons.
+export const RESOURCE_TYPES = {
+  rock: { label: 'Rock', color: 0xc2a37a, css: '#c2a37a' },
+  ore: { label: 'Ore', color: 0x9fb4d8, css: '#9fb4d8' },
+  crystal: { label: 'Crystal', color: 0x88ccff, css: '#88ccff' }
+};
+
+export function emptyBill() {
+  return Object.fromEntries(Object.keys(RESOURCE_TYPES).map(type => [type, 0]));
+}
+
+export function billTotal(bill) {
+  return Object.values(bill).reduce((sum, amount) => sum + amount, 0);
+}
+
 export class ResourceManager {
   constructor(scene) {
     this.scene = scene;
-    this.resources = 30;
-    scene.registry.set('resources', this.resources);
+    this.resources = { ...emptyBill(), rock: 30 };
+    // Lifetime income per type (deliveries only, spending doesn't reduce it)
+    this.earned = emptyBill();
+    this.publish();
+  }
+
+  // The HUD listens to the 'resources' registry key
+  publish() {
+    this.scene.registry.set('resources', { ...this.resources });
+  }
+
+  canAfford(bill) {
+    return Object.entries(bill).every(([type, amount]) => this.get(type) >= amount);
   }
 
-  spend(amount) {
-    if (this.resources >= amount) {
-      this.resources -= amount;
-      this.scene.registry.set('resources', this.resources);
-      return true;
+  spend(bill) {
+    if (!this.canAfford(bill)) return false;
+    for (const [type, amount] of Object.entries(bill)) {
+      this.resources[type] -= amount;
     }
-    return false;
+    this.publish();
+    return true;
+  }
+
+  add(bill) {
+    for (const [type, amount] of Object.entries(bill)) {
+      if (!(type in RESOURCE_TYPES)) {
+        console.warn(`Ignoring unknown resource type "${type}"`);
+        continue;
+      }
+      this.resources[type] += amount;
+      this.earned[type] += amount;
+    }
+    this.publish();
+  }
+
+  get(type) {
+    return this.resources[type] ?? 0;
+  }
+
+  getAll() {
+    return { ...this.resources };
+  }
+
+  get totalEarned() {
+    return billTotal(this.earned);
   }
 
-  add(amount) {
-    this.resources += amount;
-    this.scene.registry.set('resources', this.resources);
+  serialize() {
+    return { resources: { ...this.resources }, earned: { ...this.earned } };
   }
 
-  get() {
-    return this.resources;
+  restore(state) {
+    this.resources = { ...emptyBill(), ...state.resources };
+    this.earned = { ...emptyBill(), ...state.earned };
+    this.publish();
   }
 }
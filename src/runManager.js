@@ -0,0 +1,120 @@
+// Run Outcome Tracking for Edge World Miners
+// -------------------------------------------------------------
+// Decides when a run is over and produces the end-of-run summary.
+//
+// Defeat:  the carrier is destroyed, or no drill is standing, no cargo is in
+//          flight and there are not enough resources to build a drill –
+//          whether or not a drill was ever built. Spending the starting
+//          resources on anything that leaves less than a drill's cost ends
+//          the run.
+// Victory: optional – enabled by setting RunManager.GOALS.
+//
+// Statistics (structures lost, enemies killed) are counted from scene.bus
+// events. When the run ends RunManager emits 'run:ended' on scene.bus with
+// the summary; updateSimulation() stops advancing gameplay from then on.
+// -------------------------------------------------------------
+
+export class RunManager {
+  // Victory conditions; null disables a goal
+  static GOALS = {
+    WAVES: null,      // survive this many waves
+    RESOURCES: null   // earn this many resources in total
+  };
+
+  constructor(scene, { resourceManager, drillManager, turretManager, enemyManager, carrier }) {
+    this.scene = scene;
+    this.resourceManager = resourceManager;
+    this.drillManager = drillManager;
+    this.turretManager = turretManager;
+    this.enemyManager = enemyManager;
+    this.carrier = carrier;
+
+    this.frames = 0;
+    this.drillsLost = 0;
+    this.turretsLost = 0;
+    this.enemiesKilled = 0;
+    this.ended = false;
+    this.result = null;
+
+    scene.bus.on('structure:destroyed', this.recordLoss, this);
+    scene.bus.on('enemy:killed', () => this.enemiesKilled++);
+  }
+
+  recordLoss({ kind }) {
+    if (kind === 'drill') this.drillsLost++;
+    else if (kind === 'turret') this.turretsLost++;
+  }
+
+  update() {
+    if (this.ended) return;
+    this.frames++;
+
+    const outcome = this.checkOutcome();
+    if (outcome) {
+      this.end(outcome.outcome, outcome.reason);
+    }
+  }
+
+  checkOutcome() {
+    const carrier = this.carrier;
+    if (!carrier.active || carrier.health <= 0) {
+      return { outcome: 'defeat', reason: 'The carrier was destroyed' };
+    }
+
+    const canRebuild = this.resourceManager.canAfford(this.drillManager.DRILL_STATS.COST);
+    const cargoInFlight = this.drillManager.cargoManager.cargos.length > 0;
+    if (this.drillManager.getDrillCount() === 0 && !canRebuild && !cargoInFlight) {
+      return { outcome: 'defeat', reason: 'No drills left and no resources to build one' };
+    }
+
+    const { WAVES, RESOURCES } = RunManager.GOALS;
+    if (WAVES && this.enemyManager.getWavesSurvived() >= WAVES) {
+      return { outcome: 'victory', reason: `Survived ${WAVES} waves` };
+    }
+    if (RESOURCES && this.resourceManager.totalEarned >= RESOURCES) {
+      return { outcome: 'victory', reason: `Earned ${RESOURCES} resources` };
+    }
+
+    return null;
+  }
+
+  end(outcome, reason) {
+    this.ended = true;
+    this.result = { outcome, reason, ...this.getSummary() };
+    console.log(`Run ended (${outcome}): ${reason}`);
+    this.scene.bus.emit('run:ended', this.result);
+  }
+
+  getSummary() {
+    const drillsAlive = this.drillManager.getDrillCount();
+    const turretsAlive = this.turretManager.getTurretCount();
+    return {
+      seed: this.scene.registry.get('worldSeed'),
+      seconds: Math.floor(this.frames / 60),
+      wave: this.enemyManager.currentWave,
+      wavesSurvived: this.enemyManager.getWavesSurvived(),
+      resourcesEarned: this.resourceManager.totalEarned,
+      drillsBuilt: drillsAlive + this.drillsLost,
+      drillsLost: this.drillsLost,
+      turretsBuilt: turretsAlive + this.turretsLost,
+      turretsLost: this.turretsLost,
+      enemiesKilled: this.enemiesKilled
+    };
+  }
+
+  serialize() {
+    return {
+      frames: this.frames,
+      drillsLost: this.drillsLost,
+      turretsLost: this.turretsLost,
+      enemiesKilled: this.enemiesKilled
+    };
+  }
+
+  restore(state) {
+    this.frames = state.frames;
+    this.drillsLost = state.drillsLost;
+    this.turretsLost = state.turretsLost;
+    this.enemiesKilled = state.enemiesKilled;
+  }
+}
@@ -0,0 +1,243 @@
+import { DEFAULT_WORLD_SETTINGS } from './worldSettings.js';
+
+// Save / Load System for Edge World Miners
+// -------------------------------------------------------------
+// A save is a versioned JSON snapshot of the running session. Every manager
+// owns its own serialize()/restore() pair; SaveManager only stitches them
+// together and stores the result in localStorage slots.
+//
+// Loading never patches a live scene. The snapshot is parked in the registry
+// ('pendingSave') and the world is restarted through LoadingScene, which
+// reuses the saved dimensions/seed. GameScene.create() then calls
+// applySave() instead of generating fresh chunks.
+//
+// When the format changes: bump SAVE_VERSION and add a MIGRATIONS entry
+// that upgrades a snapshot from the previous version.
+// -------------------------------------------------------------
+
+export const SAVE_VERSION = 13;
+
+export const SAVE_SLOTS = ['slot-1', 'slot-2', 'slot-3'];
+
+const STORAGE_PREFIX = 'edgeworldminers:save:';
+
+// Upgrade steps keyed by the version they upgrade FROM
+const MIGRATIONS = {
+  // v2 added RNG stream state; older saves continue from freshly seeded streams
+  1: data => ({ ...data, version: 2, rng: null }),
+  // v3 added run statistics (play time, structures lost)
+  2: data => ({ ...data, version: 3, run: null }),
+  // v4 split the single resource counter into typed bills; old amounts become rock
+  3: data => ({
+    ...data,
+    version: 4,
+    resources: {
+      resources: { rock: data.resources.resources },
+      earned: { rock: data.resources.totalEarned ?? 0 }
+    },
+    drills: {
+      ...data.drills,
+      drills: data.drills.drills.map(drill => ({ ...drill, payload: {} })),
+      cargo: data.drills.cargo.map(({ amount, ...cargo }) => ({ ...cargo, payload: { rock: amount } }))
+    }
+  }),
+  // v5 tracks each drill's tile row; old drills restart at their placement tile
+  // (already dug rows are air and get skipped) and re-check for bedrock
+  4: data => ({
+    ...data,
+    version: 5,
+    drills: {
+      ...data.drills,
+      drills: data.drills.drills.map(drill => ({ ...drill, row: null, reachedBottom: false }))
+    }
+  }),
+  // v6 added research unlocks and the active project
+  5: data => ({ ...data, version: 6, research: null }),
+  // v7 records each turret's building type (buildings.json); all older turrets are the default
+  6: data => ({ ...data, version: 7, turrets: data.turrets.map(turret => ({ ...turret, type: 'turret' })) }),
+  // v8 added the enemies-killed run statistic; older runs start counting from 0
+  7: data => ({ ...data, version: 8, run: data.run && { ...data.run, enemiesKilled: 0 } }),
+  // v9 added liquid fill levels; older worlds had no liquids
+  8: data => ({ ...data, version: 9, terrain: { ...data.terrain, liquids: [] } }),
+  // v10 stores only chunks changed since generation, each with its own runs;
+  // every generated chunk of an older save is kept as changed
+  9: data => ({ ...data, version: 10, terrain: splitTerrainRuns(data.terrain, LEGACY_CHUNK_SIZE) }),
+  // v11 added wrap-around worlds; every older world has edges
+  10: data => ({ ...data, version: 11, world: { ...data.world, wrapX: false } }),
+  // v12 added the world setup screen's settings; older worlds used the defaults
+  11: data => ({
+    ...data,
+    version: 12,
+    world: { ...data.world, size: 'seed', biomes: null, caves: 'normal', ores: 'normal' }
+  }),
+  // v13 added the fog of war and scanners; older worlds are fully explored
+  12: data => ({ ...data, version: 13, terrain: { ...data.terrain, revealed: null }, scanners: [] })
+};
+
+// Chunk size of every world saved before v10
+const LEGACY_CHUNK_SIZE = 64;
+
+// Re-encode whole-grid terrain runs (saves before v10) as per-chunk runs
+function splitTerrainRuns({ runs, ...terrain }, chunkSize) {
+  const { cols, rows } = terrain;
+  const grid = new Uint16Array(cols * rows);
+  let tileIndex = 0;
+  for (let i = 0; i < runs.length; i += 2) {
+    grid.fill(runs[i], tileIndex, tileIndex + runs[i + 1]);
+    tileIndex += runs[i + 1];
+  }
+
+  const chunks = {};
+  for (const key of terrain.generatedChunks) {
+    const [chunkX, chunkY] = key.split(',').map(Number);
+    const startX = chunkX * chunkSize;
+    const startY = chunkY * chunkSize;
+    if (startX >= cols || startY >= rows) continue;
+    const chunkRuns = [];
+    for (let row = startY; row < Math.min(startY + chunkSize, rows); row++) {
+      for (let col = startX; col < Math.min(startX + chunkSize, cols); col++) {
+        const id = grid[row * cols + col];
+        if (chunkRuns.length > 0 && chunkRuns[chunkRuns.length - 2] === id) {
+          chunkRuns[chunkRuns.length - 1]++;
+        } else {
+          chunkRuns.push(id, 1);
+        }
+      }
+    }
+    chunks[key] = chunkRuns;
+  }
+  return { ...terrain, chunkSize, chunks };
+}
+
+// Bring an older snapshot up to SAVE_VERSION (throws for unknown/newer versions)
+export function migrateSave(data) {
+  if (typeof data?.version !== 'number') {
+    throw new Error('Save file has no version');
+  }
+  if (data.version > SAVE_VERSION) {
+    throw new Error(`Save file version ${data.version} is newer than this game (${SAVE_VERSION})`);
+  }
+
+  let migrated = data;
+  while (migrated.version < SAVE_VERSION) {
+    const step = MIGRATIONS[migrated.version];
+    if (!step) throw new Error(`No migration from save version ${migrated.version}`);
+    migrated = step(migrated);
+  }
+  return migrated;
+}
+
+export class SaveManager {
+  constructor(scene, storage = globalThis.localStorage) {
+    this.scene = scene;
+    this.storage = storage;
+  }
+
+  // Summaries for the settings modal
+  listSlots() {
+    return SAVE_SLOTS.map(slot => {
+      const data = this.read(slot);
+      return {
+        slot,
+        empty: !data,
+        savedAt: data?.savedAt ?? null,
+        wave: data?.enemies?.currentWave ?? 0
+      };
+    });
+  }
+
+  save(slot) {
+    try {
+      const data = this.serialize();
+      this.storage.setItem(STORAGE_PREFIX + slot, JSON.stringify(data));
+      return true;
+    } catch (err) {
+      console.error(`Failed to save to ${slot}:`, err);
+      return false;
+    }
+  }
+
+  // Restart the world from a slot. Returns false if the slot is empty or unreadable.
+  load(slot) {
+    const raw = this.read(slot);
+    if (!raw) return false;
+
+    let data;
+    try {
+      data = migrateSave(raw);
+    } catch (err) {
+      console.error(`Failed to load ${slot}:`, err);
+      return false;
+    }
+
+    this.scene.registry.set('pendingSave', data);
+    this.scene.scene.start('LoadingScene');
+    return true;
+  }
+
+  deleteSlot(slot) {
+    this.storage.removeItem(STORAGE_PREFIX + slot);
+  }
+
+  read(slot) {
+    const json = this.storage?.getItem(STORAGE_PREFIX + slot);
+    if (!json) return null;
+    try {
+      return JSON.parse(json);
+    } catch (err) {
+      console.warn(`Ignoring corrupt save in ${slot}`);
+      return null;
+    }
+  }
+
+  serialize() {
+    const scene = this.scene;
+    const camera = scene.cameras.main;
+    return {
+      version: SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      world: {
+        // Settings first: the terrain's wrapX is the one the world was built with
+        ...DEFAULT_WORLD_SETTINGS,
+        ...scene.registry.get('worldSettings'),
+        width: scene.registry.get('worldWidth'),
+        height: scene.registry.get('worldHeight'),
+        seed: scene.registry.get('worldSeed'),
+        wrapX: scene.terrainManager.wrapX
+      },
+      camera: { scrollX: camera.scrollX, scrollY: camera.scrollY },
+      terrain: scene.terrainManager.serialize(),
+      resources: scene.resourceManager.serialize(),
+      research: scene.researchManager.serialize(),
+      carrier: scene.carrier.serialize(),
+      drills: scene.drillManager.serialize(),
+      turrets: scene.turretManager.serialize(),
+      scanners: scene.scannerManager.serialize(),
+      enemies: scene.enemyManager.serialize(),
+      rng: scene.rng.serialize(),
+      run: scene.runManager.serialize()
+    };
+  }
+
+  // Rebuild manager state from a (migrated) snapshot. Order matters: terrain
+  // first so structures sit on restored ground, carrier before drills so
+  // cargo heads to the restored carrier position.
+  applySave(data) {
+    const scene = this.scene;
+    scene.terrainManager.restore(data.terrain);
+    scene.resourceManager.restore(data.resources);
+    if (data.research) scene.researchManager.restore(data.research);
+    scene.carrier.restore(data.carrier);
+    scene.drillManager.restore(data.drills);
+    scene.turretManager.restore(data.turrets);
+    scene.scannerManager.restore(data.scanners);
+    scene.enemyManager.restore(data.enemies);
+    if (data.run) scene.runManager.restore(data.run);
+
+    // Last, so rolls made while rebuilding objects don't shift the saved streams
+    if (data.rng) scene.rng.restore(data.rng);
+
+    scene.cameras.main.scrollX = data.camera.scrollX;
+    scene.cameras.main.scrollY = data.camera.scrollY;
+  }
+}
@@ -0,0 +1,202 @@
+import { gameData } from './gameData.js';
+
+// Scanner structures for Edge World Miners
+// -------------------------------------------------------------
+// A scanner stands on the ground like a drill and sweeps a growing circle
+// through the fog of war (TerrainManager "Fog of war") until it reaches its
+// RANGE; after that it keeps what it found in view and does nothing more.
+// Scanners are structures like drills and turrets: enemies target them and
+// falling rock damages them.
+//
+// Stats come from buildings of kind 'scanner' in src/data/buildings.json:
+// RANGE in pixels, SCAN_SPEED in pixels per second.
+// -------------------------------------------------------------
+
+export class ScannerManager {
+  constructor(scene, terrainManager, enemyManager = null) {
+    this.scene = scene;
+    this.terrainManager = terrainManager;
+    this.enemyManager = enemyManager;
+    this.scanners = [];
+
+    this.COLORS = {
+      BODY: 0x445566,
+      DISH: 0x66ddff,
+      SWEEP: 0x66ddff,
+      DAMAGED: 0xff9900,
+      CRITICAL: 0xff0000
+    };
+
+    // Loose terrain falling onto scanners
+    scene.bus?.on('tile:fell', this.onTileFell, this);
+  }
+
+  createScannerSprite(x, y) {
+    const container = this.scene.add.container(x, y);
+
+    // Squat housing – tinted as the scanner takes damage
+    const body = this.scene.add.rectangle(0, 6, 22, 12, this.COLORS.BODY);
+    const mast = this.scene.add.rectangle(0, -4, 4, 12, this.COLORS.BODY);
+    const dish = this.scene.add.triangle(0, -12, -9, -4, 9, -4, 0, 4, this.COLORS.DISH);
+
+    // Blink the dish while the scanner is powered
+    this.scene.tweens.add({
+      targets: dish,
+      alpha: { from: 0.5, to: 1 },
+      duration: 700,
+      yoyo: true,
+      repeat: -1
+    });
+
+    container.add([body, mast, dish]);
+    return { container, body };
+  }
+
+  // Ring drawn at the edge of the sweep while it grows
+  createSweepRing(x, y, range) {
+    const ring = this.scene.add.circle(x, y, range);
+    ring.setStrokeStyle(2, this.COLORS.SWEEP, 0.6);
+    ring.setScale(0);
+    return ring;
+  }
+
+  tryPlaceScanner(x, y, type = 'scanner') {
+    if (!this.terrainManager.canPlaceDrillAt(x, y)) return false;
+    const scanner = this.createScanner(x, y, type);
+    this.scene.bus?.emit('structure:placed', { structure: scanner, type, kind: 'scanner', x, y });
+    return true;
+  }
+
+  // Build a scanner at (x, y) without placement checks (used by tryPlaceScanner and save restore)
+  createScanner(x, y, type = 'scanner') {
+    const stats = gameData.getBuilding(type).stats;
+    const { container, body } = this.createScannerSprite(x, y);
+    const scanner = {
+      type,
+      stats,
+      sprite: container,
+      body,
+      ring: this.createSweepRing(x, y, stats.RANGE),
+      x,
+      y,
+      health: stats.HEALTH,
+      sweepRadius: 0,     // pixels swept so far
+      revealedRadius: -1, // tile radius last revealed
+      isAlive: true,
+      priorityTag: 'SCANNER'
+    };
+    scanner.takeDamage = amount => this.damageScanner(scanner, amount);
+    this.scanners.push(scanner);
+    this.enemyManager?.registerTarget(scanner);
+    return scanner;
+  }
+
+  update() {
+    for (const scanner of this.scanners) {
+      if (!scanner.isAlive || !scanner.ring) continue;
+      this.advanceSweep(scanner, scanner.stats.SCAN_SPEED / 60);
+    }
+  }
+
+  // Grow the sweep by `distance` pixels, revealing each new ring of tiles
+  advanceSweep(scanner, distance) {
+    const { RANGE } = scanner.stats;
+    const tileSize = this.terrainManager.tileSize;
+    scanner.sweepRadius = Math.min(RANGE, scanner.sweepRadius + distance);
+
+    const tileRadius = Math.floor(scanner.sweepRadius / tileSize);
+    if (tileRadius > scanner.revealedRadius) {
+      this.terrainManager.revealCircle(Math.floor(scanner.x / tileSize), Math.floor(scanner.y / tileSize), tileRadius);
+      scanner.revealedRadius = tileRadius;
+    }
+
+    if (scanner.sweepRadius >= RANGE) {
+      scanner.ring.destroy();
+      scanner.ring = null;
+    } else {
+      scanner.ring.setScale(scanner.sweepRadius / RANGE);
+    }
+  }
+
+  // A falling tile passing through or landing in a scanner's tile damages it
+  onTileFell({ col, row, tile }) {
+    const tileSize = this.terrainManager.tileSize;
+    for (const scanner of this.scanners) {
+      if (!scanner.isAlive || col !== Math.floor(scanner.x / tileSize) || row !== Math.floor(scanner.y / tileSize)) continue;
+      this.damageScanner(scanner, tile.hardness * this.terrainManager.FALL_DAMAGE_PER_HARDNESS);
+    }
+  }
+
+  damageScanner(scanner, amount) {
+    if (!scanner.isAlive) return;
+    scanner.health -= amount;
+    this.refreshScannerColor(scanner);
+    if (scanner.health <= 0) this.destroyScanner(scanner);
+  }
+
+  refreshScannerColor(scanner) {
+    if (scanner.health <= scanner.stats.HEALTH * 0.25) {
+      scanner.body.fillColor = this.COLORS.CRITICAL;
+    } else if (scanner.health <= scanner.stats.HEALTH * 0.5) {
+      scanner.body.fillColor = this.COLORS.DAMAGED;
+    }
+  }
+
+  destroyScanner(scanner) {
+    if (!scanner.isAlive) return;
+    scanner.isAlive = false;
+    this.scene.bus?.emit('structure:destroyed', { structure: scanner, type: scanner.type, kind: 'scanner', x: scanner.x, y: scanner.y });
+    this.enemyManager?.unregisterTarget(scanner);
+
+    const explosion = this.scene.add.circle(scanner.x, scanner.y, 25, 0x66ddff, 0.7);
+    this.scene.tweens.add({
+      targets: explosion,
+      alpha: 0,
+      scale: 2,
+      duration: 300,
+      onComplete: () => explosion.destroy()
+    });
+
+    scanner.ring?.destroy();
+    scanner.ring = null;
+    scanner.sprite.destroy();
+    this.scanners = this.scanners.filter(s => s !== scanner);
+  }
+
+  getScanners() {
+    return this.scanners.filter(scanner => scanner.isAlive);
+  }
+
+  serialize() {
+    return this.getScanners().map(scanner => ({
+      type: scanner.type,
+      x: scanner.x,
+      y: scanner.y,
+      health: scanner.health,
+      sweepRadius: scanner.sweepRadius
+    }));
+  }
+
+  // What a sweep revealed is part of the saved terrain; only its progress is restored here
+  restore(scanners) {
+    for (const saved of scanners) {
+      if (gameData.getBuilding(saved.type)?.kind !== 'scanner') {
+        console.warn(`Skipping saved scanner of unknown type "${saved.type}"`);
+        continue;
+      }
+      const scanner = this.createScanner(saved.x, saved.y, saved.type);
+      scanner.health = saved.health;
+      scanner.revealedRadius = Math.floor(saved.sweepRadius / this.terrainManager.tileSize);
+      this.advanceSweep(scanner, saved.sweepRadius);
+      this.refreshScannerColor(scanner);
+    }
+  }
+
+  // Setter to inject EnemyManager after construction
+  setEnemyManager(em) {
+    this.enemyManager = em;
+    for (const scanner of this.scanners) {
+      this.enemyManager.registerTarget(scanner);
+    }
+  }
+}
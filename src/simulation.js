@@ -0,0 +1,145 @@
+import { createCarrier } from './carrier.js';
+import { DrillManager } from './drillManager.js';
+import { ResourceManager } from './resourceManager.js';
+import { TerrainManager } from './terrainManager.js';
+import { TurretManager } from './turretManager.js';
+import { EnemyManager } from './enemyManager.js';
+import { ScannerManager } from './scannerManager.js';
+import { ExplorationManager } from './explorationManager.js';
+import { RandomManager } from './randomManager.js';
+import { RunManager } from './runManager.js';
+import { ResearchManager } from './researchManager.js';
+import { EventBus } from './eventBus.js';
+
+// Simulation wiring shared by GameScene and the headless runner (src/headless/)
+// -------------------------------------------------------------
+// Builds the gameplay managers for a world and links them together. Managers
+// report gameplay events on scene.bus (src/eventBus.js) instead of calling
+// into the systems that react to them. Nothing here touches input, DOM UI or
+// camera control, so the same code runs in the browser and in Node against a
+// HeadlessScene.
+// -------------------------------------------------------------
+
+// World dimensions for a seed (new worlds only – saves store their own size)
+// A wrapping world has to be wider than the screen: GameScene shows what
+// lies past the seam with a single extra camera
+export const MIN_WRAP_WIDTH = 4096;
+
+export function worldSizeFromSeed(seed, { wrapX = false } = {}) {
+  const random = new RandomManager(seed).stream('world');
+  const minWidth = wrapX ? MIN_WRAP_WIDTH : 1024;
+  // Kept at 6048 although TerrainManager can handle much wider worlds: waves,
+  // cargo and the carrier's guns are balanced for these distances, and seeded
+  // worlds up to 24576 px lost most of their waves in `npm run simulate`.
+  // Wider worlds are a deliberate choice on the setup screen (WORLD_SIZES).
+  const maxWidth = 6048;
+  const width = minWidth + Math.floor(random.frac() * (maxWidth - minWidth));
+
+  const minHeight = 1800; // Ensure 800 px sky + 1000 px depth
+  const maxHeight = 2400;
+  const height = minHeight + Math.floor(random.frac() * (maxHeight - minHeight));
+
+  return { width, height };
+}
+
+/**
+ * Create every gameplay manager for a world and expose them on the scene
+ * (scene.bus, scene.terrainManager, scene.drillManager, ...).
+ *
+ * @param {Phaser.Scene} scene
+ * @param {object} world
+ * @param {number} world.width - World width in pixels
+ * @param {number} world.height - World height in pixels
+ * @param {number} world.seed - Seed for terrain and every gameplay RNG stream
+ * @param {boolean} [world.wrapX=false] - Join the world's left and right edges (see TerrainManager)
+ * @param {object} [world.terrain] - Generation options: biomes, caveThreshold, oreBonus
+ *   (see TerrainManager.getLayout() and terrainOptions() in worldSettings.js)
+ * @param {boolean} [world.pregenerateTerrain=false] - Generate all chunks before placing the carrier
+ */
+export function createSimulation(scene, { width, height, seed, wrapX = false, terrain = {}, pregenerateTerrain = false }) {
+  // Single seeded RNG service – every manager draws its own stream from it
+  scene.rng = new RandomManager(seed);
+  // Gameplay events – created first so every manager can emit and subscribe
+  scene.bus = new EventBus();
+
+  const resourceManager = new ResourceManager(scene);
+  // Read at runtime by turrets, drills, cargo and the carrier via getStatMultiplier()
+  const researchManager = new ResearchManager(scene, resourceManager);
+  scene.researchManager = researchManager;
+
+  // Create terrain manager with configuration
+  const terrainManager = new TerrainManager(scene, {
+    width,
+    height,
+    tileSize: 20,
+    seed,
+    wrapX,
+    ...terrain,
+    cloudDensity: 0.01,
+    cloudSpeed: 0.2
+  });
+  if (pregenerateTerrain) {
+    terrainManager.generateAllChunksNow();
+  }
+
+  // terrainManager.width: a wrapping world is trimmed to whole tiles
+  const carrier = createCarrier(scene, terrainManager, terrainManager.width);
+
+  // Create managers in the correct order to avoid circular dependencies
+  const drillManager = new DrillManager(scene, resourceManager, terrainManager, carrier);
+  const turretManager = new TurretManager(scene, resourceManager, terrainManager);
+  const scannerManager = new ScannerManager(scene, terrainManager);
+  const enemyManager = new EnemyManager(scene, terrainManager, drillManager, turretManager, carrier);
+
+  // Wire back references now that enemyManager exists
+  drillManager.setEnemyManager(enemyManager);
+  turretManager.setEnemyManager(enemyManager);
+  scannerManager.setEnemyManager(enemyManager);
+
+  // Uncovers the fog of war as the ground is mined and built on
+  const explorationManager = new ExplorationManager(scene, terrainManager);
+
+  // Register carrier as a targetable object
+  carrier.priorityTag = 'CARRIER';
+  enemyManager.registerTarget(carrier);
+
+  // Provide enemy references to other systems
+  turretManager.enemies = enemyManager.getEnemies();
+  carrier.setEnemyManager(enemyManager);
+
+  // Watches for defeat / victory
+  const runManager = new RunManager(scene, { resourceManager, drillManager, turretManager, enemyManager, carrier });
+
+  // Make managers accessible to the UI (and save system) via scene
+  scene.resourceManager = resourceManager;
+  scene.terrainManager = terrainManager;
+  scene.drillManager = drillManager;
+  scene.turretManager = turretManager;
+  scene.scannerManager = scannerManager;
+  scene.explorationManager = explorationManager;
+  scene.enemyManager = enemyManager;
+  scene.carrier = carrier;
+  scene.runManager = runManager;
+
+  return { resourceManager, researchManager, terrainManager, carrier, drillManager, turretManager, scannerManager, explorationManager, enemyManager, runManager };
+}
+
+/**
+ * Advance gameplay by one fixed frame. Timers throughout the managers count
+ * frames, so callers must invoke this exactly once per 1/60 s.
+ * Does nothing once the run has ended.
+ */
+export function updateSimulation(scene) {
+  if (scene.runManager.ended) return;
+
+  scene.researchManager.update();
+  scene.terrainManager.update();
+  scene.drillManager.update();
+  scene.turretManager.update();
+  scene.scannerManager.update();
+  scene.enemyManager.update();
+  if (scene.carrier && scene.carrier.update) {
+    scene.carrier.update();
+  }
+  scene.runManager.update();
+}
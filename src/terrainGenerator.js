@@ -0,0 +1,578 @@
+import { createNoise2D, createNoise3D } from 'simplex-noise';
+
+// Terrain Generation for Edge World Miners
+// -------------------------------------------------------------
+// Turns a world seed into tiles, one chunk at a time: biome field, height map,
+// cave and ore masks, then the generation layers pick each tile's material
+// (including sealed liquid pockets). Below the biome layers the world is cut
+// into depth strata (src/data/strata.json), each with its own rock and ores.
+// Last, prefab structures (src/data/structures.json) are stamped over the
+// tiles – see placeStructures().
+// Results are packed as material ids (indices into the materials palette,
+// see TerrainManager.defineMaterials()), so a chunk can be handed between
+// threads as one Uint8Array.
+//
+// Nothing here touches Phaser or gameData: TerrainManager runs a generator
+// on the main thread (headless runs, plugin generation layers) and
+// src/terrainWorker.js runs an identical one in a Web Worker. Both build their
+// noise from the seed's 'terrain-noise' stream, so they produce the same world.
+//
+// Biomes come from a 2D climate field (see biomeAt()): each biome sits at a
+// temperature/moisture point and a tile belongs to the nearest one. Near a
+// border the biome's numbers blend into its neighbour's and its materials are
+// dithered with the neighbour's, so there are no straight seams.
+//
+// In a wrapX world every noise lookup goes through tileNoise()/surfaceNoise(),
+// which sample around a cylinder so the last column blends into the first.
+// -------------------------------------------------------------
+
+// The ground rises this many rows above a column's height-map row: the sky
+// layer only clears tiles above surfaceHeight - GROUND_RISE
+const GROUND_RISE = 2;
+
+export class TerrainGenerator {
+  /**
+   * @param {object} config
+   * @param {number} config.cols - World width in tiles
+   * @param {number} config.rows - World height in tiles
+   * @param {number} config.chunkSize - Chunk edge length in tiles
+   * @param {number} config.seaLevelRow - Base surface row
+   * @param {number} config.minDepthTiles - Solid tiles kept below the lowest surface
+   * @param {number} config.minSolidSurfaceLayers - Cave-free crust below the surface
+   * @param {object} config.materials - Material definitions by key (gameData.materials)
+   * @param {object} config.biomes - Biome definitions by key, referencing the material objects
+   * @param {object} [config.strata] - Depth strata by key (gameData.strata), likewise
+   * @param {object} [config.structures] - Structure templates by key (gameData.structures), likewise
+   * @param {RandomStream} config.noiseStream - Fresh 'terrain-noise' stream of the world seed
+   * @param {object[]} [config.extraLayers] - Plugin generation layers ({ name, before, getMaterial })
+   * @param {boolean} [config.wrapX=false] - Make the world seamless across its left/right edges
+   * @param {number} [config.caveThreshold=0.7] - Cave noise above this is hollow; higher means fewer caves
+   * @param {number} [config.oreBonus=0] - Subtracted from every ore threshold; higher means more ore
+   */
+  constructor({ cols, rows, chunkSize, seaLevelRow, minDepthTiles, minSolidSurfaceLayers, materials, biomes, strata = {}, structures = {}, noiseStream, extraLayers = [], wrapX = false, caveThreshold = 0.7, oreBonus = 0 }) {
+    this.cols = cols;
+    this.rows = rows;
+    this.chunkSize = chunkSize;
+    this.seaLevelRow = seaLevelRow;
+    this.minDepthTiles = minDepthTiles;
+    this.minSolidSurfaceLayers = minSolidSurfaceLayers;
+    this.wrapX = wrapX;
+    this.caveThreshold = caveThreshold;
+    this.oreBonus = oreBonus;
+    this.MATERIALS = materials;
+    this.BIOMES = biomes;
+    this.biomeList = Object.values(biomes);
+    // Shallowest first; every ore vein gets its own noise offset
+    this.STRATA = Object.values(strata)
+      .sort((a, b) => a.top - b.top)
+      .map((stratum, i) => ({
+        ...stratum,
+        boundaryOffset: 7000 + i * 100,
+        ores: stratum.ores.map((ore, j) => ({ ...ore, offset: 6000 + i * 100 + j * 10 }))
+      }));
+
+    // Same palette order as TerrainManager (materials.json order)
+    const palette = Object.values(materials);
+    this.materialIds = new Map(palette.map((material, id) => [material, id]));
+    this.materialIdsByName = new Map(palette.map((material, id) => [material.name, id]));
+
+    // The noise permutation table is shuffled once from its own stream
+    this.noiseGen = createNoise2D(() => noiseStream.frac());
+    if (wrapX) this.noise3D = createNoise3D(() => noiseStream.frac());
+
+    // Climate field behind the biomes (see biomeAt())
+    this.CLIMATE_FREQUENCY = 0.004;
+    this.CLIMATE_DEPTH_STRETCH = 3; // climate changes this many times faster down than across
+    this.BIOME_BLEND = 0.2;         // climate distance over which a biome blends into its neighbour
+    this.TRANSITION_MIX = 0.4;      // mix above which the border's transitionMaterial is used
+    this.initializeGenerationLayers(extraLayers);
+
+    // Structure placement pass, decided once for the whole world from the
+    // rest of the noise stream, so the worker's copy places them identically
+    this.structures = this.placeStructures(structures, noiseStream);
+  }
+
+  // Palette index of a material object (copies are matched by name)
+  getMaterialId(material) {
+    const id = this.materialIds.get(material) ?? this.materialIdsByName.get(material.name);
+    if (id === undefined) throw new Error(`Unknown terrain material "${material.name}"`);
+    return id;
+  }
+
+  /**
+   * Noise at (x * frequency, y * frequency + offset) for tile (x, y), -1..1.
+   * Generation layers (plugins included) should use this rather than noiseGen
+   * so their features line up across the seam of a wrapX world.
+   */
+  tileNoise(x, y, frequency, offset = 0) {
+    if (!this.wrapX) return this.noiseGen(x * frequency, y * frequency + offset);
+    return this.cylinderNoise(x / this.cols, this.cols * frequency, y * frequency + offset);
+  }
+
+  // Noise along the surface at nx = x / cols, with `span` noise units across the world
+  surfaceNoise(nx, span, offset) {
+    if (!this.wrapX) return this.noiseGen(nx * span, offset);
+    return this.cylinderNoise(nx, span, offset);
+  }
+
+  // 3D noise on a cylinder whose circumference is `span` noise units, so the
+  // feature size matches the flat 2D lookup
+  cylinderNoise(fraction, span, ny) {
+    const angle = fraction * Math.PI * 2;
+    const radius = span / (Math.PI * 2);
+    return this.noise3D(Math.cos(angle) * radius, Math.sin(angle) * radius, ny);
+  }
+
+  /**
+   * Generate one chunk.
+   *
+   * @returns {{x: number, y: number, startX: number, startY: number, endX: number, endY: number, ids: Uint8Array}|null}
+   *   Material ids for tiles startX..endX-1 / startY..endY-1, row by row;
+   *   null for a chunk outside the world
+   */
+  generateChunk(chunkX, chunkY) {
+    // Calculate chunk boundaries
+    const chunkStartX = chunkX * this.chunkSize;
+    const chunkStartY = chunkY * this.chunkSize;
+    const startX = Math.max(0, chunkStartX);
+    const startY = Math.max(0, chunkStartY);
+    const endX = Math.min(chunkStartX + this.chunkSize, this.cols);
+    const endY = Math.min(chunkStartY + this.chunkSize, this.rows);
+
+    // Skip invalid chunks (fully outside world bounds)
+    if (startX >= endX || startY >= endY) return null;
+
+    // Generate height map for this chunk (use original chunkStartX for proper indexing)
+    const heightMap = this.generateHeightMapForChunk(chunkStartX, chunkStartX + this.chunkSize);
+
+    // Biome of every tile, then the cave and ore masks that depend on it
+    const biomeField = this.generateBiomeFieldForChunk(chunkStartX, chunkStartX + this.chunkSize, chunkStartY, chunkStartY + this.chunkSize);
+    const caveMap = this.generateCaveMapForChunk(chunkStartX, chunkStartX + this.chunkSize, chunkStartY, chunkStartY + this.chunkSize, biomeField);
+    const oreMap = this.generateOreMapForChunk(chunkStartX, chunkStartX + this.chunkSize, chunkStartY, chunkStartY + this.chunkSize, biomeField);
+    const strataRows = this.generateStrataRowsForChunk(chunkStartX, chunkStartX + this.chunkSize);
+
+    // Shared by every tile of the chunk; surfaceHeight and strataTops are
+    // updated per column, biome per tile
+    const inChunk = (x, y) => x >= chunkStartX && x < chunkStartX + this.chunkSize &&
+                              y >= chunkStartY && y < chunkStartY + this.chunkSize;
+    const maskIndex = (x, y) => (y - chunkStartY) * this.chunkSize + (x - chunkStartX);
+    const context = {
+      surfaceHeight: 0,
+      strataTops: null,
+      biome: null,
+      isCave: (x, y) => inChunk(x, y) && caveMap[maskIndex(x, y)] === 1,
+      isOre: (x, y) => inChunk(x, y) && oreMap[maskIndex(x, y)] === 1,
+      stratumAt: y => this.stratumAt(context.strataTops, y)
+    };
+    const rockId = this.getMaterialId(this.MATERIALS.ROCK);
+    const bedrockId = this.getMaterialId(this.MATERIALS.BEDROCK);
+
+    const width = endX - startX;
+    const ids = new Uint8Array(width * (endY - startY));
+    for (let y = startY; y < endY; y++) {
+      const rowOffset = (y - startY) * width;
+      if (y === this.rows - 1) {
+        // The bottom row is always bedrock
+        ids.fill(bedrockId, rowOffset, rowOffset + width);
+        continue;
+      }
+      for (let x = startX; x < endX; x++) {
+        context.surfaceHeight = heightMap[x - chunkStartX];
+        context.strataTops = strataRows[x - chunkStartX];
+        context.biome = biomeField[maskIndex(x, y)];
+        let material = null;
+        for (const layer of this.generationLayers) {
+          material = layer.getMaterial(x, y, context, this);
+          if (material) break;
+        }
+        ids[rowOffset + x - startX] = material ? this.getMaterialId(material) : rockId;
+      }
+    }
+
+    // Structures reaching into the chunk are stamped over the generated tiles
+    for (const structure of this.structures) {
+      this.stampStructure(structure, ids, startX, startY, endX, endY);
+    }
+
+    return { x: chunkX, y: chunkY, startX, startY, endX, endY, ids };
+  }
+
+  // Generate height map for a specific chunk
+  generateHeightMapForChunk(startX, endX) {
+    const heightMap = [];
+
+    // Base terrain height set to sea-level row so we guarantee skyPixels of free space.
+    const baseHeight = this.seaLevelRow;
+
+    // Mountain height variation
+    const mountainHeight = this.rows * 0.25;
+
+    // Valley depth variation
+    const valleyDepth = this.rows * 0.1;
+
+    for (let x = startX; x < endX; x++) {
+      // The column's relief follows the climate at sea level
+      const heightScale = this.blendBiome(this.biomeAt(x, baseHeight), 'heightScale');
+
+      // Use multiple octaves of noise for natural-looking terrain
+      const nx = x / this.cols;
+
+      // Confine tall mountains to the left/right edges only. A wrapping world
+      // has no edges, so mountains can rise anywhere.
+      const edgeDistance = Math.min(x, this.cols - 1 - x);
+      const edgeThreshold = this.cols * 0.25; // 25 % of world width from each edge
+      const edgeFactor = this.wrapX ? 1 : Math.max(0, 1 - edgeDistance / edgeThreshold); // 1 near edges, 0 in centre
+
+      const largeFeature = this.surfaceNoise(nx, 2, 0.5) * mountainHeight * heightScale * edgeFactor;
+
+      // Medium terrain features (hills)
+      const mediumFeature = this.surfaceNoise(nx, 5, 0.7) * valleyDepth * heightScale;
+
+      // Small terrain features (details)
+      const smallFeature = this.surfaceNoise(nx, 20, 0.9) * (this.rows * 0.05) * heightScale;
+
+      // Combine features with different weights
+      const height = Math.floor(
+        baseHeight +
+        largeFeature * 1.0 +
+        mediumFeature * 0.5 +
+        smallFeature * 0.2
+      );
+
+      // Clamp so we always keep at least 1000 px (50 tiles) of depth
+      const minRow = 0; // peaks can be up into the sky
+      const maxRow = this.rows - this.minDepthTiles;
+      const clamped = Math.max(Math.min(height, maxRow), minRow);
+      heightMap[x - startX] = clamped;
+    }
+
+    return heightMap;
+  }
+
+  // Row of the first ground tile of each column (before mining, structures
+  // and liquids change it)
+  generateGroundRowsForChunk(startX, endX) {
+    return this.generateHeightMapForChunk(startX, endX).map(height => Math.max(0, height - GROUND_RISE));
+  }
+
+  // Biome blend of every tile of a chunk (see biomeAt()), same layout as the masks
+  generateBiomeFieldForChunk(startX, endX, startY, endY) {
+    const biomeField = [];
+    for (let y = startY; y < endY; y++) {
+      for (let x = startX; x < endX; x++) {
+        biomeField.push(this.biomeAt(x, y));
+      }
+    }
+    return biomeField;
+  }
+
+  // Generate the cave mask for a specific chunk: 1 = hollow, indexed
+  // (y - startY) * (endX - startX) + (x - startX)
+  generateCaveMapForChunk(startX, endX, startY, endY, biomeField) {
+    const width = endX - startX;
+    const caveMap = new Uint8Array(width * (endY - startY));
+
+    for (let y = Math.max(20, startY); y < Math.min(endY, this.rows - 10); y++) {
+      for (let x = startX; x < endX; x++) {
+        const index = (y - startY) * width + (x - startX);
+        const { biome, neighbour, mix } = biomeField[index];
+
+        // Cave noise at the biome's own frequency (offset to make it different
+        // from the heightmap). Near a border the neighbour's noise is blended
+        // in – blending the frequency itself would warp the noise far from x = 0.
+        let value = this.tileNoise(x, y, biome.caveFrequency, 500);
+        if (mix > 0) value += (this.tileNoise(x, y, neighbour.caveFrequency, 500) - value) * mix;
+
+        // Determine if this cell should be hollow (cave). Higher caveThreshold => fewer caves
+        caveMap[index] = value > this.caveThreshold ? 1 : 0;
+      }
+    }
+
+    return caveMap;
+  }
+
+  // Generate the ore-vein mask for a specific chunk (same layout as the cave mask)
+  generateOreMapForChunk(startX, endX, startY, endY, biomeField) {
+    const width = endX - startX;
+    const oreMap = new Uint8Array(width * (endY - startY));
+
+    for (let y = Math.max(40, startY); y < Math.min(endY, this.rows - 5); y++) {
+      for (let x = startX; x < endX; x++) {
+        const index = (y - startY) * width + (x - startX);
+
+        // Ore vein parameters
+        const oreFrequency = 0.1;
+        const oreDensity = this.blendBiome(biomeField[index], 'oreDensity'); // Biome-specific ore density
+
+        // More ore as depth increases
+        const depthBonus = (y / this.rows) * 0.1;
+        const value = this.tileNoise(x, y, oreFrequency, 1000); // Offset to make different from caves
+
+        // Adjust threshold based on depth and biome
+        oreMap[index] = value > (oreDensity - depthBonus - this.oreBonus) ? 1 : 0;
+      }
+    }
+
+    return oreMap;
+  }
+
+  // Top row of every stratum per column of a chunk; each boundary wanders by
+  // its own noise so the bands don't meet in straight lines
+  generateStrataRowsForChunk(startX, endX) {
+    const strataRows = [];
+    for (let x = startX; x < endX; x++) {
+      strataRows[x - startX] = this.STRATA.map(stratum => Math.floor(
+        stratum.top * this.rows +
+        this.tileNoise(x, 0, stratum.boundaryFrequency, stratum.boundaryOffset) * stratum.boundaryAmplitude
+      ));
+    }
+    return strataRows;
+  }
+
+  // Deepest stratum whose top row (from generateStrataRowsForChunk()) is at or above y
+  stratumAt(strataTops, y) {
+    for (let i = this.STRATA.length - 1; i >= 0; i--) {
+      if (y >= strataTops[i]) return this.STRATA[i];
+    }
+    return null;
+  }
+
+  initializeGenerationLayers(extraLayers) {
+    this.generationLayers = [
+      // Each "layer" is an object with a `getMaterial(x, y, context, terrain)` method.
+      // They are processed in order. The first one to return a material "wins".
+
+      // Layer 1: Sky (anything above ground)
+      {
+        name: 'sky',
+        getMaterial: (x, y, context) => {
+          if (y < context.surfaceHeight - GROUND_RISE) {
+            return this.MATERIALS.AIR;
+          }
+          return null;
+        }
+      },
+
+      // Layer 2: Bedrock (bottom of the world)
+      {
+        name: 'bedrock',
+        getMaterial: (x, y, context) => {
+          if (y === this.rows - 1) {
+            return this.MATERIALS.BEDROCK;
+          }
+          return null;
+        }
+      },
+
+      // Layer 3: Caves
+      {
+        name: 'caves',
+        getMaterial: (x, y, context) => {
+          if (context.isCave(x, y) && y > context.surfaceHeight + this.minSolidSurfaceLayers) {
+            return this.MATERIALS.AIR;
+          }
+          return null;
+        }
+      },
+
+      // Layer 4: Surface (biome-specific, transition material along borders)
+      {
+        name: 'surface',
+        getMaterial: (x, y, context) => {
+          const surfaceHeight = context.surfaceHeight;
+
+          if (y < surfaceHeight + this.blendBiome(context.biome, 'surfaceDepth')) {
+            return this.transitionMaterial(context.biome) ?? this.pickBiome(context.biome, x, y).surfaceMaterial;
+          }
+          return null;
+        }
+      },
+
+      // Layer 5: Sub-surface (biome-specific)
+      {
+        name: 'subSurface',
+        getMaterial: (x, y, context) => {
+          const surfaceHeight = context.surfaceHeight;
+          const depth = this.blendBiome(context.biome, 'surfaceDepth') + this.blendBiome(context.biome, 'subSurfaceDepth');
+
+          if (y < surfaceHeight + depth) {
+            return this.pickBiome(context.biome, x, y).subSurfaceMaterial;
+          }
+          return null;
+        }
+      },
+
+      // Layer 6: Liquid pockets – sealed blobs of water or oil, or the stratum's
+      // pocketLiquid (lava in the magma layer). They sit still until something
+      // breaks into them (see TerrainManager.flowLiquid()).
+      {
+        name: 'liquids',
+        getMaterial: (x, y, context) => {
+          if (y < context.surfaceHeight + this.minSolidSurfaceLayers * 3) return null;
+          if (this.tileNoise(x, y, 0.06, 4000) < 0.7) return null;
+          const pocketLiquid = context.stratumAt(y)?.pocketLiquid;
+          if (pocketLiquid) return pocketLiquid;
+          const oily = this.MATERIALS.OIL && this.tileNoise(x, y, 0.01, 5000) > 0.4;
+          return oily ? this.MATERIALS.OIL : this.MATERIALS.WATER;
+        }
+      },
+
+      // Layer 7: Depth strata – the stratum's ore table, else its rock
+      {
+        name: 'strata',
+        getMaterial: (x, y, context) => {
+          const stratum = context.stratumAt(y);
+          if (!stratum) return null;
+          for (const ore of stratum.ores) {
+            if (this.tileNoise(x, y, ore.frequency, ore.offset) > ore.threshold - this.oreBonus) return ore.material;
+          }
+          return stratum.material;
+        }
+      },
+
+      // Layer 8: Ore Veins (biome-specific, above the strata)
+      {
+        name: 'ores',
+        getMaterial: (x, y, context) => {
+          if (context.isOre(x, y)) {
+            return this.pickBiome(context.biome, x, y).oreMaterial;
+          }
+          return null;
+        }
+      },
+
+      // Layer 9: Deep Material (biome-specific, above the strata)
+      {
+        name: 'deep',
+        getMaterial: (x, y, context) => this.pickBiome(context.biome, x, y).deepMaterial
+      }
+    ];
+
+    // Layers added by plugins go in front of the built-in layer they name
+    for (const layer of extraLayers) {
+      let index = this.generationLayers.findIndex(existing => existing.name === layer.before);
+      if (index === -1) {
+        console.warn(`Generation layer "${layer.name}" wants to run before unknown layer "${layer.before}" – placing it before "deep"`);
+        index = this.generationLayers.length - 1;
+      }
+      this.generationLayers.splice(index, 0, layer);
+    }
+  }
+
+  /**
+   * Pick where every structure template goes. The world is split into cells
+   * of the template's `spacing` columns; each cell rolls its `chance`, a
+   * column inside the cell and a depth below the ground there, and keeps the
+   * spot if the biome at its anchor (bottom centre) is allowed and it neither
+   * leaves the world nor overlaps a structure placed before it.
+   *
+   * @param {object} templates - Structure definitions by key
+   * @param {RandomStream} random
+   * @returns {{key: string, x: number, y: number, width: number, height: number, ids: Int16Array}[]}
+   *   Top-left tile and material ids row by row, -1 where the generated tile is kept
+   */
+  placeStructures(templates, random) {
+    const placed = [];
+    for (const [key, template] of Object.entries(templates)) {
+      const height = template.tiles.length;
+      const width = Math.max(...template.tiles.map(row => row.length));
+      const ids = new Int16Array(width * height).fill(-1);
+      template.tiles.forEach((row, r) => {
+        for (let c = 0; c < row.length; c++) {
+          if (row[c] !== ' ') ids[r * width + c] = this.getMaterialId(template.legend[row[c]]);
+        }
+      });
+      const biomeNames = template.biomes?.map(biome => biome.name);
+
+      for (let cellX = 0; cellX < this.cols; cellX += template.spacing) {
+        // Same number of rolls for every cell
+        const roll = random.frac();
+        const x = cellX + Math.floor(random.frac() * Math.max(1, template.spacing - width));
+        const depth = random.between(template.minDepth, template.maxDepth);
+        if (roll >= template.chance || (!this.wrapX && x + width > this.cols)) continue;
+
+        const anchorX = (x + Math.floor(width / 2)) % this.cols;
+        const groundRow = this.generateGroundRowsForChunk(anchorX, anchorX + 1)[0];
+        const bottom = groundRow + depth;
+        const y = bottom - height + 1;
+        if (y < 0 || bottom >= this.rows - 1) continue;
+        if (biomeNames && !biomeNames.includes(this.biomeAt(anchorX, bottom).biome.name)) continue;
+
+        const overlaps = placed.some(other => other.y < y + height && y < other.y + other.height &&
+          [0, -this.cols, this.cols].some(shift => other.x + shift < x + width && x < other.x + shift + other.width));
+        if (overlaps) continue;
+
+        placed.push({ key, x, y, width, height, ids });
+      }
+    }
+    return placed;
+  }
+
+  // Write a placed structure's tiles that fall inside the chunk into its ids
+  stampStructure(structure, ids, startX, startY, endX, endY) {
+    if (structure.y >= endY || structure.y + structure.height <= startY) return;
+    const chunkWidth = endX - startX;
+    for (let r = 0; r < structure.height; r++) {
+      const y = structure.y + r;
+      if (y < startY || y >= endY) continue;
+      for (let c = 0; c < structure.width; c++) {
+        const id = structure.ids[r * structure.width + c];
+        const x = (structure.x + c) % this.cols; // only wrapX worlds place past the last column
+        if (id < 0 || x < startX || x >= endX) continue;
+        ids[(y - startY) * chunkWidth + (x - startX)] = id;
+      }
+    }
+  }
+
+  /**
+   * Biome at tile (x, y). Temperature and moisture are two low-frequency noise
+   * fields; the tile belongs to the biome nearest that climate, and the
+   * runner-up takes a share (mix) that grows towards the border between them.
+   *
+   * @returns {{biome: object, neighbour: object, mix: number}}
+   *   mix is 0 well inside the biome and 0.5 on the border
+   */
+  biomeAt(x, y) {
+    const climateY = y * this.CLIMATE_DEPTH_STRETCH;
+    const temperature = this.tileNoise(x, climateY, this.CLIMATE_FREQUENCY, 8000);
+    const moisture = this.tileNoise(x, climateY, this.CLIMATE_FREQUENCY, 9000);
+
+    let biome = null;
+    let neighbour = null;
+    let nearest = Infinity;
+    let runnerUp = Infinity;
+    for (const candidate of this.biomeList) {
+      const distance = Math.hypot(candidate.temperature - temperature, candidate.moisture - moisture);
+      if (distance < nearest) {
+        neighbour = biome;
+        runnerUp = nearest;
+        biome = candidate;
+        nearest = distance;
+      } else if (distance < runnerUp) {
+        neighbour = candidate;
+        runnerUp = distance;
+      }
+    }
+
+    const mix = neighbour ? Math.max(0, 0.5 - (runnerUp - nearest) / (2 * this.BIOME_BLEND)) : 0;
+    return { biome, neighbour: neighbour ?? biome, mix };
+  }
+
+  // A numeric biome field (heightScale, surfaceDepth, ...) blended across the border
+  blendBiome({ biome, neighbour, mix }, field) {
+    return biome[field] + (neighbour[field] - biome[field]) * mix;
+  }
+
+  // Biome whose materials tile (x, y) takes: the neighbour's for a noisy
+  // share of the tiles near the border, so materials interleave there
+  pickBiome({ biome, neighbour, mix }, x, y) {
+    if (mix === 0) return biome;
+    return (this.tileNoise(x, y, 0.35, 10000) + 1) / 2 < mix ? neighbour : biome;
+  }
+
+  // Material of the narrow band right on a border, if either biome defines one
+  transitionMaterial({ biome, neighbour, mix }) {
+    if (mix < this.TRANSITION_MIX) return null;
+    return biome.transitionMaterial ?? neighbour.transitionMaterial ?? null;
+  }
+}
@@ -1,41 +1,56 @@
-import { createNoise2D } from 'simplex-noise';
+import { RandomManager } from './randomManager.js';
+import { TerrainGenerator } from './terrainGenerator.js';
+import { gameData } from './gameData.js';
 
 export class TerrainManager {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {object} [config] - See getLayout() for the world shape and
+   *   generation options; plus seed, cloudDensity, cloudSpeed,
+   *   chunkRetainRadius and useWorker
+   */
   constructor(scene, config = {}) {
     this.scene = scene;
     
-    // --- World dimension constraints ---
-    const minSkyPixels = 800;   // must have at least 800 px of sky above sea-level
-    const minDepthPixels = 1000; // must have at least 1000 px of world below sea-level
-
-    const minWorldHeight = minSkyPixels + minDepthPixels; // 1800 px
-
-    const minWidth = 1024;
-    const requestedHeight = config.height || 1800;
-    this.width = Math.max(config.width || 2048, minWidth);
-    this.height = Math.max(requestedHeight, minWorldHeight);
-
-    // Sea level row (tile index)
-    this.tileSize = config.tileSize || 20;
-    this.seaLevelRow = Math.floor(minSkyPixels / this.tileSize); // e.g. 800/20 = 40
-    
-    this.cols = Math.floor(this.width / this.tileSize);
-    this.rows = Math.floor(this.height / this.tileSize);
-    
-    // Create tile map
-    this.tiles = [];
-    
-    // Graphics context for rendering
-    this.graphics = scene.add.graphics();
-    this.graphics.setDepth(-3); // kept for destructive updates but not used every frame
-    this.chunkGraphics = new Map();
-    this.dirtyChunks = new Set();
+    // World dimensions, tile grid and generation options
+    Object.assign(this, TerrainManager.getLayout(config));
+    
+    // Tile map: one palette index per tile (see defineMaterials()) plus the
+    // hardness already mined off it, both stored row by row (row * cols + col).
+    // These per-tile arrays cover the whole world and are never evicted – even
+    // the Huge preset (24576 x 2400 px) needs under 2 MB for all of them, less
+    // than one baked chunk texture (1280 px square, ~6.5 MB), so render()
+    // evicts textures only. Dropping untouched chunks' tile data and generating
+    // it again from the seed is on the roadmap, not done.
+    this.tileIds = new Uint8Array(this.cols * this.rows);
+    this.tileDamage = new Float32Array(this.cols * this.rows);
+    // Fill level of liquid tiles, 1..LIQUID_LEVELS (0 for everything else)
+    this.LIQUID_LEVELS = 8;
+    this.LIQUID_SPREAD = 16; // tiles a level can travel along a liquid surface per step
+    this.liquidLevels = new Uint8Array(this.cols * this.rows);
+    // Fog of war: 1 for tiles revealed below the always-visible surface band
+    // (see "Fog of war" below)
+    this.revealed = new Uint8Array(this.cols * this.rows);
+    this.FOG_SURFACE_DEPTH = 3; // ground tiles of each column, from its first solid one, that are never hidden
+    this.FOG_COLOR = 0x05080d;
+    
+    // Each generated chunk is baked into a cached RenderTexture (see
+    // bakeChunk()); bakeGraphics is the off-screen scratch surface tiles are
+    // drawn into first. Changed tiles are collected per chunk and re-baked once a frame.
+    this.bakeGraphics = scene.make.graphics({}, false);
+    this.chunkTextures = new Map(); // chunk key -> RenderTexture
+    this.dirtyTiles = new Map();    // chunk key -> Set of tile indices to re-bake
+    this.FULL_BAKE_FRACTION = 0.25; // re-bake the whole chunk when more of it than this changed
+    // Chunks kept baked around the visible ones; textures further out are
+    // dropped and baked again from the tile map when they come back into view
+    this.chunkRetainRadius = config.chunkRetainRadius ?? 1;
     
     // Define sky properties
     this.skyConfig = {
       gradientTop: 0x1a2b4c,    // Deep blue
       gradientMiddle: 0x3366cc, // Medium blue
       gradientBottom: 0x66aaff, // Light blue
+      undergroundTop: 0x0b1d30, // Deep underground blue/green tint, blending into the strata below
       cloudFrequency: config.cloudDensity || 0.01,
       cloudSpeed: config.cloudSpeed || 0.2
     };
@@ -49,60 +64,254 @@ export class TerrainManager {
     // Define material properties
     this.defineMaterials();
     
-    // Define biomes
+    // Define biomes and the depth strata beneath them
     this.defineBiomes();
+    this.defineStrata();
+    this.defineStructures();
     
     // Generation parameters
     this.seed = config.seed || Math.random() * 10000;
-    this.noiseGen = createNoise2D(() => this.seed / 10000);
+    this.rng = scene.rng || new RandomManager(this.seed);
+    // Gameplay rolls (explosion craters)
+    this.random = this.rng.stream('terrain');
     
-    // Chunk-based generation
-    this.chunkSize = 64; // Tiles per chunk
-    this.generatedChunks = new Set();
+    // Chunk-based generation (chunkSize comes from getLayout())
+    this.generatedChunks = new Set(); // chunks queued, in flight or done
+    this.chunksInFlight = new Set();  // chunks the worker is generating
     this.isGenerating = false;
     this.generationQueue = [];
+    this.chunksX = Math.ceil(this.cols / this.chunkSize);
+    this.chunksY = Math.ceil(this.rows / this.chunkSize);
+
+    // Falling-sand simulation (see updateFalling()). Chunks are indexed
+    // chunkY * chunksX + chunkX.
+    this.readyChunks = new Uint8Array(this.chunksX * this.chunksY); // 1 once a chunk's tiles exist
+    // 1 once a chunk's tiles differ from what the seed generates – only these are saved
+    this.touchedChunks = new Uint8Array(this.chunksX * this.chunksY);
+    this.activeChunks = new Map(); // chunk index -> { x0, y0, x1, y1 } tile rect to scan next tick
+    this.fallStamps = new Uint32Array(this.cols * this.rows); // fall tick each tile last moved in
+    this.fallTick = 0;
+    // Structure damage per point of hardness of a tile falling onto it
+    this.FALL_DAMAGE_PER_HARDNESS = 5;
+    // Tiles next to a removed solid tile, to check for support next tick (see checkSupport())
+    this.supportChecks = new Set();
+    // Damaged tiles of materials with a regenRate -> seconds since last hit (see updateRegeneration())
+    this.regenerating = new Map();
+    this.regenTimer = 0;
+    this.REGEN_DELAY = 5; // seconds a tile must be left alone before it starts healing
+
+    // Seeded world generation (src/terrainGenerator.js). The main-thread
+    // generator also backs biome lookups and, where no worker runs, chunk generation.
+    this.generator = new TerrainGenerator({
+      ...this.getGeneratorConfig(),
+      noiseStream: this.rng.stream('terrain-noise'),
+      extraLayers: gameData.generationLayers
+    });
+    this.noiseGen = this.generator.noiseGen;
+    // First ground row of every column as generated – the fog of war is
+    // measured from it
+    this.surfaceRows = Int16Array.from(this.generator.generateGroundRowsForChunk(0, this.cols));
+    this.generationLayers = this.generator.generationLayers;
+
+    // Chunks are generated in a Web Worker when possible (see startWorker())
+    this.worker = config.useWorker === false ? null : this.startWorker();
     
     // Initialize empty world
     this.initializeEmptyWorld();
     
     // Create sky immediately for visual appeal
     this.createSky();
+  }
+
+  /**
+   * Shape of a world and how it is generated, from a TerrainManager config.
+   * Shared by the constructor and createPreviewGenerator().
+   *
+   * @param {object} config
+   * @param {number} [config.width=2048] - World width in pixels (at least 1024)
+   * @param {number} [config.height=1800] - World height in pixels (at least 1800)
+   * @param {number} [config.tileSize=20]
+   * @param {boolean} [config.wrapX=false] - Seamless left/right edges (see "Horizontal wrapping" below)
+   * @param {string[]|null} [config.biomes] - Keys of the biomes to generate, default all
+   * @param {number} [config.caveThreshold=0.7] - Cave noise above this is hollow; higher means fewer caves
+   * @param {number} [config.oreBonus=0] - Lowers every ore threshold; higher means more ore
+   */
+  static getLayout(config = {}) {
+    // --- World dimension constraints ---
+    const minSkyPixels = 800;   // must have at least 800 px of sky above sea-level
+    const minDepthPixels = 1000; // must have at least 1000 px of world below sea-level
+
+    const minWorldHeight = minSkyPixels + minDepthPixels; // 1800 px
+
+    const minWidth = 1024;
+    const requestedHeight = config.height || 1800;
+    const tileSize = config.tileSize || 20;
+    const height = Math.max(requestedHeight, minWorldHeight);
+    let width = Math.max(config.width || 2048, minWidth);
+    const cols = Math.floor(width / tileSize);
+
+    // The seam of a wrapping world has to fall on a tile boundary, so the
+    // world is a whole number of tiles wide
+    const wrapX = config.wrapX ?? false;
+    if (wrapX) width = cols * tileSize;
+
+    return {
+      width,
+      height,
+      tileSize,
+      cols,
+      rows: Math.floor(height / tileSize),
+      seaLevelRow: Math.floor(minSkyPixels / tileSize), // e.g. 800/20 = 40
+      minDepthTiles: Math.floor(minDepthPixels / tileSize),
+      // Require a solid "crust" of at least 5 tiles beneath the surface with no caves
+      minSolidSurfaceLayers: 5,
+      chunkSize: 64, // Tiles per chunk
+      wrapX,
+      biomeKeys: config.biomes ?? null,
+      caveThreshold: config.caveThreshold ?? 0.7,
+      oreBonus: config.oreBonus ?? 0
+    };
+  }
+
+  /**
+   * A main-thread generator for a world that is not built – the world setup
+   * screen draws its preview with one. It makes the same tiles the world
+   * itself would (plugin generation layers included).
+   *
+   * @param {object} config - As for the constructor; needs seed
+   * @returns {TerrainGenerator}
+   */
+  static createPreviewGenerator(config) {
+    const layout = TerrainManager.getLayout(config);
+    return new TerrainGenerator({
+      ...TerrainManager.getGeneratorConfig(layout),
+      noiseStream: new RandomManager(config.seed).stream('terrain-noise'),
+      extraLayers: gameData.generationLayers
+    });
+  }
+
+  // Generation settings shared by the main-thread generator, the worker and
+  // previews, for a getLayout() result
+  static getGeneratorConfig(layout) {
+    return {
+      cols: layout.cols,
+      rows: layout.rows,
+      chunkSize: layout.chunkSize,
+      seaLevelRow: layout.seaLevelRow,
+      minDepthTiles: layout.minDepthTiles,
+      minSolidSurfaceLayers: layout.minSolidSurfaceLayers,
+      materials: gameData.materials,
+      biomes: TerrainManager.getEnabledBiomes(layout.biomeKeys),
+      strata: gameData.strata,
+      structures: gameData.structures,
+      caveThreshold: layout.caveThreshold,
+      oreBonus: layout.oreBonus,
+      wrapX: layout.wrapX
+    };
+  }
+
+  // Biome definitions by key, limited to `keys` when given
+  static getEnabledBiomes(keys) {
+    if (!keys) return gameData.biomes;
+    return Object.fromEntries(keys.filter(key => gameData.biomes[key]).map(key => [key, gameData.biomes[key]]));
+  }
+
+  getGeneratorConfig() {
+    return TerrainManager.getGeneratorConfig(this);
+  }
+
+  // Start the terrain worker, or return null to generate on the main thread.
+  // Plugin generation layers are functions living on the main thread, so
+  // worlds using them are generated here as well.
+  startWorker() {
+    if (typeof Worker === 'undefined' || gameData.generationLayers.length > 0) return null;
+
+    let worker;
+    try {
+      worker = new Worker(new URL('./terrainWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn('Terrain worker unavailable, generating on the main thread:', error);
+      return null;
+    }
+    worker.onmessage = ({ data }) => this.onWorkerMessage(data);
+    worker.onerror = (event) => this.stopWorker(event.message ?? 'worker failed');
+    // Materials, biomes, strata and structures go over as one structured
+    // clone, so their material references still point at the same material objects
+    worker.postMessage({ type: 'init', seed: this.rng.seed, config: this.getGeneratorConfig() });
+    return worker;
+  }
+
+  onWorkerMessage(data) {
+    const key = this.getChunkKey(data.x, data.y);
+    // Results for chunks dropped meanwhile (save restored, worker stopped) are stale
+    if (!this.chunksInFlight.delete(key)) return;
+
+    if (data.type === 'error') {
+      this.stopWorker(`chunk ${key}: ${data.message}`);
+      return;
+    }
+    if (data.ids) this.applyChunk(data);
+    if (this.chunksInFlight.size === 0) this.processNextChunk();
+  }
+
+  // Fall back to main-thread generation, re-queueing whatever the worker had in hand
+  stopWorker(reason) {
+    if (!this.worker) return;
+    console.warn(`Terrain worker stopped (${reason}) – generating on the main thread`);
+    this.worker.terminate();
+    this.worker = null;
+    for (const key of this.chunksInFlight) {
+      const [x, y] = key.split(',').map(Number);
+      this.generationQueue.push({ x, y });
+    }
+    this.chunksInFlight.clear();
+    this.isGenerating = false;
+    this.processNextChunk();
+  }
 
-    this.minDepthTiles = Math.floor(minDepthPixels / this.tileSize);
-    // Require a solid "crust" of at least 5 tiles beneath the surface with no caves
-    this.minSolidSurfaceLayers = 5;
+  // Release the worker (the scene is shutting down)
+  destroy() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.chunksInFlight.clear();
+    this.generationQueue = [];
   }
 
   // Initialize an empty world with just air and bedrock
   initializeEmptyWorld() {
-    for (let y = 0; y < this.rows; y++) {
-      this.tiles[y] = [];
-      for (let x = 0; x < this.cols; x++) {
-        // Only add bedrock at the bottom, air everywhere else
-        if (y === this.rows - 1) {
-          this.tiles[y][x] = { ...this.MATERIALS.BEDROCK };
-        } else {
-          this.tiles[y][x] = { ...this.MATERIALS.AIR };
-        }
-      }
-    }
+    this.tileIds.fill(this.AIR_ID);
+    this.tileDamage.fill(0);
+    this.liquidLevels.fill(0);
+    // Only add bedrock at the bottom, air everywhere else
+    this.tileIds.fill(this.getMaterialId(this.MATERIALS.BEDROCK), (this.rows - 1) * this.cols);
   }
 
-  // Generate terrain in chunks around a given position
+  isChunkInWorld(chunkX, chunkY) {
+    return chunkX >= 0 && chunkY >= 0 &&
+           chunkX * this.chunkSize < this.cols && chunkY * this.chunkSize < this.rows;
+  }
+
+  // Queue a chunk unless it is outside the world or already queued / generated.
+  // Returns true if it was queued.
+  queueChunk(chunkX, chunkY) {
+    const chunkKey = this.getChunkKey(chunkX, chunkY);
+    if (!this.isChunkInWorld(chunkX, chunkY) || this.generatedChunks.has(chunkKey)) return false;
+    this.generationQueue.push({ x: chunkX, y: chunkY });
+    this.generatedChunks.add(chunkKey);
+    return true;
+  }
+
+  // Generate terrain in chunks around a given position. Returns how many
+  // chunks were queued; each one emits 'chunk:generated' when done.
   generateTerrainChunksAround(centerX, centerY, radius = 3) {
     const centerChunkX = Math.floor(centerX / (this.chunkSize * this.tileSize));
     const centerChunkY = Math.floor(centerY / (this.chunkSize * this.tileSize));
     
     // Add chunks to generation queue
+    let queued = 0;
     for (let cy = centerChunkY - radius; cy <= centerChunkY + radius; cy++) {
       for (let cx = centerChunkX - radius; cx <= centerChunkX + radius; cx++) {
-        // Skip negative chunk indices (outside world bounds)
-        if (cx < 0 || cy < 0) continue;
-        const chunkKey = `${cx},${cy}`;
-        if (!this.generatedChunks.has(chunkKey)) {
-          this.generationQueue.push({ x: cx, y: cy });
-          this.generatedChunks.add(chunkKey);
-        }
+        if (this.queueChunk(this.wrapChunkX(cx), cy)) queued++;
       }
     }
     
@@ -110,10 +319,22 @@ export class TerrainManager {
     if (!this.isGenerating) {
       this.processNextChunk();
     }
+    return queued;
   }
   
-  // Process the next chunk in the queue
+  // Work through the generation queue: hand everything to the worker, or
+  // generate one chunk per call on the main thread
   processNextChunk() {
+    if (this.worker) {
+      for (const chunk of this.generationQueue) {
+        this.chunksInFlight.add(this.getChunkKey(chunk.x, chunk.y));
+        this.worker.postMessage({ type: 'chunk', x: chunk.x, y: chunk.y });
+      }
+      this.generationQueue = [];
+      this.isGenerating = this.chunksInFlight.size > 0;
+      return;
+    }
+
     if (this.generationQueue.length === 0) {
       this.isGenerating = false;
       return;
@@ -122,13 +343,6 @@ export class TerrainManager {
     this.isGenerating = true;
     const chunk = this.generationQueue.shift();
     
-    // Guard against invalid chunk coordinates
-    if (chunk.x < 0 || chunk.y < 0) {
-      // Skip and process next
-      this.processNextChunk();
-      return;
-    }
-    
     // Generate this chunk
     this.generateChunk(chunk.x, chunk.y);
     
@@ -138,83 +352,44 @@ export class TerrainManager {
     });
   }
   
-  // Generate a single terrain chunk
+  // Generate a single terrain chunk on this thread
   generateChunk(chunkX, chunkY) {
-    // Skip negative coordinates
-    if (chunkX < 0 || chunkY < 0) return;
-    
-    // Calculate chunk boundaries
-    const chunkStartX = chunkX * this.chunkSize;
-    const chunkStartY = chunkY * this.chunkSize;
-    const startX = Math.max(0, chunkStartX);
-    const startY = Math.max(0, chunkStartY);
-    const endX = Math.min(chunkStartX + this.chunkSize, this.cols);
-    const endY = Math.min(chunkStartY + this.chunkSize, this.rows);
-    
-    // Skip invalid chunks (fully outside world bounds)
-    if (startX >= endX || startY >= endY) return;
-    
-    // Generate biome map if needed
-    if (!this.biomeMap) {
-      this.biomeMap = this.generateBiomeMap(this.noiseGen);
-    }
-    
-    // Generate height map for this chunk (use original chunkStartX for proper indexing)
-    const heightMap = this.generateHeightMapForChunk(chunkStartX, chunkStartX + this.chunkSize);
-    
-    // Generate cave and ore maps for this chunk
-    const caveMap = this.generateCaveMapForChunk(chunkStartX, chunkStartX + this.chunkSize, chunkStartY, chunkStartY + this.chunkSize);
-    const oreMap = this.generateOreMapForChunk(chunkStartX, chunkStartX + this.chunkSize, chunkStartY, chunkStartY + this.chunkSize);
-    
-    // Setup generation layers if needed
-    if (!this.generationLayers) {
-      this.initializeGenerationLayers();
-    }
-    
-    // Fill tiles
+    const chunk = this.generator.generateChunk(chunkX, chunkY);
+    if (chunk) this.applyChunk(chunk);
+  }
+
+  // Copy a generated chunk (TerrainGenerator.generateChunk() output) into the
+  // tile map; render() bakes it once it is in view
+  applyChunk(chunk) {
+    this.writeChunkTiles(chunk);
+    this.scene.bus?.emit('chunk:generated', { x: chunk.x, y: chunk.y });
+  }
+
+  // The tile map half of applyChunk(); restore() uses it for chunks it regenerates
+  writeChunkTiles({ x: chunkX, y: chunkY, startX, startY, endX, endY, ids }) {
+    const width = endX - startX;
     for (let y = startY; y < endY; y++) {
-      for (let x = startX; x < endX; x++) {
-        if (y === this.rows - 1) continue; // Bedrock row already set
-        const context = {
-          surfaceHeight: heightMap[x - chunkStartX],
-          caveMap: caveMap,
-          oreMap: oreMap,
-          biomeMap: this.biomeMap
-        };
-        let material = null;
-        for (const layer of this.generationLayers) {
-          material = layer.getMaterial(x, y, context);
-          if (material) break;
-        }
-        if (!material) material = this.MATERIALS.ROCK;
-        this.tiles[y][x] = { ...material };
+      const offset = y * this.cols + startX;
+      this.tileIds.set(ids.subarray((y - startY) * width, (y - startY + 1) * width), offset);
+      this.tileDamage.fill(0, offset, offset + width);
+      for (let index = offset; index < offset + width; index++) {
+        this.liquidLevels[index] = this.liquidIds[this.tileIds[index]] ? this.LIQUID_LEVELS : 0;
       }
     }
-    
-    // Draw static graphics for this chunk
-    this.drawChunkGraphics(chunkX, chunkY, startX, startY, endX, endY);
-    this.scene.events.emit('chunk-generated', { x: chunkX, y: chunkY });
+    // Generated terrain rests as it is until something next to it changes
+    this.readyChunks[chunkY * this.chunksX + chunkX] = 1;
+    this.touchedChunks[chunkY * this.chunksX + chunkX] = 0;
   }
 
   // Generate full terrain (for backward compatibility)
   generateTerrain() {
-    // Generate biome map
-    this.biomeMap = this.generateBiomeMap(this.noiseGen);
-    
-    // Setup the material generation layers
-    this.initializeGenerationLayers();
-    
     // Queue all chunks for generation
     const chunksX = Math.ceil(this.cols / this.chunkSize);
     const chunksY = Math.ceil(this.rows / this.chunkSize);
     
     for (let cy = 0; cy < chunksY; cy++) {
       for (let cx = 0; cx < chunksX; cx++) {
-        const chunkKey = `${cx},${cy}`;
-        if (!this.generatedChunks.has(chunkKey)) {
-          this.generationQueue.push({ x: cx, y: cy });
-          this.generatedChunks.add(chunkKey);
-        }
+        this.queueChunk(cx, cy);
       }
     }
     
@@ -224,137 +399,28 @@ export class TerrainManager {
     }
   }
 
-  // Generate height map for a specific chunk
-  generateHeightMapForChunk(startX, endX) {
-    const heightMap = [];
-    
-    // Ensure biome map exists
-    if (!this.biomeMap) {
-      this.biomeMap = this.generateBiomeMap(this.noiseGen);
-    }
-    
-    // Base terrain height set to sea-level row so we guarantee skyPixels of free space.
-    const baseHeight = this.seaLevelRow;
-    
-    // Mountain height variation
-    const mountainHeight = this.rows * 0.25;
-    
-    // Valley depth variation
-    const valleyDepth = this.rows * 0.1;
-    
-    for (let x = startX; x < endX; x++) {
-      // Get the biome for this column
-      const biome = this.biomeMap[x] || this.BIOMES.PLAINS; // Default to PLAINS if biome is undefined
-      
-      // Use multiple octaves of noise for natural-looking terrain
-      const nx = x / this.cols;
-      
-      // Confine tall mountains to the left/right edges only.
-      const edgeDistance = Math.min(x, this.cols - 1 - x);
-      const edgeThreshold = this.cols * 0.25; // 25 % of world width from each edge
-      const edgeFactor = Math.max(0, 1 - edgeDistance / edgeThreshold); // 1 near edges, 0 in centre
-
-      const largeFeature = this.noiseGen(nx * 2, 0.5) * mountainHeight * biome.heightScale * edgeFactor;
-      
-      // Medium terrain features (hills)
-      const mediumFeature = this.noiseGen(nx * 5, 0.7) * valleyDepth * biome.heightScale;
-      
-      // Small terrain features (details)
-      const smallFeature = this.noiseGen(nx * 20, 0.9) * (this.rows * 0.05) * biome.heightScale;
-      
-      // Combine features with different weights
-      const height = Math.floor(
-        baseHeight + 
-        largeFeature * 1.0 + 
-        mediumFeature * 0.5 + 
-        smallFeature * 0.2
-      );
-      
-      // Clamp so we always keep at least 1000 px (50 tiles) of depth
-      const minRow = 0; // peaks can be up into the sky
-      const maxRow = this.rows - this.minDepthTiles;
-      const clamped = Math.max(Math.min(height, maxRow), minRow);
-      heightMap[x - startX] = clamped;
-    }
-    
-    return heightMap;
-  }
-
-  // Generate cave map for a specific chunk
-  generateCaveMapForChunk(startX, endX, startY, endY) {
-    const caveMap = Array(this.rows).fill().map(() => Array(this.cols).fill(false));
-    
-    // Ensure biome map exists
-    if (!this.biomeMap) {
-      this.biomeMap = this.generateBiomeMap(this.noiseGen);
-    }
-    
-    for (let y = Math.max(20, startY); y < Math.min(endY, this.rows - 10); y++) {
-      for (let x = startX; x < endX; x++) {
-        // Get the biome for this column
-        const biome = this.biomeMap[x] || this.BIOMES.PLAINS; // Default to PLAINS if biome is undefined
-        
-        // Cave frequency/size parameters adjusted by biome
-        const caveFrequency = biome.caveFrequency;
-        // Increase threshold so fewer cells qualify as caves (reduces total caves)
-        const caveDensity = 0.7;
-        
-        // 3D Perlin noise for caves
-        const nx = x * caveFrequency;
-        const ny = y * caveFrequency;
-        
-        // Use noise value for cave determination
-        const value = this.noiseGen(nx, ny + 500); // Offset to make different from heightmap
-        
-        // Determine if this cell should be hollow (cave). Higher caveDensity => fewer caves
-        caveMap[y][x] = value > caveDensity;
-      }
-    }
-    
-    return caveMap;
-  }
+  // Generate every chunk synchronously (headless simulation – no frame spreading)
+  generateAllChunksNow() {
+    const chunksX = Math.ceil(this.cols / this.chunkSize);
+    const chunksY = Math.ceil(this.rows / this.chunkSize);
 
-  // Generate ore map for a specific chunk
-  generateOreMapForChunk(startX, endX, startY, endY) {
-    const oreMap = Array(this.rows).fill().map(() => Array(this.cols).fill(false));
-    
-    // Ensure biome map exists
-    if (!this.biomeMap) {
-      this.biomeMap = this.generateBiomeMap(this.noiseGen);
-    }
-    
-    for (let y = Math.max(40, startY); y < Math.min(endY, this.rows - 5); y++) {
-      for (let x = startX; x < endX; x++) {
-        // Get the biome for this column
-        const biome = this.biomeMap[x] || this.BIOMES.PLAINS; // Default to PLAINS if biome is undefined
-        
-        // Ore vein parameters
-        const oreFrequency = 0.1;
-        const oreDensity = biome.oreDensity; // Biome-specific ore density
-        
-        // Generate ore veins with different noise scale
-        const nx = x * oreFrequency;
-        const ny = y * oreFrequency;
-        
-        // More ore as depth increases
-        const depthBonus = (y / this.rows) * 0.1;
-        const value = this.noiseGen(nx, ny + 1000); // Offset to make different from caves
-        
-        // Adjust threshold based on depth and biome
-        oreMap[y][x] = value > (oreDensity - depthBonus);
+    for (let cy = 0; cy < chunksY; cy++) {
+      for (let cx = 0; cx < chunksX; cx++) {
+        const chunkKey = `${cx},${cy}`;
+        if (this.generatedChunks.has(chunkKey)) continue;
+        this.generatedChunks.add(chunkKey);
+        this.generateChunk(cx, cy);
       }
     }
-    
-    return oreMap;
   }
 
   // Render a specific chunk
   renderChunk(chunkX, chunkY) {}
 
-  // render() now only responsible for queuing new chunks; drawing handled by chunkGraphics
+  // Called every frame: queue the visible chunks for generation, re-bake
+  // changed tiles, bake chunks coming into view and drop the textures of
+  // chunks that have moved out of range
   render() {
-    // Only ensure visible chunks are generated; drawing done once per chunk.
-
     // Calculate visible area
     const camera = this.scene.cameras.main;
     const visibleLeft = Math.floor(camera.scrollX / this.tileSize) - 1;
@@ -362,23 +428,23 @@ export class TerrainManager {
     const visibleTop = Math.floor(camera.scrollY / this.tileSize) - 1;
     const visibleBottom = Math.ceil((camera.scrollY + camera.height) / this.tileSize) + 1;
 
-    const startCol = Math.max(0, visibleLeft);
-    const endCol = Math.min(this.cols - 1, visibleRight);
     const startRow = Math.max(0, visibleTop);
     const endRow = Math.min(this.rows - 1, visibleBottom);
 
-    const startChunkX = Math.floor(startCol / this.chunkSize);
-    const endChunkX = Math.ceil(endCol / this.chunkSize);
+    // Visible chunk columns; across the seam of a wrapping world they
+    // continue from the first column again
+    const chunkColumns = new Set();
+    for (const [startCol, endCol] of this.columnSpans(visibleLeft, visibleRight)) {
+      for (let cx = Math.floor(startCol / this.chunkSize); cx <= Math.floor(endCol / this.chunkSize); cx++) {
+        chunkColumns.add(cx);
+      }
+    }
     const startChunkY = Math.floor(startRow / this.chunkSize);
-    const endChunkY = Math.ceil(endRow / this.chunkSize);
+    const endChunkY = Math.floor(endRow / this.chunkSize);
 
-    for (let cy = startChunkY; cy < endChunkY; cy++) {
-      for (let cx = startChunkX; cx < endChunkX; cx++) {
-        const chunkKey = `${cx},${cy}`;
-        if (!this.generatedChunks.has(chunkKey)) {
-          this.generationQueue.push({ x: cx, y: cy });
-          this.generatedChunks.add(chunkKey);
-        }
+    for (let cy = startChunkY; cy <= endChunkY; cy++) {
+      for (const cx of chunkColumns) {
+        this.queueChunk(cx, cy);
       }
     }
 
@@ -386,314 +452,85 @@ export class TerrainManager {
       this.processNextChunk();
     }
 
-    // Rebuild any chunks marked dirty this frame
+    // Re-bake the tiles that changed this frame
     this.refreshDirtyChunks();
+
+    for (let cy = startChunkY; cy <= endChunkY; cy++) {
+      for (const cx of chunkColumns) {
+        if (this.readyChunks[cy * this.chunksX + cx] && !this.chunkTextures.has(this.getChunkKey(cx, cy))) {
+          this.bakeChunk(cx, cy);
+        }
+      }
+    }
+
+    // Drop the baked textures of chunks well out of view. Only the textures
+    // go – tile data stays in the whole-world typed arrays
+    const radius = this.chunkRetainRadius;
+    const retainedColumns = new Set();
+    for (const cx of chunkColumns) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        retainedColumns.add(this.wrapChunkX(cx + dx));
+      }
+    }
+    for (const [key, texture] of this.chunkTextures) {
+      const [chunkX, chunkY] = key.split(',').map(Number);
+      if (!retainedColumns.has(chunkX) ||
+          chunkY < startChunkY - radius || chunkY > endChunkY + radius) {
+        texture.destroy();
+        this.chunkTextures.delete(key);
+      }
+    }
   }
 
+  // Materials and biomes are data-driven – see src/data/materials.json and
+  // src/data/biomes.json. Biome material references are already resolved to
+  // the material objects, so tiles can be compared by identity.
+  // Tiles store a material's index in this.palette (materials.json order).
   defineMaterials() {
-    this.MATERIALS = {
-      AIR: { 
-        solid: false, 
-        shiftable: false, 
-        mineable: false,
-        hardness: 0, 
-        color: 0x000000, 
-        name: "air",
-        damageResistance: 0
-      },
-      SAND: { 
-        solid: true, 
-        shiftable: true, 
-        mineable: true, 
-        hardness: 1, 
-        color: 0xD2B48C, 
-        name: "sand",
-        damageResistance: 0.1
-      },
-      DIRT: { 
-        solid: true, 
-        shiftable: true, 
-        mineable: true, 
-        hardness: 2, 
-        color: 0x8B4513, 
-        name: "dirt",
-        damageResistance: 0.3
-      },
-      ROCK: { 
-        solid: true, 
-        shiftable: false, 
-        mineable: true, 
-        hardness: 5, 
-        color: 0x555555, 
-        name: "rock",
-        damageResistance: 0.6
-      },
-      HARD_ROCK: { 
-        solid: true, 
-        shiftable: false, 
-        mineable: true, 
-        hardness: 8, 
-        color: 0x333333, 
-        name: "hard_rock",
-        damageResistance: 0.8
-      },
-      METAL_ORE: { 
-        solid: true, 
-        shiftable: false, 
-        mineable: true, 
-        hardness: 10, 
-        color: 0x7a7a8c, 
-        name: "metal_ore",
-        damageResistance: 0.7
-      },
-      BEDROCK: { 
-        solid: true, 
-        shiftable: false, 
-        mineable: false, 
-        hardness: 100, 
-        color: 0x111111, 
-        name: "bedrock",
-        damageResistance: 0.95
-      },
-      // New material types for biomes
-      RED_SAND: {
-        solid: true,
-        shiftable: true,
-        mineable: true,
-        hardness: 1,
-        color: 0xC35B34, // Reddish sand color
-        name: "red_sand",
-        damageResistance: 0.1
-      },
-      CLAY: {
-        solid: true,
-        shiftable: true,
-        mineable: true,
-        hardness: 3,
-        color: 0x9C5A3C, // Clay color
-        name: "clay",
-        damageResistance: 0.4
-      },
-      GRAVEL: {
-        solid: true,
-        shiftable: true,
-        mineable: true,
-        hardness: 2,
-        color: 0x777777, // Gravel color
-        name: "gravel",
-        damageResistance: 0.2
-      },
-      CRYSTAL: {
-        solid: true,
-        shiftable: false,
-        mineable: true,
-        hardness: 15,
-        color: 0x88CCFF, // Crystal blue color
-        name: "crystal",
-        damageResistance: 0.8
-      }
-    };
+    this.MATERIALS = gameData.materials;
+    this.materialKeys = Object.keys(this.MATERIALS);
+    this.palette = this.materialKeys.map(key => this.MATERIALS[key]);
+    this.materialIds = new Map(this.palette.map((material, id) => [material, id]));
+    this.materialIdsByName = new Map(this.palette.map((material, id) => [material.name, id]));
+    this.AIR_ID = this.materialIds.get(this.MATERIALS.AIR);
+
+    // A change can set tiles up to `repose` rows above it sliding, so that
+    // is how far around a changed tile chunks have to be woken
+    this.wakeRadius = Math.max(1, ...this.palette.map(m => (m.shiftable ? m.repose ?? 1 : 0)));
+
+    // Per palette id: 1 for liquids, and what a liquid hardens into next to which other material
+    this.liquidIds = Uint8Array.from(this.palette, m => (m.liquid ? 1 : 0));
+    this.hardening = this.palette.map(m => m.hardensInto ? {
+      into: this.getMaterialId(this.MATERIALS[m.hardensInto]),
+      nextTo: this.getMaterialId(this.MATERIALS[m.hardensNextTo])
+    } : null);
+
+    // Per palette id: how far a structural tile reaches past its support (0 =
+    // not structural) and the id it collapses into
+    this.spans = Uint8Array.from(this.palette, m => m.span ?? 0);
+    this.collapseIds = this.palette.map(m => (m.collapsesInto ? this.getMaterialId(this.MATERIALS[m.collapsesInto]) : -1));
+    this.maxSpan = Math.max(0, ...this.spans);
   }
 
-  defineBiomes() {
-    this.BIOMES = {
-      PLAINS: {
-        name: "plains",
-        surfaceMaterial: this.MATERIALS.DIRT,
-        subSurfaceMaterial: this.MATERIALS.ROCK,
-        deepMaterial: this.MATERIALS.HARD_ROCK,
-        oreMaterial: this.MATERIALS.METAL_ORE,
-        surfaceDepth: 5,
-        subSurfaceDepth: 30,
-        heightScale: 1.0,
-        caveFrequency: 0.05,
-        oreDensity: 0.78
-      },
-      DESERT: {
-        name: "desert",
-        surfaceMaterial: this.MATERIALS.SAND,
-        subSurfaceMaterial: this.MATERIALS.ROCK,
-        deepMaterial: this.MATERIALS.HARD_ROCK,
-        oreMaterial: this.MATERIALS.METAL_ORE,
-        surfaceDepth: 10,
-        subSurfaceDepth: 20,
-        heightScale: 0.7, // Flatter terrain
-        caveFrequency: 0.03, // Fewer caves
-        oreDensity: 0.82 // Less ore
-      },
-      MOUNTAINS: {
-        name: "mountains",
-        surfaceMaterial: this.MATERIALS.ROCK,
-        subSurfaceMaterial: this.MATERIALS.HARD_ROCK,
-        deepMaterial: this.MATERIALS.HARD_ROCK,
-        oreMaterial: this.MATERIALS.METAL_ORE,
-        surfaceDepth: 3,
-        subSurfaceDepth: 40,
-        heightScale: 1.5, // Taller terrain
-        caveFrequency: 0.07, // More caves
-        oreDensity: 0.75 // More ore
-      },
-      BADLANDS: {
-        name: "badlands",
-        surfaceMaterial: this.MATERIALS.RED_SAND,
-        subSurfaceMaterial: this.MATERIALS.CLAY,
-        deepMaterial: this.MATERIALS.HARD_ROCK,
-        oreMaterial: this.MATERIALS.METAL_ORE,
-        surfaceDepth: 8,
-        subSurfaceDepth: 25,
-        heightScale: 1.2,
-        caveFrequency: 0.04,
-        oreDensity: 0.76
-      },
-      CRYSTAL_CAVES: {
-        name: "crystal_caves",
-        surfaceMaterial: this.MATERIALS.GRAVEL,
-        subSurfaceMaterial: this.MATERIALS.ROCK,
-        deepMaterial: this.MATERIALS.HARD_ROCK,
-        oreMaterial: this.MATERIALS.CRYSTAL,
-        surfaceDepth: 4,
-        subSurfaceDepth: 35,
-        heightScale: 0.9,
-        caveFrequency: 0.09, // Many caves
-        oreDensity: 0.72 // Lots of crystal ore
-      }
-    };
+  // Palette index of a material object (copies are matched by name)
+  getMaterialId(material) {
+    const id = this.materialIds.get(material) ?? this.materialIdsByName.get(material.name);
+    if (id === undefined) throw new Error(`Unknown terrain material "${material.name}"`);
+    return id;
   }
 
-  initializeGenerationLayers() {
-    this.generationLayers = [
-      // Each "layer" is an object with a `getMaterial` method.
-      // They are processed in order. The first one to return a material "wins".
-      
-      // Layer 1: Sky (anything above ground)
-      {
-        getMaterial: (x, y, context) => {
-          if (y < context.surfaceHeight - 2) {
-            return this.MATERIALS.AIR;
-          }
-          return null;
-        }
-      },
-      
-      // Layer 2: Bedrock (bottom of the world)
-      {
-        getMaterial: (x, y, context) => {
-          if (y === this.rows - 1) {
-            return this.MATERIALS.BEDROCK;
-          }
-          return null;
-        }
-      },
-      
-      // Layer 3: Caves
-      {
-        getMaterial: (x, y, context) => {
-          if (context.caveMap[y]?.[x] && y > context.surfaceHeight + this.minSolidSurfaceLayers) {
-            return this.MATERIALS.AIR;
-          }
-          return null;
-        }
-      },
-      
-      // Layer 4: Surface (biome-specific)
-      {
-        getMaterial: (x, y, context) => {
-          const biome = context.biomeMap[x];
-          const surfaceHeight = context.surfaceHeight;
-          
-          if (y < surfaceHeight + biome.surfaceDepth) {
-            return biome.surfaceMaterial;
-          }
-          return null;
-        }
-      },
-      
-      // Layer 5: Sub-surface (biome-specific)
-      {
-        getMaterial: (x, y, context) => {
-          const biome = context.biomeMap[x];
-          const surfaceHeight = context.surfaceHeight;
-          
-          if (y < surfaceHeight + biome.surfaceDepth + biome.subSurfaceDepth) {
-            return biome.subSurfaceMaterial;
-          }
-          return null;
-        }
-      },
-      
-      // Layer 6: Ore Veins (biome-specific)
-      {
-        getMaterial: (x, y, context) => {
-          if (context.oreMap[y]?.[x]) {
-            const biome = context.biomeMap[x];
-            return biome.oreMaterial;
-          }
-          return null;
-        }
-      },
-      
-      // Layer 7: Deep Material (biome-specific)
-      {
-        getMaterial: (x, y, context) => {
-          const biome = context.biomeMap[x];
-          return biome.deepMaterial;
-        }
-      }
-    ];
+  defineBiomes() {
+    this.BIOMES = TerrainManager.getEnabledBiomes(this.biomeKeys);
   }
 
-  generateBiomeMap(noiseGen) {
-    const biomeMap = [];
-    
-    // Biome noise scale
-    const biomeScale = 0.001;
-    
-    // List of available biomes
-    const biomeTypes = Object.values(this.BIOMES);
-    
-    for (let x = 0; x < this.cols; x++) {
-      // Use noise to determine biome
-      const nx = x * biomeScale;
-      const biomeNoise = noiseGen(nx, 0.5);
-      
-      // Map noise value (-1 to 1) to biome index
-      const normalizedNoise = (biomeNoise + 1) / 2; // 0 to 1
-      const biomeIndex = Math.floor(normalizedNoise * biomeTypes.length);
-      const clampedIndex = Math.min(biomeIndex, biomeTypes.length - 1);
-      
-      // Store the biome object
-      biomeMap[x] = biomeTypes[clampedIndex];
-    }
-    
-    // Smooth biome transitions
-    this.smoothBiomeMap(biomeMap);
-    
-    return biomeMap;
+  // Depth bands below the biome layers – see src/data/strata.json
+  defineStrata() {
+    this.STRATA = gameData.strata;
   }
 
-  smoothBiomeMap(biomeMap) {
-    // Simple smoothing to avoid single-column biomes
-    const minBiomeWidth = 20; // Minimum width for a biome in tiles
-    
-    let currentBiome = biomeMap[0];
-    let currentWidth = 1;
-    
-    for (let x = 1; x < this.cols; x++) {
-      if (biomeMap[x] !== currentBiome) {
-        // Potential biome change
-        if (currentWidth < minBiomeWidth) {
-          // Too narrow, keep the previous biome
-          biomeMap[x] = currentBiome;
-          currentWidth++;
-        } else {
-          // Wide enough, accept the new biome
-          currentBiome = biomeMap[x];
-          currentWidth = 1;
-        }
-      } else {
-        currentWidth++;
-      }
-    }
+  // Prefab features stamped into the terrain – see src/data/structures.json
+  defineStructures() {
+    this.STRUCTURES = gameData.structures;
   }
 
   createSky() {
@@ -705,9 +542,31 @@ export class TerrainManager {
     const worldHeight = this.height;
     const seaLevelY = this.seaLevelRow * this.tileSize;
 
-    // Fill underground area with dark color
-    this.sky.fillStyle(0x0b1d30, 1); // deep underground blue/green tint
-    this.sky.fillRect(0, seaLevelY, worldWidth, worldHeight - seaLevelY);
+    // Underground, blend in 4px bands from the sea-level tint through each
+    // stratum's background, reached at the stratum's top
+    const stops = [
+      { y: seaLevelY, color: this.skyConfig.undergroundTop },
+      ...Object.values(this.STRATA)
+        .map(stratum => ({ y: stratum.top * worldHeight, color: stratum.background }))
+        .sort((a, b) => a.y - b.y)
+    ];
+    const bandHeight = 4;
+    for (let y = seaLevelY; y < worldHeight; y += bandHeight) {
+      const next = stops.findIndex(stop => stop.y > y);
+      let color = stops[stops.length - 1].color; // below the deepest stop
+      if (next > 0) {
+        const from = stops[next - 1];
+        const to = stops[next];
+        color = Phaser.Display.Color.Interpolate.ColorWithColor(
+          Phaser.Display.Color.ValueToColor(from.color),
+          Phaser.Display.Color.ValueToColor(to.color),
+          100,
+          Math.floor((y - from.y) / (to.y - from.y) * 100)
+        ).color;
+      }
+      this.sky.fillStyle(color, 1);
+      this.sky.fillRect(0, y, worldWidth, bandHeight);
+    }
 
     // Now draw sky gradient above sea-level
     const gradientHeight = seaLevelY; // gradient spans exactly to sea level
@@ -753,224 +612,328 @@ export class TerrainManager {
     // no-op (clouds disabled)
   }
 
-  drawChunkGraphics(chunkX, chunkY, startX, startY, endX, endY) {
-    const g = this.scene.add.graphics({
-      x: startX * this.tileSize,
-      y: startY * this.tileSize
-    });
-    g.setDepth(-2);
+  // Bake a chunk into its cached RenderTexture. With `tiles` (a set of tile
+  // indices inside the chunk) only those tiles are cut out and drawn again;
+  // without it – or when most of the chunk changed – the whole chunk is redrawn.
+  bakeChunk(chunkX, chunkY, tiles = null) {
+    const startX = chunkX * this.chunkSize;
+    const startY = chunkY * this.chunkSize;
+    const endX = Math.min(startX + this.chunkSize, this.cols);
+    const endY = Math.min(startY + this.chunkSize, this.rows);
+    const size = this.tileSize;
 
-    for (let y = startY; y < endY; y++) {
-      for (let x = startX; x < endX; x++) {
-        const tile = this.tiles[y][x];
-        if (!tile || tile.name === "air") continue;
-        const localX = (x - startX) * this.tileSize;
-        const localY = (y - startY) * this.tileSize;
-        g.fillStyle(tile.color, 1);
-        g.fillRect(localX, localY, this.tileSize, this.tileSize);
+    const key = this.getChunkKey(chunkX, chunkY);
+    let texture = this.chunkTextures.get(key);
+    if (!texture) {
+      texture = this.scene.add.renderTexture(startX * size, startY * size, (endX - startX) * size, (endY - startY) * size);
+      texture.setOrigin(0, 0);
+      texture.setDepth(-2);
+      this.chunkTextures.set(key, texture);
+      tiles = null;
+    }
+
+    const g = this.bakeGraphics;
+    g.clear();
+    if (!tiles || tiles.size > (endX - startX) * (endY - startY) * this.FULL_BAKE_FRACTION) {
+      texture.clear();
+      for (let row = startY; row < endY; row++) {
+        for (let col = startX; col < endX; col++) {
+          this.drawTile(g, (col - startX) * size, (row - startY) * size, col, row);
+        }
+      }
+    } else {
+      // Cut the changed tiles out first so liquids and air don't draw over the old tile
+      g.fillStyle(0xffffff, 1);
+      for (const index of tiles) {
+        const col = index % this.cols;
+        g.fillRect((col - startX) * size, ((index - col) / this.cols - startY) * size, size, size);
+      }
+      texture.erase(g);
+      g.clear();
+      for (const index of tiles) {
+        const col = index % this.cols;
+        const row = (index - col) / this.cols;
+        this.drawTile(g, (col - startX) * size, (row - startY) * size, col, row);
       }
     }
+    texture.draw(g);
+    g.clear();
+  }
 
-    const key = this.getChunkKey(chunkX, chunkY);
-    const prev = this.chunkGraphics.get(key);
-    if (prev) {
-      prev.destroy();
-      this.chunkGraphics.delete(key);
+  // Draw the tile at (col, row) into g with its top-left corner at (px, py):
+  // its colour, material texture, edge shading and cracks, or for a liquid
+  // a translucent fill up to its level. A hidden tile is plain fog.
+  drawTile(g, px, py, col, row) {
+    if (!this.isRevealed(col, row)) {
+      g.fillStyle(this.FOG_COLOR, 1);
+      g.fillRect(px, py, this.tileSize, this.tileSize);
+      return;
+    }
+    const index = row * this.cols + col;
+    const id = this.tileIds[index];
+    if (id === this.AIR_ID) return;
+    const material = this.palette[id];
+    if (this.liquidIds[id]) {
+      const height = Math.ceil(this.tileSize * this.liquidLevels[index] / this.LIQUID_LEVELS);
+      g.fillStyle(material.color, 0.8);
+      g.fillRect(px, py + this.tileSize - height, this.tileSize, height);
+      return;
     }
+    g.fillStyle(material.color, 1);
+    g.fillRect(px, py, this.tileSize, this.tileSize);
+    if (material.texture) this.renderTileTexture(g, px, py, material.texture, this.tileRandom(col, row));
+    this.renderTileEdges(g, col, row, px, py);
+    const damage = this.tileDamage[index];
+    if (damage > 0) this.renderTileCracks(g, px, py, col, row, damage / material.hardness);
+  }
 
-    this.chunkGraphics.set(key, g);
+  // Random numbers in [0, 1) hashed from a tile position, so a tile's texture
+  // and cracks come out the same every time it is baked
+  tileRandom(col, row) {
+    let hash = (Math.imul(col, 73856093) ^ Math.imul(row, 19349663)) >>> 0;
+    return () => {
+      hash = (Math.imul(hash, 1664525) + 1013904223) >>> 0;
+      return hash / 4294967296;
+    };
   }
 
-  renderTileEdges(x, y, px, py) {
-    // Add subtle shading on edges for 3D effect
-    const tileAbove = this.tiles[y-1]?.[x]?.name === "air";
-    const tileLeft = this.tiles[y]?.[x-1]?.name === "air";
-    const tileBelow = this.tiles[y+1]?.[x]?.name === "air";
-    const tileRight = this.tiles[y]?.[x+1]?.name === "air";
+  // Material `texture` (see materials.json) -> the routine that draws it
+  renderTileTexture(g, px, py, texture, random) {
+    switch (texture) {
+      case 'sand': return this.renderSandTexture(g, px, py, random);
+      case 'dirt': return this.renderDirtTexture(g, px, py, random);
+      case 'rock': return this.renderRockTexture(g, px, py, random, false);
+      case 'hard_rock': return this.renderRockTexture(g, px, py, random, true);
+      case 'metal': return this.renderMetalTexture(g, px, py, random);
+      case 'bedrock': return this.renderBedrockTexture(g, px, py, random);
+      case 'clay': return this.renderClayTexture(g, px, py, random);
+      case 'gravel': return this.renderGravelTexture(g, px, py, random);
+      case 'crystal': return this.renderCrystalTexture(g, px, py, random);
+    }
+  }
+
+  // Crack overlay for a partly mined tile: one crack per quarter of its
+  // hardness mined off, each branching out from a point near the centre.
+  renderTileCracks(g, px, py, col, row, fraction) {
+    const next = this.tileRandom(col, row);
+    const size = this.tileSize;
+    const cx = px + size * (0.35 + next() * 0.3);
+    const cy = py + size * (0.35 + next() * 0.3);
+    const cracks = Math.min(4, Math.ceil(fraction * 4));
+
+    g.lineStyle(1, 0x000000, 0.35 + fraction * 0.4);
+    for (let i = 0; i < cracks; i++) {
+      let angle = (i / cracks) * Math.PI * 2 + next() * 0.8;
+      let x = cx;
+      let y = cy;
+      g.beginPath();
+      g.moveTo(x, y);
+      // Longer cracks the more damaged the tile is, kept inside the tile
+      for (let segment = 0; segment < 2 + Math.round(fraction * 2); segment++) {
+        angle += (next() - 0.5) * 1.2;
+        x = Math.min(px + size - 1, Math.max(px + 1, x + Math.cos(angle) * size * 0.2));
+        y = Math.min(py + size - 1, Math.max(py + 1, y + Math.sin(angle) * size * 0.2));
+        g.lineTo(x, y);
+      }
+      g.strokePath();
+    }
+  }
+
+  renderTileEdges(g, x, y, px, py) {
+    // Add subtle shading on edges that face open air for a 3D effect
+    // (hidden air doesn't count – the edge would give the cave away)
+    const isAir = (col, row) => {
+      col = this.wrapCol(col);
+      return this.isInBounds(col, row) && this.tileIds[row * this.cols + col] === this.AIR_ID && this.isRevealed(col, row);
+    };
     
-    if (tileAbove) {
+    if (isAir(x, y - 1)) {
       // Top edge highlight
-      this.graphics.fillStyle(0xffffff, 0.2);
-      this.graphics.fillRect(px, py, this.tileSize, 2);
+      g.fillStyle(0xffffff, 0.2);
+      g.fillRect(px, py, this.tileSize, 2);
     }
     
-    if (tileLeft) {
+    if (isAir(x - 1, y)) {
       // Left edge highlight
-      this.graphics.fillStyle(0xffffff, 0.1);
-      this.graphics.fillRect(px, py, 2, this.tileSize);
+      g.fillStyle(0xffffff, 0.1);
+      g.fillRect(px, py, 2, this.tileSize);
     }
     
-    if (tileBelow) {
+    if (isAir(x, y + 1)) {
       // Bottom edge shadow
-      this.graphics.fillStyle(0x000000, 0.3);
-      this.graphics.fillRect(px, py + this.tileSize - 2, this.tileSize, 2);
+      g.fillStyle(0x000000, 0.3);
+      g.fillRect(px, py + this.tileSize - 2, this.tileSize, 2);
     }
     
-    if (tileRight) {
+    if (isAir(x + 1, y)) {
       // Right edge shadow
-      this.graphics.fillStyle(0x000000, 0.2);
-      this.graphics.fillRect(px + this.tileSize - 2, py, 2, this.tileSize);
+      g.fillStyle(0x000000, 0.2);
+      g.fillRect(px + this.tileSize - 2, py, 2, this.tileSize);
     }
   }
 
-  renderSandTexture(px, py) {
+  renderSandTexture(g, px, py, random) {
     // Draw small dots for sand texture
-    this.graphics.fillStyle(0xc0a080, 0.1);
+    g.fillStyle(0xc0a080, 0.1);
     for (let i = 0; i < 4; i++) {
-      const dotX = px + 2 + Math.random() * (this.tileSize - 4);
-      const dotY = py + 2 + Math.random() * (this.tileSize - 4);
-      const dotSize = 1 + Math.random();
-      this.graphics.fillCircle(dotX, dotY, dotSize);
+      const dotX = px + 2 + random() * (this.tileSize - 4);
+      const dotY = py + 2 + random() * (this.tileSize - 4);
+      const dotSize = 1 + random();
+      g.fillCircle(dotX, dotY, dotSize);
     }
   }
 
-  renderDirtTexture(px, py) {
+  renderDirtTexture(g, px, py, random) {
     // Draw tiny marks for dirt texture
-    this.graphics.fillStyle(0x593d29, 0.2);
+    g.fillStyle(0x593d29, 0.2);
     for (let i = 0; i < 3; i++) {
-      const lineX = px + 3 + Math.random() * (this.tileSize - 6);
-      const lineY = py + 3 + Math.random() * (this.tileSize - 6);
-      const lineLength = 2 + Math.random() * 3;
-      this.graphics.fillRect(lineX, lineY, lineLength, 1);
+      const lineX = px + 3 + random() * (this.tileSize - 6);
+      const lineY = py + 3 + random() * (this.tileSize - 6);
+      const lineLength = 2 + random() * 3;
+      g.fillRect(lineX, lineY, lineLength, 1);
     }
   }
 
-  renderRockTexture(px, py, isHardRock) {
+  renderRockTexture(g, px, py, random, isHardRock) {
     // Draw lines for rock cracks
     const opacity = isHardRock ? 0.3 : 0.2;
-    this.graphics.lineStyle(1, 0x000000, opacity);
+    g.lineStyle(1, 0x000000, opacity);
     
     const lines = isHardRock ? 2 : 1;
     for (let i = 0; i < lines; i++) {
-      const startX = px + 3 + Math.random() * (this.tileSize - 6);
-      const startY = py + 3 + Math.random() * (this.tileSize - 6);
-      const endX = startX + (-3 + Math.random() * 6);
-      const endY = startY + (-3 + Math.random() * 6);
+      const startX = px + 3 + random() * (this.tileSize - 6);
+      const startY = py + 3 + random() * (this.tileSize - 6);
+      const endX = startX + (-3 + random() * 6);
+      const endY = startY + (-3 + random() * 6);
       
-      this.graphics.beginPath();
-      this.graphics.moveTo(startX, startY);
-      this.graphics.lineTo(endX, endY);
-      this.graphics.strokePath();
+      g.beginPath();
+      g.moveTo(startX, startY);
+      g.lineTo(endX, endY);
+      g.strokePath();
     }
   }
 
-  renderMetalTexture(px, py) {
+  renderMetalTexture(g, px, py, random) {
     // Draw metallic flecks
     for (let i = 0; i < 3; i++) {
-      const fleckX = px + 3 + Math.random() * (this.tileSize - 6);
-      const fleckY = py + 3 + Math.random() * (this.tileSize - 6);
-      const size = 1 + Math.random() * 2;
+      const fleckX = px + 3 + random() * (this.tileSize - 6);
+      const fleckY = py + 3 + random() * (this.tileSize - 6);
+      const size = 1 + random() * 2;
       
       // Shiny metal flecks
-      this.graphics.fillStyle(0xc0c0d0, 0.5);
-      this.graphics.fillRect(fleckX, fleckY, size, size);
+      g.fillStyle(0xc0c0d0, 0.5);
+      g.fillRect(fleckX, fleckY, size, size);
     }
   }
 
-  renderBedrockTexture(px, py) {
+  renderBedrockTexture(g, px, py, random) {
     // Draw darker spots for bedrock texture
-    this.graphics.fillStyle(0x000000, 0.3);
+    g.fillStyle(0x000000, 0.3);
     for (let i = 0; i < 4; i++) {
-      const spotX = px + Math.random() * this.tileSize;
-      const spotY = py + Math.random() * this.tileSize;
-      const spotSize = 1 + Math.random() * 3;
-      this.graphics.fillCircle(spotX, spotY, spotSize);
+      const spotX = px + random() * this.tileSize;
+      const spotY = py + random() * this.tileSize;
+      const spotSize = 1 + random() * 3;
+      g.fillCircle(spotX, spotY, spotSize);
     }
   }
 
-  renderClayTexture(px, py) {
+  renderClayTexture(g, px, py, random) {
     // Draw smooth clay texture with subtle cracks
-    this.graphics.fillStyle(0x8B4513, 0.1);
+    g.lineStyle(1, 0x8B4513, 0.3);
     for (let i = 0; i < 2; i++) {
-      const startX = px + 3 + Math.random() * (this.tileSize - 6);
-      const startY = py + 3 + Math.random() * (this.tileSize - 6);
-      const endX = startX + (-2 + Math.random() * 4);
-      const endY = startY + (-2 + Math.random() * 4);
+      const startX = px + 3 + random() * (this.tileSize - 6);
+      const startY = py + 3 + random() * (this.tileSize - 6);
+      const endX = startX + (-2 + random() * 4);
+      const endY = startY + (-2 + random() * 4);
       
-      this.graphics.beginPath();
-      this.graphics.moveTo(startX, startY);
-      this.graphics.lineTo(endX, endY);
-      this.graphics.strokePath();
+      g.beginPath();
+      g.moveTo(startX, startY);
+      g.lineTo(endX, endY);
+      g.strokePath();
     }
   }
   
-  renderGravelTexture(px, py) {
+  renderGravelTexture(g, px, py, random) {
     // Draw small stones for gravel
-    this.graphics.fillStyle(0x666666, 0.3);
+    g.fillStyle(0x666666, 0.3);
     for (let i = 0; i < 5; i++) {
-      const stoneX = px + 2 + Math.random() * (this.tileSize - 4);
-      const stoneY = py + 2 + Math.random() * (this.tileSize - 4);
-      const stoneSize = 1 + Math.random() * 2;
-      this.graphics.fillCircle(stoneX, stoneY, stoneSize);
+      const stoneX = px + 2 + random() * (this.tileSize - 4);
+      const stoneY = py + 2 + random() * (this.tileSize - 4);
+      const stoneSize = 1 + random() * 2;
+      g.fillCircle(stoneX, stoneY, stoneSize);
     }
   }
   
-  renderCrystalTexture(px, py) {
+  renderCrystalTexture(g, px, py, random) {
     // Draw crystal facets
     const centerX = px + this.tileSize / 2;
     const centerY = py + this.tileSize / 2;
     
     // Draw crystal highlights
-    this.graphics.fillStyle(0xFFFFFF, 0.4);
+    g.fillStyle(0xFFFFFF, 0.4);
     
     // Draw a few random highlights
     for (let i = 0; i < 2; i++) {
-      const highlightX = centerX + (-3 + Math.random() * 6);
-      const highlightY = centerY + (-3 + Math.random() * 6);
-      const size = 1 + Math.random();
-      this.graphics.fillCircle(highlightX, highlightY, size);
+      const highlightX = centerX + (-3 + random() * 6);
+      const highlightY = centerY + (-3 + random() * 6);
+      const size = 1 + random();
+      g.fillCircle(highlightX, highlightY, size);
     }
     
     // Draw crystal edges
-    this.graphics.lineStyle(1, 0xFFFFFF, 0.3);
+    g.lineStyle(1, 0xFFFFFF, 0.3);
     const points = [];
     for (let i = 0; i < 3; i++) {
       points.push({
-        x: centerX + (-5 + Math.random() * 10),
-        y: centerY + (-5 + Math.random() * 10)
+        x: centerX + (-5 + random() * 10),
+        y: centerY + (-5 + random() * 10)
       });
     }
     
-    this.graphics.beginPath();
-    this.graphics.moveTo(points[0].x, points[0].y);
+    g.beginPath();
+    g.moveTo(points[0].x, points[0].y);
     for (let i = 1; i < points.length; i++) {
-      this.graphics.lineTo(points[i].x, points[i].y);
+      g.lineTo(points[i].x, points[i].y);
     }
-    this.graphics.lineTo(points[0].x, points[0].y);
-    this.graphics.strokePath();
+    g.lineTo(points[0].x, points[0].y);
+    g.strokePath();
   }
 
-  destroyAt(x, y, miningPower = 1) {
-    const col = Math.floor(x / this.tileSize);
+  // Damage the tile at (x, y). Returns the destroyed tile's material (so
+  // callers can read its name and drops) or false if nothing was broken.
+  // `cause` is passed on to 'tile:destroyed' listeners ('mining' or 'explosion').
+  destroyAt(x, y, miningPower = 1, cause = 'mining') {
+    const col = this.wrapCol(Math.floor(x / this.tileSize));
     const row = Math.floor(y / this.tileSize);
     
-    if (!this.tiles[row] || !this.tiles[row][col]) return false;
+    if (!this.isInBounds(col, row)) return false;
     
-    const tile = this.tiles[row][col];
+    const index = row * this.cols + col;
+    const tile = this.palette[this.tileIds[index]];
     if (tile.name === "air") return false;
     
     // Skip if tile is not mineable
     if (!tile.mineable) return false;
     
-    // Apply damage to hardness based on mining power
-    tile.hardness -= miningPower;
+    // Damage is tracked apart from the material's hardness
+    this.tileDamage[index] += miningPower;
+    this.touchedChunks[Math.floor(row / this.chunkSize) * this.chunksX + Math.floor(col / this.chunkSize)] = 1;
     
-    // If hardness drops to 0 or below, destroy the tile
-    if (tile.hardness <= 0) {
+    // Destroy the tile once its whole hardness has been mined off
+    if (this.tileDamage[index] >= tile.hardness) {
       // Create destruction particles
       this.createDestructionEffect(col, row, tile);
       
       // Replace with air
-      this.tiles[row][col] = { ...this.MATERIALS.AIR };
-      this.markChunkDirtyByTile(col, row);
-      
-      // Simulate physics for blocks above
-      this.simulateFalling(col, row - 1);
+      this.setTile(col, row, this.AIR_ID);
+      this.scene.bus?.emit('tile:destroyed', { col, row, tile, cause });
       
-      return true;
+      return tile;
     }
     
-    // Block was damaged but not destroyed
+    // Block was damaged but not destroyed – redraw its cracks
+    if (tile.regenRate) this.regenerating.set(index, 0);
+    this.markChunkDirtyByTile(col, row);
     this.render();
     return false;
   }
@@ -1043,14 +1006,15 @@ export class TerrainManager {
     // Damage blocks based on distance from center
     for (let row = centerRow - gridRadius; row <= centerRow + gridRadius; row++) {
       for (let col = centerCol - gridRadius; col <= centerCol + gridRadius; col++) {
-        if (!this.tiles[row] || !this.tiles[row][col]) continue;
+        const tileCol = this.wrapCol(col);
+        if (!this.isInBounds(tileCol, row)) continue;
         
         const dx = col - centerCol;
         const dy = row - centerRow;
         const distance = Math.sqrt(dx * dx + dy * dy);
         
         if (distance <= gridRadius) {
-          const tile = this.tiles[row][col];
+          const tile = this.palette[this.tileIds[row * this.cols + tileCol]];
           if (!tile.solid) continue;
           
           // Calculate destruction probability based on:
@@ -1060,7 +1024,7 @@ export class TerrainManager {
           const distanceFactor = 1 - (distance / gridRadius);
           const destroyChance = distanceFactor * strength * (1 - tile.damageResistance);
           
-          if (Math.random() < destroyChance) {
+          if (this.random.chance(destroyChance)) {
             // Create particles
             const particleCount = Math.floor(Math.random() * 3) + 2;
             const px = col * this.tileSize + this.tileSize / 2;
@@ -1071,70 +1035,418 @@ export class TerrainManager {
             }
             
             // Replace with air
-            this.tiles[row][col] = { ...this.MATERIALS.AIR };
-            this.markChunkDirtyByTile(col, row);
+            this.setTile(tileCol, row, this.AIR_ID);
+            this.scene.bus?.emit('tile:destroyed', { col: tileCol, row, tile, cause: 'explosion' });
           }
         }
       }
     }
     
-    // Simulate falling blocks
-    for (let col = centerCol - gridRadius; col <= centerCol + gridRadius; col++) {
-      for (let row = centerRow + gridRadius; row >= centerRow - gridRadius; row--) {
-        if (this.tiles[row]?.[col]) {
-          this.simulateFalling(col, row);
+    this.render();
+  }
+
+  // --- Falling sand ---
+
+  // Advance loose (shiftable) material by one cell per tick. Only the parts
+  // of chunks woken by a tile change since the last tick are scanned (so
+  // untouched generated slopes stay as they are); moving a tile wakes the
+  // tiles around it, so a region stays awake while anything in it moves and
+  // goes back to sleep once it has settled.
+  updateFalling() {
+    if (this.activeChunks.size === 0) return;
+    this.fallTick++;
+    const chunks = [...this.activeChunks];
+    this.activeChunks.clear();
+    for (const [chunkIndex, rect] of chunks) {
+      this.stepFallingChunk(chunkIndex, rect);
+    }
+  }
+
+  stepFallingChunk(chunkIndex, { x0, y0, x1, y1 }) {
+    if (!this.readyChunks[chunkIndex]) return;
+    const width = x1 - x0 + 1;
+    // Alternate the sweep direction so piles don't lean one way
+    const leftToRight = (this.fallTick & 1) === 0;
+
+    // Bottom row first, so a column of sand falls together
+    for (let row = y1; row >= y0; row--) {
+      for (let i = 0; i < width; i++) {
+        const col = leftToRight ? x0 + i : x1 - i;
+        const index = row * this.cols + col;
+        const id = this.tileIds[index];
+        // Tiles that already moved this tick (into this chunk) wait for the next
+        if (this.fallStamps[index] === this.fallTick) continue;
+
+        const tile = this.palette[id];
+        if (tile.shiftable) {
+          const target = this.findFallTarget(col, row, tile.repose ?? 1);
+          if (target) this.moveFallingTile(col, row, target.col, target.row);
+        } else if (this.liquidIds[id]) {
+          this.flowLiquid(col, row, id);
         }
       }
     }
-    
-    this.render();
   }
 
-  simulateFalling(col, row) {
-    for (let y = row; y >= 0; y--) {
-      const tile = this.tiles[y]?.[col];
-      if (!tile || !tile.shiftable) continue;
+  // Where a loose tile at (col, row) moves this tick: straight down into air,
+  // else diagonally down once the open drop beside it is at least `repose`
+  // tiles (1 piles up at 45°, higher values hold steeper slopes). Returns
+  // { col, row } or null if the tile rests.
+  findFallTarget(col, row, repose) {
+    if (this.isOpenForFalling(col, row + 1)) return { col, row: row + 1 };
+
+    const first = ((col + row + this.fallTick) & 1) === 0 ? -1 : 1;
+    for (let k = 0; k < 2; k++) {
+      const sideCol = this.wrapCol(k === 0 ? col + first : col - first);
+      // The side cell has to be open too – tiles don't squeeze through corners
+      let drop = 0;
+      while (drop <= repose && this.isOpenForFalling(sideCol, row + drop)) drop++;
+      if (drop > repose) return { col: sideCol, row: row + 1 };
+    }
+    return null;
+  }
+
+  // Air or liquid in a chunk that has been generated (unloaded chunks count as solid)
+  isOpenForFalling(col, row) {
+    if (!this.isLoaded(col, row)) return false;
+    const id = this.tileIds[row * this.cols + col];
+    return id === this.AIR_ID || this.liquidIds[id] === 1;
+  }
+
+  // In the world and in a chunk that has been generated
+  isLoaded(col, row) {
+    if (!this.isInBounds(col, row)) return false;
+    return this.readyChunks[Math.floor(row / this.chunkSize) * this.chunksX + Math.floor(col / this.chunkSize)] === 1;
+  }
+
+  // Move a loose tile; a liquid in the way swaps places with it (sand sinks)
+  moveFallingTile(fromCol, fromRow, toCol, toRow) {
+    const from = fromRow * this.cols + fromCol;
+    const to = toRow * this.cols + toCol;
+    const id = this.tileIds[from];
+    const displacedId = this.tileIds[to];
+    const displacedLevel = this.liquidLevels[to];
+    // The tile keeps its mining damage as it falls
+    this.setTile(toCol, toRow, id, this.tileDamage[from]);
+    this.setTile(fromCol, fromRow, displacedId);
+    this.liquidLevels[from] = displacedLevel;
+    this.fallStamps[to] = this.fallTick;
+    this.scene.bus?.emit('tile:fell', { col: toCol, row: toRow, tile: this.palette[id] });
+  }
+
+  // --- Liquids ---
+
+  // One flow step for the liquid at (col, row): harden next to its
+  // hardensNextTo material, else pour down (into air, a part-filled tile of the
+  // same liquid, or a lighter liquid it sinks through), else spread one level
+  // to each side that is open or lower by at least two. Viscous liquids only
+  // flow every `viscosity` ticks. Levels move between tiles, never vanish.
+  flowLiquid(col, row, id) {
+    const index = row * this.cols + col;
+    const material = this.palette[id];
+
+    const hardening = this.hardening[id];
+    if (hardening && this.isNextTo(col, row, hardening.nextTo)) {
+      this.setTile(col, row, hardening.into);
+      return;
+    }
+
+    if (this.fallTick % (material.viscosity ?? 1) !== 0) {
+      // Come back on a flow tick; a settled pool goes to sleep after that
+      this.wakeTile(col, row, 0);
+      return;
+    }
+
+    let level = this.liquidLevels[index];
+
+    if (this.isLoaded(col, row + 1)) {
+      const below = index + this.cols;
+      const belowId = this.tileIds[below];
+      if (belowId === this.AIR_ID) {
+        this.setLiquid(col, row + 1, id, level);
+        this.setTile(col, row, this.AIR_ID);
+        this.fallStamps[below] = this.fallTick;
+        return;
+      }
+      if (belowId === id && this.liquidLevels[below] < this.LIQUID_LEVELS) {
+        const poured = Math.min(level, this.LIQUID_LEVELS - this.liquidLevels[below]);
+        this.setLiquid(col, row + 1, id, this.liquidLevels[below] + poured);
+        this.setLiquid(col, row, id, level - poured);
+        this.fallStamps[below] = this.fallTick;
+        return;
+      }
+      if (this.liquidIds[belowId] && (this.palette[belowId].density ?? 1) < (material.density ?? 1)) {
+        const belowLevel = this.liquidLevels[below];
+        this.setLiquid(col, row + 1, id, level);
+        this.setLiquid(col, row, belowId, belowLevel);
+        this.fallStamps[below] = this.fallTick;
+        return;
+      }
+    }
+
+    const first = ((col + row + this.fallTick) & 1) === 0 ? -1 : 1;
+    for (let k = 0; k < 2 && level > 0; k++) {
+      const targetCol = this.findSpreadTarget(col, row, id, level, k === 0 ? first : -first);
+      if (targetCol === -1) continue;
+      const target = row * this.cols + targetCol;
+      this.setLiquid(targetCol, row, id, (this.tileIds[target] === id ? this.liquidLevels[target] : 0) + 1);
+      this.fallStamps[target] = this.fallTick;
+      level--;
+    }
+    if (level !== this.liquidLevels[index]) this.setLiquid(col, row, id, level);
+  }
+
+  // Column one level of the liquid at (col, row) spreads to in direction
+  // `dir`, or -1. The level passes through connected tiles of the same liquid
+  // (up to LIQUID_SPREAD tiles), so a surface evens out instead of resting as
+  // a staircase, and goes to the first tile at least two levels lower or to
+  // open air next to the liquid.
+  findSpreadTarget(col, row, id, level, dir) {
+    for (let step = 1; step <= this.LIQUID_SPREAD; step++) {
+      const sideCol = this.wrapCol(col + dir * step);
+      if (!this.isLoaded(sideCol, row)) return -1;
+      const side = row * this.cols + sideCol;
+      const sideId = this.tileIds[side];
+      if (sideId === this.AIR_ID) {
+        // A last level only moves on to drip off an edge
+        const drips = this.isLoaded(sideCol, row + 1) && this.tileIds[side + this.cols] === this.AIR_ID;
+        return level > 1 || drips ? sideCol : -1;
+      }
+      if (sideId !== id) return -1;
+      if (this.liquidLevels[side] + 1 < level) return sideCol;
+    }
+    return -1;
+  }
+
+  // Place `level` levels of liquid `id` at (col, row); 0 leaves air
+  setLiquid(col, row, id, level) {
+    if (level <= 0) {
+      this.setTile(col, row, this.AIR_ID);
+      return;
+    }
+    this.setTile(col, row, id);
+    this.liquidLevels[row * this.cols + col] = level;
+  }
+
+  // Whether any of the four neighbours of (col, row) is material `id`
+  isNextTo(col, row, id) {
+    const left = this.wrapCol(col - 1);
+    const right = this.wrapCol(col + 1);
+    return (left >= 0 && this.tileIds[row * this.cols + left] === id) ||
+           (right < this.cols && this.tileIds[row * this.cols + right] === id) ||
+           (row > 0 && this.tileIds[(row - 1) * this.cols + col] === id) ||
+           (row < this.rows - 1 && this.tileIds[(row + 1) * this.cols + col] === id);
+  }
+
+  // Scan the tiles within `radius` of (col, row) next tick, growing the
+  // wake rect of every chunk they fall in
+  wakeTile(col, row, radius = this.wakeRadius) {
+    const r = radius;
+    const top = Math.max(0, row - r);
+    const bottom = Math.min(this.rows - 1, row + r);
+
+    for (const [left, right] of this.columnSpans(col - r, col + r)) {
+      this.wakeRect(left, right, top, bottom);
+    }
+  }
+
+  // wakeTile() for a rect of tiles inside the world
+  wakeRect(left, right, top, bottom) {
+    for (let chunkY = Math.floor(top / this.chunkSize); chunkY <= Math.floor(bottom / this.chunkSize); chunkY++) {
+      for (let chunkX = Math.floor(left / this.chunkSize); chunkX <= Math.floor(right / this.chunkSize); chunkX++) {
+        const x0 = Math.max(left, chunkX * this.chunkSize);
+        const x1 = Math.min(right, (chunkX + 1) * this.chunkSize - 1);
+        const y0 = Math.max(top, chunkY * this.chunkSize);
+        const y1 = Math.min(bottom, (chunkY + 1) * this.chunkSize - 1);
+        const chunkIndex = chunkY * this.chunksX + chunkX;
+        const rect = this.activeChunks.get(chunkIndex);
+        if (rect) {
+          rect.x0 = Math.min(rect.x0, x0);
+          rect.x1 = Math.max(rect.x1, x1);
+          rect.y0 = Math.min(rect.y0, y0);
+          rect.y1 = Math.max(rect.y1, y1);
+        } else {
+          this.activeChunks.set(chunkIndex, { x0, y0, x1, y1 });
+        }
+      }
+    }
+  }
+
+  // --- Structural support ---
+  //
+  // Tiles of a material with a `span` (rock, hard rock) are structural. A
+  // structural tile is supported when it rests on or hangs from a
+  // non-structural solid (bedrock, ore, ...; loose material only holds up what
+  // rests on it) or rests on a supported structural tile. Reaching sideways
+  // or hanging from another structural tile costs one step of support, and a
+  // tile carries at most its own span: a rock overhang or cave ceiling more
+  // than `span` tiles past its nearest support collapses into loose
+  // material (collapsesInto), which then falls like sand.
+  //
+  // Only the surroundings of removed solid tiles are checked, so the
+  // generated world stands until something is dug or blown out of it.
+
+  // Queue a check if the removed tile at (col, row) touched a structural tile
+  queueSupportCheck(col, row) {
+    const left = this.wrapCol(col - 1);
+    const right = this.wrapCol(col + 1);
+    if ((left >= 0 && this.spans[this.tileIds[row * this.cols + left]]) ||
+        (right < this.cols && this.spans[this.tileIds[row * this.cols + right]]) ||
+        (row > 0 && this.spans[this.tileIds[(row - 1) * this.cols + col]]) ||
+        (row < this.rows - 1 && this.spans[this.tileIds[(row + 1) * this.cols + col]])) {
+      this.supportChecks.add(row * this.cols + col);
+    }
+  }
+
+  updateSupport() {
+    if (this.supportChecks.size === 0) return;
+    const checks = [...this.supportChecks];
+    this.supportChecks.clear();
+
+    // Removals close together (an explosion, a shaft) share one check
+    const centres = [];
+    for (const index of checks) {
+      const col = index % this.cols;
+      const row = (index - col) / this.cols;
+      if (centres.some(c => Math.abs(c.col - col) <= 2 && Math.abs(c.row - row) <= 2)) continue;
+      centres.push({ col, row });
+      this.checkSupport(col, row);
+    }
+  }
+
+  // Work out the support of every structural tile within maxSpan + 2 tiles
+  // of (col, row) and collapse those left with none. Structural tiles on the
+  // edge of that window are assumed to be supported from outside it. In a
+  // wrapping world the window may run across the seam, so x is unwrapped
+  // here and wrapped for every tile access.
+  checkSupport(col, row) {
+    const reach = this.maxSpan + 2;
+    const x0 = this.wrapX ? col - reach : Math.max(0, col - reach);
+    const x1 = this.wrapX ? col + reach : Math.min(this.cols - 1, col + reach);
+    const y0 = Math.max(0, row - reach);
+    const y1 = Math.min(this.rows - 1, row + reach);
+    const width = x1 - x0 + 1;
+    const support = new Int8Array(width * (y1 - y0 + 1)).fill(-1); // -1: unsupported
+    const stack = [];
+
+    // Seed: window edges and tiles touching a non-structural solid
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const span = this.spans[this.tileIds[y * this.cols + this.wrapCol(x)]];
+        if (!span) continue;
+        const onEdge = (x === x0 && (this.wrapX || x0 > 0)) || (x === x1 && (this.wrapX || x1 < this.cols - 1)) ||
+                       (y === y0 && y0 > 0) || (y === y1 && y1 < this.rows - 1);
+        if (onEdge || this.touchesAnchor(this.wrapCol(x), y)) {
+          support[(y - y0) * width + (x - x0)] = span;
+          stack.push(x, y);
+        }
+      }
+    }
+
+    // Spread support: resting on a tile keeps its support, anything else costs a step
+    while (stack.length > 0) {
+      const y = stack.pop();
+      const x = stack.pop();
+      const value = support[(y - y0) * width + (x - x0)];
+      for (let k = 0; k < 4; k++) {
+        const nx = x + (k === 0 ? -1 : k === 1 ? 1 : 0);
+        const ny = y + (k === 2 ? -1 : k === 3 ? 1 : 0);
+        if (nx < x0 || nx > x1 || ny < y0 || ny > y1) continue;
+        const span = this.spans[this.tileIds[ny * this.cols + this.wrapCol(nx)]];
+        if (!span) continue;
+        const reached = Math.min(span, k === 2 ? value : value - 1);
+        const local = (ny - y0) * width + (nx - x0);
+        if (reached > support[local]) {
+          support[local] = reached;
+          stack.push(nx, ny);
+        }
+      }
+    }
 
-      let fallTo = y;
-      while (fallTo + 1 < this.rows && this.tiles[fallTo + 1][col].name === "air") {
-        fallTo++;
+    let collapsed = 0;
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const id = this.tileIds[y * this.cols + this.wrapCol(x)];
+        if (!this.spans[id] || support[(y - y0) * width + (x - x0)] >= 0) continue;
+        this.setTile(this.wrapCol(x), y, this.collapseIds[id]);
+        collapsed++;
       }
+    }
+    if (collapsed > 0) {
+      this.scene.bus?.emit('terrain:collapsed', { col, row, tiles: collapsed });
+    }
+  }
+
+  // Whether the structural tile at (col, row) rests on a non-structural solid
+  // (or unloaded terrain) or touches a fixed one (not loose material) beside or above it
+  touchesAnchor(col, row) {
+    for (let k = 0; k < 4; k++) {
+      const nx = this.wrapCol(col + (k === 0 ? -1 : k === 1 ? 1 : 0));
+      const ny = row + (k === 2 ? -1 : k === 3 ? 1 : 0);
+      if (!this.isInBounds(nx, ny)) continue;
+      if (!this.isLoaded(nx, ny)) return true;
+      const neighbour = this.palette[this.tileIds[ny * this.cols + nx]];
+      if (!neighbour.solid || this.spans[this.tileIds[ny * this.cols + nx]]) continue;
+      if (k === 3 || !neighbour.shiftable) return true;
+    }
+    return false;
+  }
 
-      if (fallTo !== y) {
-        this.tiles[fallTo][col] = tile;
-        this.tiles[y][col] = { ...this.MATERIALS.AIR };
-        this.markChunkDirtyByTile(col, y);
-        this.markChunkDirtyByTile(col, fallTo);
+  // --- Regeneration ---
+
+  // Once a second: damaged tiles of materials with a regenRate that have
+  // been left alone for REGEN_DELAY seconds heal regenRate hardness
+  updateRegeneration() {
+    if (++this.regenTimer % 60 !== 0 || this.regenerating.size === 0) return;
+    for (const [index, idle] of this.regenerating) {
+      const material = this.palette[this.tileIds[index]];
+      if (!material.regenRate || this.tileDamage[index] === 0) {
+        this.regenerating.delete(index);
+        continue;
+      }
+      if (idle < this.REGEN_DELAY) {
+        this.regenerating.set(index, idle + 1);
+        continue;
       }
+      this.tileDamage[index] = Math.max(0, this.tileDamage[index] - material.regenRate);
+      if (this.tileDamage[index] === 0) this.regenerating.delete(index);
+      const col = index % this.cols;
+      this.markChunkDirtyByTile(col, (index - col) / this.cols);
     }
   }
 
+  // Per-frame terrain simulation (called from updateSimulation())
+  update() {
+    this.updateFalling();
+    this.updateSupport();
+    this.updateRegeneration();
+  }
+
   // --- Compatibility methods ---
 
   isSolid(x, y) {
-    const col = Math.floor(x / this.tileSize);
+    const col = this.wrapCol(Math.floor(x / this.tileSize));
     const row = Math.floor(y / this.tileSize);
-    return this.tiles[row]?.[col]?.solid;
+    if (!this.isInBounds(col, row)) return undefined;
+    return this.palette[this.tileIds[row * this.cols + col]].solid;
   }
 
   canPlaceDrillAt(x, y) {
-    const col = Math.floor(x / this.tileSize);
+    const col = this.wrapCol(Math.floor(x / this.tileSize));
     const row = Math.floor(y / this.tileSize);
 
-    if (!this.tiles[row] || !this.tiles[row][col]) return false;
-    const tile = this.tiles[row][col];
-    const below = this.tiles[row + 1]?.[col];
+    if (!this.isInBounds(col, row)) return false;
+    const below = row + 1 < this.rows ? this.palette[this.tileIds[(row + 1) * this.cols + col]] : null;
 
-    return tile.name === "air" && below?.solid;
+    return this.tileIds[row * this.cols + col] === this.AIR_ID && below?.solid;
   }
 
   getSurfaceY(x) {
-    const col = Math.floor(x / this.tileSize);
+    const col = this.wrapCol(Math.floor(x / this.tileSize));
     if (col < 0 || col >= this.cols) return null;
 
     for (let row = 0; row < this.rows; row++) {
-      const tile = this.tiles[row][col];
-      if (tile && tile.solid) {
+      if (this.palette[this.tileIds[row * this.cols + col]].solid) {
         return row * this.tileSize; // pixel position of the solid tile's top
       }
     }
@@ -1150,26 +1462,176 @@ export class TerrainManager {
     return this.isSolid(x, y);
   }
   
-  // Get the biome at a specific world coordinate
-  getBiomeAt(x) {
-    if (!this.biomeMap) return null;
-    const col = Math.floor(x / this.tileSize);
-    if (col < 0 || col >= this.biomeMap.length) return null;
-    return this.biomeMap[col];
+  // Get the biome at a specific world coordinate (by default the surface
+  // biome of the column – biomes change with depth too)
+  getBiomeAt(x, y = this.seaLevelRow * this.tileSize) {
+    const col = this.wrapCol(Math.floor(x / this.tileSize));
+    const row = Math.floor(y / this.tileSize);
+    if (col < 0 || col >= this.cols || row < 0 || row >= this.rows) return null;
+    return this.generator.biomeAt(col, row).biome;
   }
 
   // Get the material properties of a specific tile
   getTileAt(x, y) {
-    const col = Math.floor(x / this.tileSize);
-    const row = Math.floor(y / this.tileSize);
-    if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) return null;
-    return this.tiles[row][col];
+    return this.getTile(Math.floor(x / this.tileSize), Math.floor(y / this.tileSize));
+  }
+
+  // --- Fog of war ---
+  //
+  // Everything below the top FOG_SURFACE_DEPTH tiles of a column's generated
+  // ground starts hidden (structures stamped above the ground stay in view).
+  // ExplorationManager reveals the ground around mined
+  // and blasted tiles and new structures; scanners (ScannerManager) sweep a
+  // wider circle. Hidden tiles are baked as plain fog, and the tooltip, Focus
+  // Mode and the minimap report them as unknown.
+
+  isRevealed(col, row) {
+    col = this.wrapCol(col);
+    if (!this.isInBounds(col, row)) return false;
+    return row < this.surfaceRows[col] + this.FOG_SURFACE_DEPTH || this.revealed[row * this.cols + col] === 1;
+  }
+
+  isRevealedAt(x, y) {
+    return this.isRevealed(Math.floor(x / this.tileSize), Math.floor(y / this.tileSize));
+  }
+
+  // Reveal every tile within `radius` tiles of (col, row) and queue the
+  // newly revealed ones for re-baking. Returns how many were revealed.
+  revealCircle(col, row, radius) {
+    let count = 0;
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy > radius * radius) continue;
+        const tileCol = this.wrapCol(col + dx);
+        const tileRow = row + dy;
+        if (!this.isInBounds(tileCol, tileRow) || this.isRevealed(tileCol, tileRow)) continue;
+        this.revealed[tileRow * this.cols + tileCol] = 1;
+        // Neighbours too: their edge shading may now face open air
+        this.markChunkDirtyByTile(tileCol, tileRow);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // --- Horizontal wrapping ---
+  //
+  // A wrapX world has no left or right edge: column cols - 1 borders column
+  // 0 and x = width is x = 0 again. Tile lookups wrap their column, moving
+  // objects keep their x inside [0, width) (wrapWorldX()) and distances and
+  // directions between two points go the short way round. In a regular
+  // world these are the plain flat versions.
+
+  wrapCol(col) {
+    if (!this.wrapX) return col;
+    return ((col % this.cols) + this.cols) % this.cols;
+  }
+
+  wrapChunkX(chunkX) {
+    if (!this.wrapX) return chunkX;
+    return ((chunkX % this.chunksX) + this.chunksX) % this.chunksX;
+  }
+
+  wrapWorldX(x) {
+    if (!this.wrapX) return x;
+    return ((x % this.width) + this.width) % this.width;
+  }
+
+  // Horizontal offset from fromX to toX (toX - fromX, the short way round)
+  offsetX(fromX, toX) {
+    const dx = toX - fromX;
+    if (!this.wrapX) return dx;
+    return dx - Math.round(dx / this.width) * this.width;
+  }
+
+  // x moved by whole world widths to be as close as possible to nearX, for
+  // drawing or steering towards x from nearX
+  nearestX(x, nearX) {
+    if (!this.wrapX) return x;
+    return nearX + this.offsetX(nearX, x);
+  }
+
+  distanceBetween(x1, y1, x2, y2) {
+    const dx = this.offsetX(x1, x2);
+    const dy = y2 - y1;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  angleBetween(x1, y1, x2, y2) {
+    return Math.atan2(y2 - y1, this.offsetX(x1, x2));
+  }
+
+  // Whether x lies more than `margin` past the left or right world edge
+  // (never in a wrapping world)
+  isPastSide(x, margin = 0) {
+    return !this.wrapX && (x < -margin || x > this.width + margin);
+  }
+
+  // Keep a moving game object's x inside the world
+  wrapObject(object) {
+    if (this.wrapX && (object.x < 0 || object.x >= this.width)) {
+      object.x = this.wrapWorldX(object.x);
+    }
+  }
+
+  // Tile columns left..right as in-world [start, end] spans: clamped to the
+  // world, or split in two where they cross the seam of a wrapping world
+  columnSpans(left, right) {
+    if (!this.wrapX) {
+      return left <= this.cols - 1 && right >= 0 ? [[Math.max(0, left), Math.min(this.cols - 1, right)]] : [];
+    }
+    if (right - left + 1 >= this.cols) return [[0, this.cols - 1]];
+    const start = this.wrapCol(left);
+    const end = this.wrapCol(right);
+    return start <= end ? [[start, end]] : [[start, this.cols - 1], [0, end]];
+  }
+
+  // --- Tile storage ---
+
+  isInBounds(col, row) {
+    return col >= 0 && col < this.cols && row >= 0 && row < this.rows;
+  }
+
+  // The tile at tile coordinates (col, row), or null outside the world. An
+  // untouched tile is the shared material object itself, a partly mined one a
+  // copy carrying the hardness mined off it as `damage` (`hardness` stays the
+  // material's) and a liquid a copy carrying its `level` (1..LIQUID_LEVELS) –
+  // either way, treat it as read-only.
+  getTile(col, row) {
+    col = this.wrapCol(col);
+    if (!this.isInBounds(col, row)) return null;
+    const index = row * this.cols + col;
+    const material = this.palette[this.tileIds[index]];
+    if (material.liquid) return { ...material, level: this.liquidLevels[index] };
+    const damage = this.tileDamage[index];
+    return damage === 0 ? material : { ...material, damage };
+  }
+
+  // Damage per second a structure standing in the tile at (x, y) takes (lava)
+  getContactDamageAt(x, y) {
+    return this.getTileAt(x, y)?.contactDamage ?? 0;
+  }
+
+  // Place a material (palette id) at (col, row) – a liquid fills the tile,
+  // see setLiquid() – queue its chunk for redrawing and let loose tiles
+  // around it fall
+  setTile(col, row, id, damage = 0) {
+    const index = row * this.cols + col;
+    const removedSolid = this.palette[this.tileIds[index]].solid && !this.palette[id].solid;
+    this.tileIds[index] = id;
+    this.tileDamage[index] = damage;
+    if (damage > 0 && this.palette[id].regenRate) this.regenerating.set(index, 0);
+    this.liquidLevels[index] = this.liquidIds[id] ? this.LIQUID_LEVELS : 0;
+    this.touchedChunks[Math.floor(row / this.chunkSize) * this.chunksX + Math.floor(col / this.chunkSize)] = 1;
+    this.markChunkDirtyByTile(col, row);
+    this.wakeTile(col, row);
+    if (removedSolid) this.queueSupportCheck(col, row);
   }
   
-  // Get the material hardness at a specific position
+  // Get the hardness left on the tile at a specific position
   getHardnessAt(x, y) {
     const tile = this.getTileAt(x, y);
-    return tile ? tile.hardness : 0;
+    return tile ? tile.hardness - (tile.damage ?? 0) : 0;
   }
   
   // Get the material damage resistance at a specific position
@@ -1189,37 +1651,194 @@ export class TerrainManager {
     return `${chunkX},${chunkY}`;
   }
 
+  // Queue the tile at (col, row) for re-baking, with its four neighbours
+  // whose edge shading depends on it
   markChunkDirtyByTile(col, row) {
-    const chunkX = Math.floor(col / this.chunkSize);
-    const chunkY = Math.floor(row / this.chunkSize);
-    if (chunkX < 0 || chunkY < 0) return;
-    this.dirtyChunks.add(this.getChunkKey(chunkX, chunkY));
+    this.markTileDirty(col, row);
+    this.markTileDirty(col - 1, row);
+    this.markTileDirty(col + 1, row);
+    this.markTileDirty(col, row - 1);
+    this.markTileDirty(col, row + 1);
+  }
+
+  markTileDirty(col, row) {
+    col = this.wrapCol(col);
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return;
+    const key = this.getChunkKey(Math.floor(col / this.chunkSize), Math.floor(row / this.chunkSize));
+    if (!this.dirtyTiles.has(key)) this.dirtyTiles.set(key, new Set());
+    this.dirtyTiles.get(key).add(row * this.cols + col);
   }
 
   refreshDirtyChunks() {
-    if (this.dirtyChunks.size === 0) return;
-    for (const key of this.dirtyChunks) {
-      const [chunkXStr, chunkYStr] = key.split(',');
-      const chunkX = parseInt(chunkXStr, 10);
-      const chunkY = parseInt(chunkYStr, 10);
-      this.redrawChunkGraphics(chunkX, chunkY);
+    if (this.dirtyTiles.size === 0) return;
+    for (const [key, tiles] of this.dirtyTiles) {
+      const [chunkX, chunkY] = key.split(',').map(Number);
+      // Chunks out of range are baked whole once they come into view
+      if (!this.chunkTextures.has(key)) continue;
+      this.bakeChunk(chunkX, chunkY, tiles);
     }
-    this.dirtyChunks.clear();
+    this.dirtyTiles.clear();
   }
 
-  redrawChunkGraphics(chunkX, chunkY) {
-    const key = this.getChunkKey(chunkX, chunkY);
-    const existing = this.chunkGraphics.get(key);
-    if (existing) {
-      existing.destroy();
-      this.chunkGraphics.delete(key);
+  // --- Save / load ---
+
+  // Snapshot the tile grid for a save file. Only chunks whose tiles changed
+  // since generation are stored, each run-length encoded row by row as
+  // [paletteIndex, count] pairs; the others are generated again from the seed
+  // on load. Tiles whose hardness differs from their material's base value
+  // (partially mined) are listed as [tileIndex, hardness] and liquid tiles
+  // that aren't full as [tileIndex, level]. The fog of war is stored as
+  // alternating hidden / revealed run lengths over the whole grid.
+  serialize() {
+    // Chunks still waiting in the queue or in the worker have no tiles yet –
+    // leave them out so they are generated again after loading.
+    const queued = new Set(this.generationQueue.map(c => this.getChunkKey(c.x, c.y)));
+    for (const key of this.chunksInFlight) queued.add(key);
+    const generatedChunks = [...this.generatedChunks].filter(key => !queued.has(key));
+
+    const chunks = {};
+    const damaged = [];
+    const liquids = [];
+    for (const key of generatedChunks) {
+      const [chunkX, chunkY] = key.split(',').map(Number);
+      if (!this.isChunkInWorld(chunkX, chunkY) || !this.touchedChunks[chunkY * this.chunksX + chunkX]) continue;
+
+      const runs = [];
+      let runIndex = -1;
+      let runLength = 0;
+      this.forEachChunkTile(chunkX, chunkY, index => {
+        const id = this.tileIds[index];
+        if (id === runIndex) {
+          runLength++;
+        } else {
+          if (runLength > 0) runs.push(runIndex, runLength);
+          runIndex = id;
+          runLength = 1;
+        }
+
+        if (this.tileDamage[index] !== 0) {
+          damaged.push(index, this.palette[id].hardness - this.tileDamage[index]);
+        }
+        if (this.liquidIds[id] && this.liquidLevels[index] !== this.LIQUID_LEVELS) {
+          liquids.push(index, this.liquidLevels[index]);
+        }
+      });
+      if (runLength > 0) runs.push(runIndex, runLength);
+      chunks[key] = runs;
+    }
+
+    const revealed = [];
+    let revealedValue = 0;
+    let revealedLength = 0;
+    for (const flag of this.revealed) {
+      if (flag === revealedValue) {
+        revealedLength++;
+      } else {
+        revealed.push(revealedLength);
+        revealedValue = flag;
+        revealedLength = 1;
+      }
     }
+    revealed.push(revealedLength);
+
+    return {
+      cols: this.cols,
+      rows: this.rows,
+      chunkSize: this.chunkSize,
+      palette: this.materialKeys,
+      chunks,
+      damaged,
+      liquids,
+      revealed,
+      generatedChunks
+    };
+  }
 
+  // Call fn(tileIndex) for every tile of a chunk, row by row
+  forEachChunkTile(chunkX, chunkY, fn) {
     const startX = chunkX * this.chunkSize;
     const startY = chunkY * this.chunkSize;
     const endX = Math.min(startX + this.chunkSize, this.cols);
     const endY = Math.min(startY + this.chunkSize, this.rows);
+    for (let row = startY; row < endY; row++) {
+      for (let index = row * this.cols + startX; index < row * this.cols + endX; index++) fn(index);
+    }
+  }
+
+  // Rebuild the tile grid from serialize() output: stored chunks are decoded,
+  // the other generated chunks are generated again from the seed
+  restore(state) {
+    if (state.cols !== this.cols || state.rows !== this.rows || state.chunkSize !== this.chunkSize) {
+      throw new Error(`Saved terrain is ${state.cols}x${state.rows} tiles in chunks of ${state.chunkSize} but the world is ${this.cols}x${this.rows} in chunks of ${this.chunkSize}`);
+    }
+
+    // Saved palette indices are mapped onto this world's palette. Unknown
+    // entries (e.g. from a plugin that is no longer enabled) only matter if a
+    // tile still uses them.
+    const ids = state.palette.map(key => this.MATERIALS[key] ? this.getMaterialId(this.MATERIALS[key]) : undefined);
+
+    // Chunks that were never generated are generated again on demand
+    this.generationQueue = [];
+    this.chunksInFlight.clear();
+    this.isGenerating = false;
+    this.generatedChunks = new Set(state.generatedChunks);
+    this.readyChunks.fill(0);
+    this.touchedChunks.fill(0);
+    this.activeChunks.clear();
+    this.initializeEmptyWorld();
+
+    for (const key of this.generatedChunks) {
+      const [chunkX, chunkY] = key.split(',').map(Number);
+      if (!this.isChunkInWorld(chunkX, chunkY)) continue;
+      const runs = state.chunks[key];
+      if (!runs) {
+        this.writeChunkTiles(this.generator.generateChunk(chunkX, chunkY));
+        continue;
+      }
+
+      let run = 0;
+      let left = 0;
+      let id;
+      this.forEachChunkTile(chunkX, chunkY, index => {
+        if (left === 0) {
+          id = ids[runs[run]];
+          if (id === undefined) throw new Error(`Saved terrain uses unknown material "${state.palette[runs[run]]}"`);
+          left = runs[run + 1];
+          run += 2;
+        }
+        this.tileIds[index] = id;
+        this.liquidLevels[index] = this.liquidIds[id] ? this.LIQUID_LEVELS : 0;
+        left--;
+      });
+      this.readyChunks[chunkY * this.chunksX + chunkX] = 1;
+      this.touchedChunks[chunkY * this.chunksX + chunkX] = 1;
+    }
+
+    this.regenerating.clear();
+    for (let i = 0; i < state.damaged.length; i += 2) {
+      const index = state.damaged[i];
+      const material = this.palette[this.tileIds[index]];
+      this.tileDamage[index] = material.hardness - state.damaged[i + 1];
+      if (material.regenRate) this.regenerating.set(index, 0);
+    }
+    for (let i = 0; i < state.liquids.length; i += 2) {
+      this.liquidLevels[state.liquids[i]] = state.liquids[i + 1];
+    }
+
+    // Saves from before the fog of war (revealed: null) had everything in view
+    if (state.revealed) {
+      let index = 0;
+      state.revealed.forEach((length, run) => {
+        this.revealed.fill(run % 2, index, index + length);
+        index += length;
+      });
+    } else {
+      this.revealed.fill(1);
+    }
 
-    this.drawChunkGraphics(chunkX, chunkY, startX, startY, endX, endY);
+    // Every texture is stale; render() bakes the visible chunks again
+    this.dirtyTiles.clear();
+    for (const texture of this.chunkTextures.values()) texture.destroy();
+    this.chunkTextures.clear();
   }
 }
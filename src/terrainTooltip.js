@@ -44,7 +44,7 @@ export class TerrainTooltip {
     // Ignore if pointer not active (e.g., outside window)
     if (!pointer.worldX || !pointer.worldY) return;
 
-    const worldX = pointer.worldX;
+    const worldX = this.terrainManager.wrapWorldX(pointer.worldX);
     const worldY = pointer.worldY;
 
     // If pointer is outside world bounds hide tooltip instantly
@@ -73,8 +73,11 @@ export class TerrainTooltip {
     clearTimeout(this.hoverTimer);
     this._hide();
 
-    const tile = this.terrainManager.tiles[row]?.[col];
-    if (!tile || tile.name === 'air') return; // No tooltip for air
+    // A tile still under the fog of war is shown as UNKNOWN (tile = null),
+    // whatever is really there – air included
+    const hidden = !this.terrainManager.isRevealed(col, row);
+    const tile = hidden ? null : this.terrainManager.getTile(col, row);
+    if (!hidden && (!tile || tile.name === 'air')) return; // No tooltip for air
 
     // Schedule tooltip show after delay
     this.hoverTimer = setTimeout(() => {
@@ -85,9 +88,17 @@ export class TerrainTooltip {
   }
 
   _show(tile, pointer) {
+    let name = 'UNKNOWN';
+    let stat = 'UNEXPLORED';
+    if (tile) {
+      name = tile.name.replace(/_/g, ' ').toUpperCase();
+      stat = tile.liquid
+        ? `LIQUID LEVEL: ${tile.level}/${this.terrainManager.LIQUID_LEVELS}`
+        : `HARDNESS: ${Math.round((tile.hardness - (tile.damage ?? 0)) * 10) / 10}/${tile.hardness}`;
+    }
     this.el.innerHTML = `
-      <div class="tt-name">${tile.name.replace(/_/g, ' ').toUpperCase()}</div>
-      <div class="tt-hardness">HARDNESS: ${tile.hardness}</div>
+      <div class="tt-name">${name}</div>
+      <div class="tt-hardness">${stat}</div>
     `;
     this._positionTooltip(pointer);
     this.el.style.opacity = '1';
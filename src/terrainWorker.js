@@ -0,0 +1,38 @@
+import { TerrainGenerator } from './terrainGenerator.js';
+import { RandomManager } from './randomManager.js';
+
+// Terrain Generation Worker
+// -------------------------------------------------------------
+// Runs a TerrainGenerator off the main thread (see TerrainManager.startWorker()).
+//
+// Messages in:
+//   { type: 'init', seed, config }  config as for TerrainGenerator, minus noiseStream
+//   { type: 'chunk', x, y }         generate chunk (x, y)
+// Messages out:
+//   { type: 'chunk', x, y, startX, startY, endX, endY, ids }   ids buffer is transferred
+//   { type: 'error', x, y, message }
+// -------------------------------------------------------------
+
+let generator = null;
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'init') {
+    // A fresh stream of the same seed and name as the main thread's
+    const noiseStream = new RandomManager(data.seed).stream('terrain-noise');
+    generator = new TerrainGenerator({ ...data.config, noiseStream });
+    return;
+  }
+
+  if (data.type === 'chunk') {
+    try {
+      const chunk = generator.generateChunk(data.x, data.y);
+      if (chunk) {
+        self.postMessage({ type: 'chunk', ...chunk }, [chunk.ids.buffer]);
+      } else {
+        self.postMessage({ type: 'chunk', x: data.x, y: data.y, ids: null });
+      }
+    } catch (error) {
+      self.postMessage({ type: 'error', x: data.x, y: data.y, message: error.message });
+    }
+  }
+};
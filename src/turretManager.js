@@ -1,5 +1,9 @@
 import { ResourceManager } from './resourceManager.js';
 import { MacroTurret } from './turrets/MacroTurret.js';
+import { gameData } from './gameData.js';
+
+// Turret classes that buildings.json may refer to by "class"
+gameData.registerTurretClass('MacroTurret', MacroTurret);
 
 // TurretManager.js – Refactor Road-map
 // -------------------------------------------------------------
@@ -14,10 +18,12 @@ import { MacroTurret } from './turrets/MacroTurret.js';
 // 3.  TurretManager becomes lightweight: it validates placement,
 //     owns an array of turret instances, calls turret.update(dt),
 //     and offers helper queries such as findNearestEnemy().
-// 4.  Stats are data-driven (see future src/data/turretStats.js) so
-//     research upgrades can tweak numbers without touching code.
-// 5.  ResearchManager (future) will expose getStatMultiplier() that
-//     turrets consult to apply tech bonuses.
+// 4.  Stats are data-driven: every turret building in
+//     src/data/buildings.json names its class and carries its own
+//     STATS / COLORS, so variants need no code.
+// 5.  ResearchManager (src/researchManager.js) exposes
+//     getStatMultiplier(); turrets consult it through BaseTurret.stat()
+//     and TurretManager.getTurretStat() to apply tech bonuses.
 // -------------------------------------------------------------
 //  This comment should remain at the top of the file until the
 //  migration is fully completed.
@@ -29,34 +35,68 @@ export class TurretManager {
     this.resourceManager = resourceManager;
     this.terrainManager = terrainManager;
     this.enemyManager = enemyManager;
+    this.random = scene.rng.stream('turrets');
     this.turrets = [];
     this.projectiles = [];
     this.enemies = []; // This will store enemies when they are added to the game
+    this.timer = 0;
     
-    // Reference stats from the default MacroTurret; UI code can keep using TurretManager.TURRET_STATS
+    // Reference stats from the default 'turret' building; UI code can keep using TurretManager.TURRET_STATS
     this.TURRET_STATS = MacroTurret.STATS;
     
     // Colors
     this.COLORS = MacroTurret.COLORS;
+
+    // Loose terrain falling onto turrets
+    scene.bus?.on('tile:fell', this.onTileFell, this);
+  }
+
+  // A falling tile passing through or landing in a turret's tile damages it
+  onTileFell({ col, row, tile }) {
+    const tileSize = this.terrainManager.tileSize;
+    for (const turret of [...this.turrets]) {
+      if (!turret.active || col !== Math.floor(turret.x / tileSize) || row !== Math.floor(turret.y / tileSize)) continue;
+      this.damageTurret(turret, tile.hardness * this.terrainManager.FALL_DAMAGE_PER_HARDNESS);
+    }
+  }
+
+  // A turret building id from buildings.json; unknown ids fall back to 'turret'
+  resolveTurretType(type = 'turret') {
+    if (gameData.getBuilding(type)?.kind === 'turret') return type;
+    console.warn(`Unknown turret type "${type}", using "turret"`);
+    return 'turret';
   }
 
-  createRangeCircle(x, y) {
-    const range = this.scene.add.circle(x, y, this.TURRET_STATS.RANGE, this.COLORS.RANGE, 0.2);
+  getTurretDef(type = 'turret') {
+    return gameData.getBuilding(this.resolveTurretType(type));
+  }
+
+  // A turret stat with research bonuses applied ('turret.<NAME>' multipliers)
+  getTurretStat(name, stats = this.TURRET_STATS) {
+    const multiplier = this.scene.researchManager?.getStatMultiplier(`turret.${name}`) ?? 1;
+    return stats[name] * multiplier;
+  }
+
+  createRangeCircle(x, y, type = 'turret') {
+    const def = this.getTurretDef(type);
+    const range = this.scene.add.circle(x, y, this.getTurretStat('RANGE', def.stats), def.colors.RANGE, 0.2);
     return range;
   }
   
-  createTurretPreview(x, y) {
+  createTurretPreview(x, y, type = 'turret') {
+    const colors = this.getTurretDef(type).colors;
+
     // Create a container for the turret preview
     const container = this.scene.add.container(x, y);
     
     // Base of the turret - a rectangle
-    const base = this.scene.add.rectangle(0, 0, 30, 30, this.COLORS.TURRET);
+    const base = this.scene.add.rectangle(0, 0, 30, 30, colors.TURRET);
     
     // Turret barrel - smaller rectangle on top of base 
-    const barrel = this.scene.add.rectangle(0, -20, 10, 20, this.COLORS.TURRET);
+    const barrel = this.scene.add.rectangle(0, -20, 10, 20, colors.TURRET);
     
     // Add AOE indicator for preview
-    const aoeIndicator = this.scene.add.circle(0, -15, 5, this.COLORS.EXPLOSION, 0.8);
+    const aoeIndicator = this.scene.add.circle(0, -15, 5, colors.EXPLOSION, 0.8);
     
     // Add all parts to the container
     container.add([base, barrel, aoeIndicator]);
@@ -64,10 +104,31 @@ export class TurretManager {
     return container;
   }
   
-  tryPlaceTurret(x, y) {
+  tryPlaceTurret(x, y, type = 'turret') {
     if (!this.terrainManager.canPlaceDrillAt(x, y)) return false;
-    
-    const turret = new MacroTurret(this.scene, this, x, y);
+    const turret = this.createTurret(x, y, type);
+    if (!turret) return false;
+    this.scene.bus?.emit('structure:placed', { structure: turret, type: turret.type, kind: 'turret', x, y });
+    return true;
+  }
+
+  // Build a turret at (x, y) without placement checks (used by tryPlaceTurret and save restore).
+  // `type` is a turret building id from buildings.json; its "class" picks the implementation.
+  // Returns null if the turret class throws.
+  createTurret(x, y, type = 'turret') {
+    type = this.resolveTurretType(type);
+    const def = gameData.getBuilding(type);
+    const TurretClass = gameData.getTurretClass(def.class);
+    let turret;
+    try {
+      turret = new TurretClass(this.scene, this, x, y, def);
+    } catch (error) {
+      // Turret classes can come from plugins – report instead of crashing
+      console.error(`Failed to build ${def.stats.NAME}:`, error);
+      this.scene.ui?.showNotification(`Failed to build ${def.stats.NAME}: ${error.message}`, 'danger');
+      return null;
+    }
+    turret.type = type;
     this.turrets.push(turret);
 
     // Register with EnemyManager
@@ -76,18 +137,18 @@ export class TurretManager {
       this.enemyManager.registerTarget(turret);
     }
 
-    return true;
+    return turret;
   }
   
   spawnProjectile(x, y, targetX, targetY) {
     // Base angle directly toward target
-    const baseAngle = Phaser.Math.Angle.Between(x, y, targetX, targetY);
+    const baseAngle = this.terrainManager.angleBetween(x, y, targetX, targetY);
 
     // Calculate random spread based on accuracy
     const inaccuracy = 1 - (this.TURRET_STATS.ACCURACY ?? 1);
     const maxSpread = this.TURRET_STATS.MAX_SPREAD_RAD ?? 0;
     const spreadRange = inaccuracy * maxSpread;
-    const randomOffset = Phaser.Math.FloatBetween(-spreadRange, spreadRange);
+    const randomOffset = this.random.floatBetween(-spreadRange, spreadRange);
     const finalAngle = baseAngle + randomOffset;
 
     const projectile = this.scene.add.circle(x, y - 20, 5, this.COLORS.PROJECTILE);
@@ -119,7 +180,7 @@ export class TurretManager {
       // Skip invalid enemies
       if (!enemy || !enemy.active) continue;
       
-      const distance = Phaser.Math.Distance.Between(
+      const distance = this.terrainManager.distanceBetween(
         x, y,
         enemy.x, enemy.y
       );
@@ -139,16 +200,24 @@ export class TurretManager {
       const turret = this.turrets[i];
       turret.update();
     }
+
+    // Once a second: lava (or anything else with contactDamage) in a turret's tile
+    if (++this.timer % 60 === 0) {
+      for (const turret of [...this.turrets]) {
+        const contactDamage = this.terrainManager.getContactDamageAt(turret.x, turret.y);
+        if (turret.active && contactDamage > 0) this.damageTurret(turret, contactDamage);
+      }
+    }
     
     // Update projectiles
     for (let i = this.projectiles.length - 1; i >= 0; i--) {
       const projectile = this.projectiles[i];
       const sprite = projectile.sprite;
+      this.terrainManager.wrapObject(sprite);
       
       // Remove projectiles that have gone off world bounds
-      const bounds = this.scene.cameras.main.getBounds();
-      if (sprite.x < bounds.x || sprite.x > bounds.right || 
-          sprite.y < bounds.y || sprite.y > bounds.bottom) {
+      if (this.terrainManager.isPastSide(sprite.x) ||
+          sprite.y < 0 || sprite.y > this.terrainManager.height) {
         sprite.destroy();
         this.projectiles.splice(i, 1);
         continue;
@@ -159,7 +228,7 @@ export class TurretManager {
         // Skip invalid enemies
         if (!enemy || !enemy.active) continue;
         
-        const distance = Phaser.Math.Distance.Between(
+        const distance = this.terrainManager.distanceBetween(
           sprite.x, sprite.y,
           enemy.x, enemy.y
         );
@@ -170,7 +239,7 @@ export class TurretManager {
           enemy.health -= projectile.damage;
           
           // Create explosion effect
-          this.createExplosionEffect(sprite.x, sprite.y, projectile.aoeRange);
+          this.createExplosionEffect(sprite.x, sprite.y, projectile.aoeRange, projectile.color);
           
           // Apply AOE damage to all enemies in range (including the primary target)
           this.damageEnemiesInRange(sprite.x, sprite.y, projectile.aoeRange, projectile.aoeDamage);
@@ -185,9 +254,9 @@ export class TurretManager {
   }
   
   // Create visual explosion effect
-  createExplosionEffect(x, y, radius) {
+  createExplosionEffect(x, y, radius, color = this.COLORS.EXPLOSION) {
     // Create expanding circle for explosion
-    const explosion = this.scene.add.circle(x, y, 10, this.COLORS.EXPLOSION, 0.8);
+    const explosion = this.scene.add.circle(x, y, 10, color, 0.8);
     
     // Create pulsating effect with scale and alpha
     this.scene.tweens.add({
@@ -209,7 +278,7 @@ export class TurretManager {
         x, 
         y, 
         3, 
-        this.COLORS.EXPLOSION
+        color
       );
       
       this.scene.tweens.add({
@@ -232,7 +301,7 @@ export class TurretManager {
       // Skip if enemy is invalid or already destroyed
       if (!enemy) continue;
       
-      const distance = Phaser.Math.Distance.Between(x, y, enemy.x, enemy.y);
+      const distance = this.terrainManager.distanceBetween(x, y, enemy.x, enemy.y);
       
       if (distance <= radius) {
         // Apply damage with falloff based on distance from center
@@ -248,6 +317,7 @@ export class TurretManager {
         
         // Remove enemy if dead
         if (enemy.health <= 0) {
+          enemy.reportKill?.();
           // Check if sprite exists before destroying it
           if (enemy.sprite && enemy.sprite.active) {
             enemy.sprite.destroy();
@@ -275,7 +345,7 @@ export class TurretManager {
       // Visual feedback for damage - flash red
       this.scene.tweens.add({
         targets: [turret.container.getAt(0), turret.container.getAt(1)],
-        fillColor: { from: this.COLORS.DAMAGE_INDICATOR, to: this.COLORS.TURRET },
+        fillColor: { from: turret.COLORS.DAMAGE_INDICATOR, to: turret.COLORS.TURRET },
         duration: 200
       });
     }
@@ -303,6 +373,7 @@ export class TurretManager {
   // Destroy a turret
   destroyTurret(turret) {
     turret.active = false;
+    this.scene.bus?.emit('structure:destroyed', { structure: turret, type: turret.type, kind: 'turret', x: turret.x, y: turret.y });
     
     // Unregister from EnemyManager
     if (this.enemyManager) {
@@ -345,7 +416,7 @@ export class TurretManager {
         turret.y, 
         5, 
         5, 
-        this.COLORS.TURRET_BASE
+        turret.COLORS.TURRET_BASE
       );
       
       this.scene.tweens.add({
@@ -371,6 +442,25 @@ export class TurretManager {
     return this.turrets.filter(turret => turret.active).length;
   }
 
+  serialize() {
+    return this.getTurrets().map(turret => ({
+      type: turret.type,
+      x: turret.x,
+      y: turret.y,
+      health: turret.health,
+      fireTimer: turret.fireTimer
+    }));
+  }
+
+  restore(turrets) {
+    for (const saved of turrets) {
+      const turret = this.createTurret(saved.x, saved.y, saved.type);
+      if (!turret) continue;
+      turret.health = saved.health;
+      turret.fireTimer = saved.fireTimer;
+    }
+  }
+
   // Setter to inject EnemyManager after construction
   setEnemyManager(em) {
     this.enemyManager = em;
@@ -42,6 +42,29 @@ export class BaseTurret {
     this.manager.damageTurret(this, amount);
   }
 
+  /**
+   * Current value of a STATS entry, including research bonuses.
+   * Use this instead of reading this.STATS for anything research can upgrade.
+   */
+  stat(name) {
+    return this.manager.getTurretStat(name, this.STATS);
+  }
+
+  /**
+   * Angle (radians) from this turret towards a point, the short way round a
+   * wrapping world. Use it instead of Phaser.Math.Angle.Between().
+   */
+  angleTo(x, y) {
+    return this.manager.terrainManager.angleBetween(this.x, this.y, x, y);
+  }
+
+  /**
+   * Seeded random stream shared with the owning manager.
+   */
+  get random() {
+    return this.manager.random;
+  }
+
   /**
    * Convenience accessor for Phaser.Math functions.
    */
@@ -1,6 +1,9 @@
 // Sci-Fi UI System for Edge World Miners
 import Phaser from 'phaser';
 import { FocusMode } from './focusMode.js'
+import { Minimap } from './minimap.js';
+import { RESOURCE_TYPES } from './resourceManager.js';
+import { gameData } from './gameData.js';
 
 export class UI {
   constructor(scene, onSelectBuilding) {
@@ -43,11 +46,38 @@ export class UI {
     this.createKeyBindings();
     // Settings button & modal
     this.createSettingsUI();
+    // Research button & panel
+    this.createResearchUI();
+    // Toasts for gameplay events
+    this.subscribeToGameEvents();
 
     // Focus mode (magnifier) controller
     this.focusMode = new FocusMode(scene, this.uiOverlay);
+
+    // World overview with markers & click-to-jump camera
+    this.minimap = new Minimap(scene, this.uiOverlay);
+
+    // The DOM overlay outlives the scene – remove our elements when it shuts down
+    this.scene.events.once(Phaser.Scenes.Events.SHUTDOWN, () => this.destroy());
   }
   
+  // Announce waves and lost structures. The bus belongs to this world, so the
+  // scene clears these subscriptions on shutdown.
+  subscribeToGameEvents() {
+    const bus = this.scene.bus;
+    if (!bus) return;
+    bus.on('wave:started', ({ wave, enemies }) => {
+      this.showNotification(`Wave ${wave} incoming – ${enemies} enemies`, 'warning');
+    });
+    bus.on('wave:completed', ({ wave }) => {
+      this.showNotification(`Wave ${wave} cleared`, 'success');
+    });
+    bus.on('structure:destroyed', ({ type }) => {
+      const name = gameData.getBuilding(type)?.stats.NAME ?? type;
+      this.showNotification(`${name} destroyed`, 'danger');
+    });
+  }
+
   // Get building costs - prevents circular dependencies
   getDynamicBuildings() {
     if (this.buildManager) {
@@ -55,35 +85,26 @@ export class UI {
     }
     
     // Fallback if buildManager isn't available
-    return [
-      { 
-        type: 'drill', 
-        cost: this.getDrillCost(),
-        label: 'MINING DRILL',
-        description: 'Mines resources automatically',
-        hotkey: '1'
-      },
-      { 
-        type: 'turret', 
-        cost: this.getTurretCost(),
-        label: 'MACRO TURRET',
-        description: 'AOE defense against enemies',
-        hotkey: '2'
-      }
-    ];
-  }
-  
-  // Legacy methods for backward compatibility
-  getDrillCost() {
-    const drillManager = this.scene.drillManager;
-    return drillManager?.DRILL_STATS?.COST || 10;
+    return Object.entries(gameData.buildings).map(([type, def]) => ({
+      type,
+      cost: def.stats.COST,
+      label: def.stats.NAME,
+      description: def.description,
+      hotkey: def.hotkey
+    }));
   }
   
-  getTurretCost() {
-    const turretManager = this.scene.turretManager;
-    return turretManager?.TURRET_STATS?.COST || 20;
+  // Icon + amount markup for each resource in a bill, e.g. a building cost
+  formatBill(bill, iconClass) {
+    return Object.entries(bill)
+      .filter(([, amount]) => amount > 0)
+      .map(([type, amount]) => `
+        <span class="resource-amount" title="${RESOURCE_TYPES[type]?.label ?? type}">
+          <span class="${iconClass} ${type}"></span>${amount}
+        </span>`)
+      .join('');
   }
-  
+
   createHUD() {
     // Create the top bar container element
     const topBar = document.createElement('div');
@@ -93,15 +114,21 @@ export class UI {
     const leftSection = document.createElement('div');
     leftSection.className = 'hud-section left';
 
-    // Resource Display
+    // Resource Display – one icon + counter per resource type
     const resourceDisplay = document.createElement('div');
     resourceDisplay.className = 'hud-resource-display';
-    resourceDisplay.innerHTML = `
-      <div class="hud-resource-icon"></div>
-      <span id="resource-text">0</span>
-    `;
-    this.resourceText = resourceDisplay.querySelector('#resource-text');
-    this.resourceIcon = resourceDisplay.querySelector('.hud-resource-icon');
+    resourceDisplay.innerHTML = Object.entries(RESOURCE_TYPES).map(([type, { label }]) => `
+      <div class="hud-resource" title="${label}">
+        <div class="hud-resource-icon ${type}"></div>
+        <span class="resource-text" data-resource="${type}">0</span>
+      </div>
+    `).join('');
+    this.resourceTexts = {};
+    this.resourceIcons = {};
+    for (const type of Object.keys(RESOURCE_TYPES)) {
+      this.resourceTexts[type] = resourceDisplay.querySelector(`.resource-text[data-resource="${type}"]`);
+      this.resourceIcons[type] = resourceDisplay.querySelector(`.hud-resource-icon.${type}`);
+    }
 
     // Structure Status
     const structureStatus = document.createElement('div');
@@ -158,19 +185,25 @@ export class UI {
     
     // Append the top bar to the main UI overlay
     this.uiOverlay.appendChild(topBar);
+    this.topBar = topBar;
 
     // Register for resource updates (store handler so we can clean up on shutdown)
-    this._onResourcesChanged = (parent, value) => {
-      if (!this.resourceText) return;
-      this.resourceText.innerText = value.toString();
-
-      // Flash effect on resource icon if resources are low
-      if (value < 10) {
-        this.resourceIcon.classList.add('flash');
-        setTimeout(() => this.resourceIcon.classList.remove('flash'), 600);
+    this._onResourcesChanged = (parent, value, previous = {}) => {
+      if (!this.resourceTexts) return;
+      for (const [type, text] of Object.entries(this.resourceTexts)) {
+        const amount = value[type] ?? 0;
+        text.innerText = amount.toString();
+
+        // Flash the icon when a type is spent down to a low amount
+        if (amount < 10 && amount < (previous[type] ?? 0)) {
+          const icon = this.resourceIcons[type];
+          icon.classList.add('flash');
+          setTimeout(() => icon.classList.remove('flash'), 600);
+        }
       }
     };
     this.scene.registry.events.on('changedata-resources', this._onResourcesChanged);
+    this._onResourcesChanged(this.scene.registry, this.scene.registry.get('resources') || {});
 
     // Clean up listener when scene shuts down to avoid invalid callbacks on restart
     this.scene.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
@@ -206,13 +239,10 @@ export class UI {
       
       button.innerHTML = `
         <div class="button-label">
-          <span class="hotkey">${building.hotkey}</span>
+          ${building.hotkey ? `<span class="hotkey">${building.hotkey}</span>` : ''}
           ${building.label}
         </div>
-        <div class="button-cost">
-          <div class="cost-icon"></div>
-          ${building.cost}
-        </div>
+        <div class="button-cost">${this.formatBill(building.cost, 'cost-icon')}</div>
         <div class="button-desc">${building.description}</div>
       `;
 
@@ -293,6 +323,11 @@ export class UI {
       this.toggleBuildMenu();
     });
 
+    // Open/close the research panel with 'R' key
+    this.scene.input.keyboard.addKey('R').on('down', () => {
+      this.toggleResearchPanel();
+    });
+
     // Hotkeys for selecting buildings
     const buildings = this.getDynamicBuildings();
     buildings.forEach(building => {
@@ -316,12 +351,12 @@ export class UI {
     if (shouldBeVisible) {
       this.buildMenuPanel.classList.add('visible');
       // Update button states whenever the menu is opened
-      const resources = this.scene.registry.get('resources') || 0;
+      const resourceManager = this.scene.resourceManager;
       const buildings = this.getDynamicBuildings();
       this.buildMenuElements.forEach(button => {
         const buildingType = button.dataset.buildingType;
         const building = buildings.find(b => b.type === buildingType);
-        if (building && building.cost > resources) {
+        if (building && resourceManager && !resourceManager.canAfford(building.cost)) {
           button.classList.add('disabled');
         } else {
           button.classList.remove('disabled');
@@ -332,6 +367,108 @@ export class UI {
     }
   }
   
+  // =============================
+  //          Research
+  // =============================
+
+  createResearchUI() {
+    const researchButton = document.createElement('button');
+    researchButton.id = 'research-button';
+    researchButton.title = 'Research [R]';
+    researchButton.innerHTML = '&#9879;'; // Alembic icon
+
+    const hudRightSection = this.uiOverlay.querySelector('#top-bar-hud .hud-section.right');
+    if (hudRightSection) {
+      hudRightSection.insertBefore(researchButton, hudRightSection.querySelector('#settings-button'));
+    }
+    researchButton.addEventListener('click', () => this.toggleResearchPanel());
+
+    const panel = document.createElement('div');
+    panel.id = 'research-panel';
+    panel.innerHTML = `
+      <h3>RESEARCH [R]</h3>
+      <div class="research-nodes"></div>
+    `;
+    this.uiOverlay.appendChild(panel);
+    this.researchPanel = panel;
+    this.researchNodesContainer = panel.querySelector('.research-nodes');
+
+    // Node cards are re-rendered on every change, so delegate clicks
+    this.researchNodesContainer.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-research]');
+      if (!button || button.disabled) return;
+      if (!this.scene.researchManager.start(button.dataset.research)) {
+        this.showNotification('Cannot start that research', 'warning');
+      }
+    });
+
+    // Refresh while open whenever unlocks or the player's resources change
+    this._onResearchInputsChanged = () => {
+      if (this.researchPanel?.classList.contains('visible')) this.renderResearchNodes();
+    };
+    this.scene.registry.events.on('changedata-research', this._onResearchInputsChanged);
+    this.scene.registry.events.on('changedata-resources', this._onResearchInputsChanged);
+    this.scene.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      this.scene.registry.events.off('changedata-research', this._onResearchInputsChanged);
+      this.scene.registry.events.off('changedata-resources', this._onResearchInputsChanged);
+    });
+  }
+
+  renderResearchNodes() {
+    const researchManager = this.scene.researchManager;
+    if (!researchManager || !this.researchNodesContainer) return;
+
+    this.researchNodesContainer.innerHTML = researchManager.getNodes().map(node => {
+      const status = researchManager.getStatus(node.id);
+      const requires = node.requires
+        .map(id => researchManager.nodes.get(id)?.name ?? id)
+        .join(', ');
+
+      let action;
+      if (status === 'unlocked') {
+        action = '<span class="research-state">COMPLETE</span>';
+      } else if (status === 'researching') {
+        action = '<div class="research-progress"><div class="research-progress-fill"></div></div>';
+      } else {
+        const enabled = researchManager.canResearch(node.id);
+        action = `<button data-research="${node.id}" ${enabled ? '' : 'disabled'}>RESEARCH</button>`;
+      }
+
+      return `
+        <div class="research-node ${status}">
+          <div class="research-name">${node.name}</div>
+          <div class="research-desc">${node.description}</div>
+          ${status === 'locked' ? `<div class="research-requires">Requires: ${requires}</div>` : ''}
+          <div class="research-footer">
+            <div class="research-cost">${this.formatBill(node.cost, 'cost-icon')}<span>${node.time}s</span></div>
+            ${action}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    this.researchProgressFill = this.researchNodesContainer.querySelector('.research-progress-fill');
+    this.updateResearchProgress();
+  }
+
+  updateResearchProgress() {
+    if (!this.researchProgressFill) return;
+    const progress = this.scene.researchManager.getProgress() ?? 1;
+    this.researchProgressFill.style.width = `${progress * 100}%`;
+  }
+
+  toggleResearchPanel(forceState) {
+    if (!this.researchPanel) return;
+
+    const shouldBeVisible = forceState !== undefined ? forceState : !this.researchPanel.classList.contains('visible');
+    if (shouldBeVisible) {
+      this.renderResearchNodes();
+      this.researchPanel.classList.add('visible');
+    } else {
+      this.researchPanel.classList.remove('visible');
+    }
+  }
+
   // =============================
   //        Settings / Pause
   // =============================
@@ -364,6 +501,7 @@ export class UI {
     modalContent.innerHTML = `
       <h2>Settings</h2>
       <p>Game is Paused</p>
+      <div class="save-slots"></div>
       <div class="modal-actions">
         <button id="close-settings-button">Resume Game</button>
       </div>
@@ -375,10 +513,65 @@ export class UI {
     // Add event listener to the close button
     const closeButton = this.settingsModal.querySelector('#close-settings-button');
     closeButton.addEventListener('click', () => this.closeSettingsModal());
+
+    // Save slot buttons are re-rendered on every open, so delegate clicks
+    this.saveSlotsContainer = modalContent.querySelector('.save-slots');
+    this.saveSlotsContainer.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]');
+      if (!button || button.disabled) return;
+      this.handleSaveSlotAction(button.dataset.action, button.dataset.slot);
+    });
+  }
+
+  renderSaveSlots() {
+    const saveManager = this.scene.saveManager;
+    if (!saveManager || !this.saveSlotsContainer) return;
+
+    this.saveSlotsContainer.innerHTML = saveManager.listSlots().map((info, i) => {
+      const meta = info.empty
+        ? 'EMPTY'
+        : `WAVE ${info.wave} · ${new Date(info.savedAt).toLocaleString()}`;
+      return `
+        <div class="save-slot">
+          <div class="save-slot-info">
+            <span class="save-slot-name">SLOT ${i + 1}</span>
+            <span class="save-slot-meta">${meta}</span>
+          </div>
+          <div class="save-slot-actions">
+            <button data-action="save" data-slot="${info.slot}">Save</button>
+            <button data-action="load" data-slot="${info.slot}" ${info.empty ? 'disabled' : ''}>Load</button>
+            <button data-action="delete" data-slot="${info.slot}" ${info.empty ? 'disabled' : ''}>&#10005;</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  handleSaveSlotAction(action, slot) {
+    const saveManager = this.scene.saveManager;
+
+    if (action === 'save') {
+      if (saveManager.save(slot)) {
+        this.showNotification('Game saved', 'success');
+      } else {
+        this.showNotification('Save failed – storage may be full', 'danger');
+      }
+      this.renderSaveSlots();
+    } else if (action === 'load') {
+      // Loading restarts the scene; unpause first so nothing is left frozen
+      this.closeSettingsModal();
+      if (!saveManager.load(slot)) {
+        this.showNotification('Save could not be loaded', 'danger');
+      }
+    } else if (action === 'delete') {
+      saveManager.deleteSlot(slot);
+      this.renderSaveSlots();
+    }
   }
 
   openSettingsModal() {
     if (this.settingsModal) {
+      this.renderSaveSlots();
       this.settingsModal.classList.add('visible');
       this.pauseGame();
     }
@@ -533,8 +726,10 @@ export class UI {
     // Update enemy counters
     const enemyCounts = this.scene.enemyManager.getEnemyTypeCounts();
     
-    // Calculate total for red enemies (SMALL, MEDIUM, LARGE)
-    const redCount = (enemyCounts.SMALL || 0) + (enemyCounts.MEDIUM || 0) + (enemyCounts.LARGE || 0);
+    // Calculate total for red enemies (every melee tier)
+    const redCount = Object.entries(enemyCounts)
+      .filter(([tier]) => tier !== 'SHOOTER')
+      .reduce((sum, [, count]) => sum + count, 0);
     this.enemyRedCountText.innerText = redCount.toString();
     
     // Purple enemies are SHOOTER type
@@ -572,10 +767,68 @@ export class UI {
     }
   }
   
+  // =============================
+  //        End of Run
+  // =============================
+
+  showRunSummary(result) {
+    if (this.runSummary) return;
+
+    const isVictory = result.outcome === 'victory';
+    const minutes = Math.floor(result.seconds / 60);
+    const seconds = String(result.seconds % 60).padStart(2, '0');
+    const stats = [
+      ['Waves survived', result.wavesSurvived],
+      ['Time', `${minutes}:${seconds}`],
+      ['Resources earned', result.resourcesEarned],
+      ['Enemies killed', result.enemiesKilled],
+      ['Drills built / lost', `${result.drillsBuilt} / ${result.drillsLost}`],
+      ['Turrets built / lost', `${result.turretsBuilt} / ${result.turretsLost}`],
+      ['World seed', result.seed]
+    ];
+
+    this.runSummary = document.createElement('div');
+    this.runSummary.id = 'run-summary';
+    this.runSummary.innerHTML = `
+      <div class="modal-content ${isVictory ? 'victory' : 'defeat'}">
+        <h2>${isVictory ? 'VICTORY' : 'DEFEAT'}</h2>
+        <p>${result.reason}</p>
+        <dl class="run-stats">
+          ${stats.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}
+        </dl>
+        <div class="modal-actions">
+          <button data-restart="new">New World</button>
+          <button data-restart="same">Retry Seed</button>
+        </div>
+      </div>
+    `;
+    this.uiOverlay.appendChild(this.runSummary);
+
+    this.runSummary.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-restart]');
+      if (!button) return;
+      this.scene.restartRun({ sameSeed: button.dataset.restart === 'same' });
+    });
+
+    // Let the CSS transition run
+    requestAnimationFrame(() => this.runSummary?.classList.add('visible'));
+  }
+
   update() {
     // Update all UI components that need refreshing every frame
     this.updateWaveStatus();
     this.updateStructureStatus();
+    this.updateResearchProgress();
+    this.minimap.update();
+  }
+
+  // Remove every DOM element this UI added to the overlay
+  destroy() {
+    this.focusMode.destroy();
+    this.minimap.destroy();
+    for (const el of [this.topBar, this.buildMenuPanel, this.researchPanel, this.settingsModal, this.runSummary]) {
+      if (el && el.parentNode) el.parentNode.removeChild(el);
+    }
   }
 }
 
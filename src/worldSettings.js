@@ -0,0 +1,123 @@
+import { worldSizeFromSeed, MIN_WRAP_WIDTH } from './simulation.js';
+
+// World Settings for Edge World Miners
+// -------------------------------------------------------------
+// Everything the world setup screen (src/worldSetup.js) lets a player pick
+// besides the seed. Seed and settings together describe a world completely:
+//
+//   { size, wrapX, biomes, caves, ores }
+//     size    WORLD_SIZES key – 'seed' lets the seed pick the size
+//     wrapX   join the world's left and right edges
+//     biomes  keys of the biomes to generate, or null for all of them
+//     caves   CAVE_DENSITIES key
+//     ores    ORE_RICHNESS key
+//
+// Worlds are shared as links carrying the seed and every non-default setting
+// as URL parameters (see worldLink() and settingsFromParams()):
+//
+//   ?seed=123456&size=large&wrap=1&biomes=DESERT,BADLANDS&caves=dense&ores=rich
+// -------------------------------------------------------------
+
+export const WORLD_SIZES = {
+  seed: { label: 'From seed', size: null }, // see worldSizeFromSeed()
+  small: { label: 'Small', size: { width: 2048, height: 1800 } },
+  medium: { label: 'Medium', size: { width: 6144, height: 2000 } },
+  large: { label: 'Large', size: { width: 12288, height: 2200 } },
+  huge: { label: 'Huge', size: { width: 24576, height: 2400 } }
+};
+
+// Cave noise above the threshold is hollow (TerrainGenerator caveThreshold)
+export const CAVE_DENSITIES = {
+  sparse: { label: 'Sparse', threshold: 0.8 },
+  normal: { label: 'Normal', threshold: 0.7 },
+  dense: { label: 'Dense', threshold: 0.6 }
+};
+
+// Taken off every ore threshold (TerrainGenerator oreBonus)
+export const ORE_RICHNESS = {
+  poor: { label: 'Poor', bonus: -0.05 },
+  normal: { label: 'Normal', bonus: 0 },
+  rich: { label: 'Rich', bonus: 0.06 }
+};
+
+export const DEFAULT_WORLD_SETTINGS = {
+  size: 'seed',
+  wrapX: false,
+  biomes: null,
+  caves: 'normal',
+  ores: 'normal'
+};
+
+/**
+ * Pixel size of a world. A wrapping world is at least MIN_WRAP_WIDTH wide.
+ *
+ * @param {number} seed
+ * @param {object} settings
+ * @returns {{width: number, height: number}}
+ */
+export function resolveWorldSize(seed, { size, wrapX }) {
+  const preset = WORLD_SIZES[size]?.size;
+  if (!preset) return worldSizeFromSeed(seed, { wrapX });
+  return {
+    width: wrapX ? Math.max(preset.width, MIN_WRAP_WIDTH) : preset.width,
+    height: preset.height
+  };
+}
+
+/**
+ * TerrainManager generation options for a set of world settings
+ * (see TerrainManager.getLayout()).
+ *
+ * @param {object} settings
+ * @returns {{biomes: string[]|null, caveThreshold: number, oreBonus: number}}
+ */
+export function terrainOptions({ biomes, caves, ores }) {
+  return {
+    biomes,
+    caveThreshold: (CAVE_DENSITIES[caves] ?? CAVE_DENSITIES.normal).threshold,
+    oreBonus: (ORE_RICHNESS[ores] ?? ORE_RICHNESS.normal).bonus
+  };
+}
+
+/**
+ * Seed and settings from URL parameters. A missing or unknown value keeps
+ * its default, unknown biomes are dropped.
+ *
+ * @param {URLSearchParams} params
+ * @param {string[]} knownBiomes - Keys of the loaded biomes
+ * @returns {{seed: number|null, settings: object}}
+ */
+export function settingsFromParams(params, knownBiomes) {
+  const seed = Number(params.get('seed'));
+  const choice = (name, options) => (Object.hasOwn(options, params.get(name)) ? params.get(name) : DEFAULT_WORLD_SETTINGS[name]);
+  const biomes = params.get('biomes')?.split(',').filter(key => knownBiomes.includes(key));
+
+  return {
+    seed: Number.isInteger(seed) && seed > 0 ? seed : null,
+    settings: {
+      size: choice('size', WORLD_SIZES),
+      wrapX: params.get('wrap') === '1',
+      biomes: biomes?.length ? biomes : null,
+      caves: choice('caves', CAVE_DENSITIES),
+      ores: choice('ores', ORE_RICHNESS)
+    }
+  };
+}
+
+/**
+ * Link to this page that opens the setup screen on the given world.
+ *
+ * @param {number} seed
+ * @param {object} settings
+ * @param {Location} [location=window.location]
+ * @returns {string}
+ */
+export function worldLink(seed, settings, location = window.location) {
+  const params = new URLSearchParams({ seed: String(seed) });
+  if (settings.size !== DEFAULT_WORLD_SETTINGS.size) params.set('size', settings.size);
+  if (settings.wrapX) params.set('wrap', '1');
+  if (settings.biomes) params.set('biomes', settings.biomes.join(','));
+  if (settings.caves !== DEFAULT_WORLD_SETTINGS.caves) params.set('caves', settings.caves);
+  if (settings.ores !== DEFAULT_WORLD_SETTINGS.ores) params.set('ores', settings.ores);
+  return `${location.origin}${location.pathname}?${params}`;
+}
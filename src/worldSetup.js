@@ -0,0 +1,281 @@
+// src/worldSetup.js
+
+// World setup screen for Edge World Miners
+// -------------------------------------------------------------
+// Shown by LoadingScene before a new world is generated. The player enters
+// or rolls a seed, picks the world settings (src/worldSettings.js) and sees a
+// low-resolution preview – one pixel per tile – made by the same generator
+// the world will use. "Copy Link" shares the seed and settings as a URL.
+//
+// The preview is generated a few chunks per animation frame so the form
+// stays responsive; any change restarts it after a short pause.
+// -------------------------------------------------------------
+
+import { gameData } from './gameData.js';
+import { TerrainManager } from './terrainManager.js';
+import {
+  WORLD_SIZES,
+  CAVE_DENSITIES,
+  ORE_RICHNESS,
+  resolveWorldSize,
+  terrainOptions,
+  worldLink
+} from './worldSettings.js';
+
+// Air above the ground is sky, air below it a cave (TerrainManager.skyConfig)
+const PREVIEW_SKY_COLOR = 0x3366cc;
+const PREVIEW_CAVE_COLOR = 0x0b1d30;
+
+export class WorldSetupScreen {
+  /**
+   * @param {HTMLElement} overlay – DOM overlay container (#ui-overlay)
+   * @param {Object} opts
+   * @param {number} opts.seed – seed to start from
+   * @param {Object} opts.settings – world settings to start from (see worldSettings.js)
+   * @param {function(number, Object): void} opts.onStart – called with the chosen seed and settings
+   * @param {number} [opts.debounce=250] – pause after the last change before the preview restarts (ms)
+   * @param {number} [opts.frameBudget=12] – preview generation time per animation frame (ms)
+   */
+  constructor(overlay, { seed, settings, onStart, debounce = 250, frameBudget = 12 }) {
+    this.overlay = overlay;
+    this.onStart = onStart;
+    this.debounce = debounce;
+    this.frameBudget = frameBudget;
+
+    this.seed = seed;
+    this.settings = { ...settings };
+    this.previewTimer = null;
+    this.previewFrame = null;
+
+    // Material colours as [r, g, b] in palette order (generator ids)
+    this.palette = Object.values(gameData.materials).map(material => toRGB(material.color));
+    this.airId = Object.keys(gameData.materials).indexOf('AIR');
+
+    this.build();
+    this.updateLink();
+    this.renderPreview();
+  }
+
+  // --- DOM ---
+  build() {
+    const option = (options, selected) => Object.entries(options)
+      .map(([key, { label }]) => `<option value="${key}"${key === selected ? ' selected' : ''}>${label}</option>`)
+      .join('');
+    const biomes = Object.entries(gameData.biomes)
+      .map(([key, biome]) => `
+        <label class="world-setup-biome">
+          <input type="checkbox" value="${key}"${!this.settings.biomes || this.settings.biomes.includes(key) ? ' checked' : ''}>
+          ${biome.name}
+        </label>`)
+      .join('');
+
+    this.el = document.createElement('div');
+    this.el.id = 'world-setup';
+    this.el.innerHTML = `
+      <form class="modal-content world-setup-content">
+        <h2>New World</h2>
+        <div class="world-setup-row">
+          <label for="world-setup-seed">Seed</label>
+          <input id="world-setup-seed" name="seed" type="text" inputmode="numeric" autocomplete="off">
+          <button type="button" data-action="random">Random</button>
+        </div>
+        <div class="world-setup-row">
+          <label for="world-setup-size">Size</label>
+          <select id="world-setup-size" name="size">${option(WORLD_SIZES, this.settings.size)}</select>
+          <label class="world-setup-toggle">
+            <input name="wrapX" type="checkbox"${this.settings.wrapX ? ' checked' : ''}> Wrap-around
+          </label>
+        </div>
+        <div class="world-setup-row">
+          <label for="world-setup-caves">Caves</label>
+          <select id="world-setup-caves" name="caves">${option(CAVE_DENSITIES, this.settings.caves)}</select>
+          <label for="world-setup-ores">Ores</label>
+          <select id="world-setup-ores" name="ores">${option(ORE_RICHNESS, this.settings.ores)}</select>
+        </div>
+        <fieldset class="world-setup-biomes">
+          <legend>Biomes</legend>
+          ${biomes}
+        </fieldset>
+        <div class="world-setup-preview">
+          <canvas></canvas>
+          <div class="world-setup-caption"></div>
+        </div>
+        <div class="world-setup-row">
+          <input class="world-setup-link" type="text" readonly>
+          <button type="button" data-action="copy">Copy Link</button>
+        </div>
+        <div class="modal-actions">
+          <button type="submit">Start</button>
+        </div>
+      </form>
+    `;
+    this.overlay.appendChild(this.el);
+
+    this.form = this.el.querySelector('form');
+    this.seedInput = this.form.elements.seed;
+    this.seedInput.value = String(this.seed);
+    this.linkInput = this.el.querySelector('.world-setup-link');
+    this.canvas = this.el.querySelector('canvas');
+    this.caption = this.el.querySelector('.world-setup-caption');
+    this.startButton = this.el.querySelector('button[type="submit"]');
+
+    this.form.addEventListener('input', event => this.handleInput(event));
+    this.form.addEventListener('click', event => {
+      const action = event.target.closest('button[data-action]')?.dataset.action;
+      if (action === 'random') this.randomizeSeed();
+      if (action === 'copy') this.copyLink();
+    });
+    this.form.addEventListener('submit', event => {
+      event.preventDefault();
+      this.start();
+    });
+
+    // Let the CSS transition run
+    requestAnimationFrame(() => this.el?.classList.add('visible'));
+  }
+
+  handleInput(event) {
+    const target = event.target;
+    if (target === this.seedInput) {
+      const seed = Number(target.value.trim());
+      const valid = Number.isInteger(seed) && seed > 0;
+      target.classList.toggle('invalid', !valid);
+      this.startButton.disabled = !valid;
+      if (!valid) return;
+      this.seed = seed;
+    } else if (target.closest('.world-setup-biomes')) {
+      const boxes = [...this.form.querySelectorAll('.world-setup-biomes input')];
+      const enabled = boxes.filter(box => box.checked).map(box => box.value);
+      // A world needs at least one biome
+      if (enabled.length === 0) {
+        target.checked = true;
+        return;
+      }
+      this.settings.biomes = enabled.length === boxes.length ? null : enabled;
+    } else if (target.name === 'wrapX') {
+      this.settings.wrapX = target.checked;
+    } else if (target.name in this.settings) {
+      this.settings[target.name] = target.value;
+    }
+
+    this.updateLink();
+    this.schedulePreview();
+  }
+
+  randomizeSeed() {
+    this.seed = Math.floor(Math.random() * 1000000000);
+    this.seedInput.value = String(this.seed);
+    this.seedInput.classList.remove('invalid');
+    this.startButton.disabled = false;
+    this.updateLink();
+    this.schedulePreview();
+  }
+
+  updateLink() {
+    this.linkInput.value = worldLink(this.seed, this.settings);
+  }
+
+  // Clipboard access can be refused (insecure origin, permissions); the link
+  // stays selected in its field for a manual copy then
+  copyLink() {
+    this.linkInput.select();
+    navigator.clipboard?.writeText(this.linkInput.value).catch(error => {
+      console.warn('WorldSetupScreen: could not copy the world link', error);
+    });
+  }
+
+  start() {
+    if (this.startButton.disabled) return;
+    const { seed, settings } = this;
+    this.destroy();
+    this.onStart(seed, settings);
+  }
+
+  destroy() {
+    clearTimeout(this.previewTimer);
+    cancelAnimationFrame(this.previewFrame);
+    this.el?.remove();
+    this.el = null;
+  }
+
+  // --- Preview ---
+  schedulePreview() {
+    clearTimeout(this.previewTimer);
+    cancelAnimationFrame(this.previewFrame);
+    this.previewTimer = setTimeout(() => this.renderPreview(), this.debounce);
+  }
+
+  // Generate every chunk of the world column by column (top to bottom, so
+  // the first solid tile of each column marks where sky turns to cave)
+  renderPreview() {
+    cancelAnimationFrame(this.previewFrame);
+
+    const { width, height } = resolveWorldSize(this.seed, this.settings);
+    const generator = TerrainManager.createPreviewGenerator({
+      width,
+      height,
+      seed: this.seed,
+      wrapX: this.settings.wrapX,
+      ...terrainOptions(this.settings)
+    });
+    const { cols, rows, chunkSize } = generator;
+
+    this.canvas.width = cols;
+    this.canvas.height = rows;
+    const context = this.canvas.getContext('2d');
+    const image = context.createImageData(cols, rows);
+    const groundRows = new Int32Array(cols).fill(rows);
+    const chunks = [];
+    for (let x = 0; x * chunkSize < cols; x++) {
+      for (let y = 0; y * chunkSize < rows; y++) chunks.push([x, y]);
+    }
+
+    const caption = `${width} × ${height} px${this.settings.wrapX ? ', wrapping' : ''}`;
+    this.caption.textContent = `${caption} – generating...`;
+
+    let next = 0;
+    const step = () => {
+      const stepStart = performance.now();
+      while (next < chunks.length && performance.now() - stepStart < this.frameBudget) {
+        const chunk = generator.generateChunk(...chunks[next++]);
+        if (chunk) this.drawChunk(image.data, cols, chunk, groundRows);
+      }
+      context.putImageData(image, 0, 0);
+
+      if (next < chunks.length) {
+        this.previewFrame = requestAnimationFrame(step);
+      } else {
+        this.caption.textContent = caption;
+      }
+    };
+    step();
+  }
+
+  drawChunk(pixels, cols, { startX, startY, endX, endY, ids }, groundRows) {
+    const width = endX - startX;
+    const sky = toRGB(PREVIEW_SKY_COLOR);
+    const cave = toRGB(PREVIEW_CAVE_COLOR);
+
+    for (let y = startY; y < endY; y++) {
+      for (let x = startX; x < endX; x++) {
+        const id = ids[(y - startY) * width + (x - startX)];
+        let color;
+        if (id === this.airId) {
+          color = y < groundRows[x] ? sky : cave;
+        } else {
+          if (y < groundRows[x]) groundRows[x] = y;
+          color = this.palette[id];
+        }
+        const pixel = (y * cols + x) * 4;
+        pixels[pixel] = color[0];
+        pixels[pixel + 1] = color[1];
+        pixels[pixel + 2] = color[2];
+        pixels[pixel + 3] = 255;
+      }
+    }
+  }
+}
+
+function toRGB(color) {
+  return [(color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff];
+}